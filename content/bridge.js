@@ -0,0 +1,86 @@
+/**
+ * Bridge (ISOLATED world content script)
+ *
+ * Responsibilities:
+ * - Receive reports from content/page-hook.js and content/request-hook.js
+ * - Forward them to the background service worker via chrome.runtime messaging
+ *
+ * Each hook hands over a node that is never attached to the document and
+ * dispatches its reports there, so page scripts can neither read nor forge
+ * them. The handshake happens at document_start, before any page script
+ * runs, and is accepted once per hook.
+ */
+
+// Events shared with the hooks
+const BRIDGE_READY_EVENT = 'api-token-extractor:bridge-ready';
+const ACK_EVENT = 'api-token-extractor:ack';
+const REPORT_EVENT = 'api-token-extractor:report';
+
+// Handshake event of each hook
+const HOOK_CONNECT_EVENTS = [
+  'api-token-extractor:connect-page-hook',
+  'api-token-extractor:connect-request-hook'
+];
+
+/**
+ * Forward a hook report to the service worker
+ * @param {Object} report - { type, ... } as posted by a hook
+ */
+function forwardReport(report) {
+  let message = null;
+
+  if (report.type === 'TOKEN_RESPONSE') {
+    message = {
+      type: 'ISSUED_TOKENS',
+      url: report.url,
+      response: report.response
+    };
+  } else if (report.type === 'PAGE_REQUEST') {
+    message = {
+      type: 'PAGE_REQUEST',
+      request: {
+        kind: report.kind,
+        method: report.method,
+        url: report.url,
+        headers: report.headers,
+        body: report.body,
+        protocols: report.protocols
+      }
+    };
+  }
+
+  if (message) {
+    chrome.runtime.sendMessage(message).catch(() => {
+      // Extension reloaded or worker unavailable, ignore
+    });
+  }
+}
+
+/**
+ * Accept the channel of one hook
+ * Only the first handshake counts; the hooks send it before page scripts exist.
+ * @param {string} connectEvent - The hook's handshake event
+ */
+function acceptHook(connectEvent) {
+  const onConnect = (event) => {
+    const channel = event.relatedTarget;
+    if (!channel) return;
+
+    document.removeEventListener(connectEvent, onConnect);
+    channel.addEventListener(REPORT_EVENT, (reportEvent) => {
+      try {
+        forwardReport(JSON.parse(reportEvent.detail));
+      } catch (error) {
+        // Malformed report, ignore
+      }
+    });
+    channel.dispatchEvent(new CustomEvent(ACK_EVENT));
+  };
+
+  document.addEventListener(connectEvent, onConnect);
+}
+
+HOOK_CONNECT_EVENTS.forEach(acceptHook);
+
+// Hooks that started before the bridge connect now
+document.dispatchEvent(new CustomEvent(BRIDGE_READY_EVENT));
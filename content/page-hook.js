@@ -0,0 +1,175 @@
+/**
+ * Page Hook (MAIN world content script)
+ *
+ * Responsibilities:
+ * - Wrap fetch and XMLHttpRequest in the page's own JavaScript context
+ * - Recognize responses of OAuth2 / OIDC token endpoints
+ * - Hand issued tokens to the bridge script over a private channel
+ *
+ * Runs in the page world, so it has no access to chrome.* APIs.
+ */
+
+(() => {
+  // Guard against double injection (e.g. re-registration after an update)
+  if (window.__apiTokenExtractorHooked) {
+    return;
+  }
+  window.__apiTokenExtractorHooked = true;
+
+  // Token endpoint paths: /token, /oauth/token, /oauth2/v2.0/token, /connect/token, ...
+  const TOKEN_ENDPOINT_PATH = /\/(oauth2?\/)?(v[\d.]+\/)?token\/?$|\/connect\/token\/?$/i;
+
+  // Response fields forwarded to the extension
+  const TOKEN_FIELDS = ['access_token', 'refresh_token', 'id_token', 'expires_in', 'token_type', 'scope'];
+
+  // ==========================================================================
+  // CHANNEL TO THE BRIDGE
+  // ==========================================================================
+
+  // Events shared with content/bridge.js
+  const CONNECT_EVENT = 'api-token-extractor:connect-page-hook';
+  const BRIDGE_READY_EVENT = 'api-token-extractor:bridge-ready';
+  const ACK_EVENT = 'api-token-extractor:ack';
+  const REPORT_EVENT = 'api-token-extractor:report';
+
+  // Reports are dispatched on a node that is never attached to the document,
+  // so page scripts can neither listen to nor forge them. The node is handed
+  // to the bridge at document_start, before any page script runs. Builtins
+  // are kept now in case the page replaces them later.
+  const channel = document.createElement('span');
+  const dispatch = EventTarget.prototype.dispatchEvent;
+  const stringify = JSON.stringify;
+  const ReportEvent = CustomEvent;
+  let connected = false;
+
+  /**
+   * Hand the channel node to the bridge
+   * Runs at once, and again when the bridge starts after this hook.
+   */
+  function connect() {
+    if (!connected) {
+      dispatch.call(document, new MouseEvent(CONNECT_EVENT, { relatedTarget: channel }));
+    }
+  }
+
+  channel.addEventListener(ACK_EVENT, () => {
+    connected = true;
+    document.removeEventListener(BRIDGE_READY_EVENT, connect);
+  });
+  document.addEventListener(BRIDGE_READY_EVENT, connect);
+  connect();
+
+  /**
+   * Send a report to the bridge
+   * @param {Object} message - Report with its type
+   */
+  function post(message) {
+    if (connected) {
+      dispatch.call(channel, new ReportEvent(REPORT_EVENT, { detail: stringify(message) }));
+    }
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  /**
+   * Check whether a request looks like an OAuth2 token request
+   * @param {string} url - Request URL
+   * @param {*} body - Request body, if known
+   * @returns {boolean}
+   */
+  function isTokenRequest(url, body) {
+    try {
+      if (TOKEN_ENDPOINT_PATH.test(new URL(url, location.href).pathname)) {
+        return true;
+      }
+    } catch (error) {
+      return false;
+    }
+
+    if (body instanceof URLSearchParams) {
+      return body.has('grant_type');
+    }
+
+    return typeof body === 'string' && /(^|&|")grant_type("|=)/.test(body);
+  }
+
+  /**
+   * Forward the token fields of a parsed response body
+   * @param {string} url - Token endpoint URL
+   * @param {*} data - Parsed JSON response
+   */
+  function report(url, data) {
+    if (!data || typeof data !== 'object') return;
+    if (!data.access_token && !data.id_token && !data.refresh_token) return;
+
+    const response = {};
+    TOKEN_FIELDS.forEach(field => {
+      if (data[field] !== undefined) response[field] = data[field];
+    });
+
+    post({
+      type: 'TOKEN_RESPONSE',
+      url: new URL(url, location.href).href,
+      response: response
+    });
+  }
+
+  // ==========================================================================
+  // FETCH
+  // ==========================================================================
+
+  const originalFetch = window.fetch;
+
+  window.fetch = function (input, init) {
+    const promise = originalFetch.apply(this, arguments);
+
+    try {
+      const url = input instanceof Request ? input.url : String(input);
+      if (isTokenRequest(url, init && init.body)) {
+        promise
+          .then(response => response.clone().json())
+          .then(data => report(url, data))
+          .catch(() => {
+            // Not JSON or request failed; nothing to report
+          });
+      }
+    } catch (error) {
+      // Never break the page's own request
+    }
+
+    return promise;
+  };
+
+  // ==========================================================================
+  // XMLHTTPREQUEST
+  // ==========================================================================
+
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function (method, url) {
+    this.__apiTokenExtractorUrl = String(url);
+    return originalOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function (body) {
+    const url = this.__apiTokenExtractorUrl;
+
+    if (url && isTokenRequest(url, body)) {
+      this.addEventListener('load', () => {
+        try {
+          const data = this.responseType === 'json'
+            ? this.response
+            : JSON.parse(this.responseText);
+          report(url, data);
+        } catch (error) {
+          // Not JSON; nothing to report
+        }
+      });
+    }
+
+    return originalSend.apply(this, arguments);
+  };
+})();
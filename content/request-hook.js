@@ -0,0 +1,257 @@
+/**
+ * Request Hook (MAIN world content script)
+ *
+ * Responsibilities:
+ * - Wrap fetch, XMLHttpRequest and WebSocket in the page's own JavaScript context
+ * - Report the headers, bodies, WebSocket subprotocols and first socket
+ *   messages the page sends, which webRequest cannot always see
+ * - Hand reports to the bridge script over a private channel
+ *
+ * Runs in the page world, so it has no access to chrome.* APIs. Detection
+ * happens in the service worker; this script only forwards what was sent.
+ */
+
+(() => {
+  // Guard against double injection (e.g. re-registration after an update)
+  if (window.__apiTokenExtractorRequestHooked) {
+    return;
+  }
+  window.__apiTokenExtractorRequestHooked = true;
+
+  // Headers that never carry credentials; requests with only these are not reported
+  const PLAIN_HEADERS = ['accept', 'accept-language', 'content-language', 'content-type', 'cache-control', 'pragma'];
+
+  // Larger bodies are uploads, not credentials
+  const MAX_BODY_LENGTH = 65536;
+
+  // Credentials are sent at the start of a socket (connection_init, auth)
+  const MAX_SOCKET_MESSAGES = 3;
+
+  // ==========================================================================
+  // CHANNEL TO THE BRIDGE
+  // ==========================================================================
+
+  // Events shared with content/bridge.js
+  const CONNECT_EVENT = 'api-token-extractor:connect-request-hook';
+  const BRIDGE_READY_EVENT = 'api-token-extractor:bridge-ready';
+  const ACK_EVENT = 'api-token-extractor:ack';
+  const REPORT_EVENT = 'api-token-extractor:report';
+
+  // Reports are dispatched on a node that is never attached to the document,
+  // so page scripts can neither listen to nor forge them. The node is handed
+  // to the bridge at document_start, before any page script runs. Builtins
+  // are kept now in case the page replaces them later.
+  const channel = document.createElement('span');
+  const dispatch = EventTarget.prototype.dispatchEvent;
+  const stringify = JSON.stringify;
+  const ReportEvent = CustomEvent;
+  let connected = false;
+
+  /**
+   * Hand the channel node to the bridge
+   * Runs at once, and again when the bridge starts after this hook.
+   */
+  function connect() {
+    if (!connected) {
+      dispatch.call(document, new MouseEvent(CONNECT_EVENT, { relatedTarget: channel }));
+    }
+  }
+
+  channel.addEventListener(ACK_EVENT, () => {
+    connected = true;
+    document.removeEventListener(BRIDGE_READY_EVENT, connect);
+  });
+  document.addEventListener(BRIDGE_READY_EVENT, connect);
+  connect();
+
+  /**
+   * Send a report to the bridge
+   * @param {Object} message - Report with its type
+   */
+  function post(message) {
+    if (connected) {
+      dispatch.call(channel, new ReportEvent(REPORT_EVENT, { detail: stringify(message) }));
+    }
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  /**
+   * Read a request body as text when it is small and textual
+   * @param {*} body - fetch/XHR body
+   * @returns {string|null}
+   */
+  function readBody(body) {
+    let text = null;
+
+    if (typeof body === 'string') {
+      text = body;
+    } else if (body instanceof URLSearchParams) {
+      text = body.toString();
+    } else if (body instanceof FormData) {
+      const params = new URLSearchParams();
+      body.forEach((value, name) => {
+        if (typeof value === 'string') params.append(name, value);
+      });
+      text = params.toString();
+    }
+
+    return text && text.length <= MAX_BODY_LENGTH ? text : null;
+  }
+
+  /**
+   * Convert any fetch headers init to name/value pairs
+   * @param {*} headers - Headers, array of pairs or plain object
+   * @returns {Array} - [{ name, value }]
+   */
+  function readHeaders(headers) {
+    if (!headers) return [];
+
+    try {
+      return Array.from(new Headers(headers).entries()).map(([name, value]) => ({ name, value }));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Report a request to the bridge when it may carry a credential
+   * @param {Object} request - { kind, method, url, headers, body, protocols }
+   */
+  function report(request) {
+    let url;
+    try {
+      url = new URL(request.url, location.href).href;
+    } catch (error) {
+      return;
+    }
+
+    const headers = (request.headers || []).filter(header => !PLAIN_HEADERS.includes(header.name.toLowerCase()));
+    const protocols = request.protocols || [];
+
+    if (headers.length === 0 && !request.body && !url.includes('?') && protocols.length === 0) {
+      return;
+    }
+
+    post({
+      type: 'PAGE_REQUEST',
+      kind: request.kind,
+      method: (request.method || 'GET').toUpperCase(),
+      url: url,
+      headers: headers,
+      body: request.body || null,
+      protocols: protocols
+    });
+  }
+
+  // ==========================================================================
+  // FETCH
+  // ==========================================================================
+
+  const originalFetch = window.fetch;
+
+  window.fetch = function (input, init) {
+    try {
+      const request = input instanceof Request ? input : null;
+      const headers = readHeaders(request ? request.headers : null);
+      readHeaders(init && init.headers).forEach(header => {
+        const index = headers.findIndex(existing => existing.name === header.name);
+        if (index >= 0) headers.splice(index, 1);
+        headers.push(header);
+      });
+
+      report({
+        kind: 'fetch',
+        method: (init && init.method) || (request ? request.method : 'GET'),
+        url: request ? request.url : String(input),
+        headers: headers,
+        body: readBody(init && init.body)
+      });
+    } catch (error) {
+      // Never break the page's own request
+    }
+
+    return originalFetch.apply(this, arguments);
+  };
+
+  // ==========================================================================
+  // XMLHTTPREQUEST
+  // ==========================================================================
+
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+  const originalSend = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function (method, url) {
+    this.__apiTokenExtractorRequest = { method: String(method), url: String(url), headers: [] };
+    return originalOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.setRequestHeader = function (name, value) {
+    if (this.__apiTokenExtractorRequest) {
+      this.__apiTokenExtractorRequest.headers.push({ name: String(name), value: String(value) });
+    }
+    return originalSetRequestHeader.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function (body) {
+    const request = this.__apiTokenExtractorRequest;
+
+    if (request) {
+      try {
+        report({ kind: 'xhr', ...request, body: readBody(body) });
+      } catch (error) {
+        // Never break the page's own request
+      }
+    }
+
+    return originalSend.apply(this, arguments);
+  };
+
+  // ==========================================================================
+  // WEBSOCKET
+  // ==========================================================================
+
+  const OriginalWebSocket = window.WebSocket;
+  const originalSocketSend = OriginalWebSocket.prototype.send;
+
+  /**
+   * WebSocket constructor reporting the URL and subprotocols it opens with
+   * Subprotocols are the only "header" a browser socket can set, so
+   * libraries pass tokens in them (e.g. ['access_token', '<token>']).
+   */
+  function WebSocket(url, protocols) {
+    const socket = arguments.length > 1
+      ? new OriginalWebSocket(url, protocols)
+      : new OriginalWebSocket(url);
+
+    try {
+      const list = protocols === undefined ? [] : [].concat(protocols).map(String);
+      report({ kind: 'websocket', method: 'GET', url: String(url), protocols: list });
+    } catch (error) {
+      // Never break the page's own socket
+    }
+
+    return socket;
+  }
+
+  WebSocket.prototype = OriginalWebSocket.prototype;
+  Object.setPrototypeOf(WebSocket, OriginalWebSocket);
+  window.WebSocket = WebSocket;
+
+  OriginalWebSocket.prototype.send = function (data) {
+    try {
+      const sent = this.__apiTokenExtractorSent || 0;
+      if (typeof data === 'string' && sent < MAX_SOCKET_MESSAGES && data.length <= MAX_BODY_LENGTH) {
+        this.__apiTokenExtractorSent = sent + 1;
+        report({ kind: 'websocket-message', method: 'SEND', url: this.url, body: data });
+      }
+    } catch (error) {
+      // Never break the page's own socket
+    }
+
+    return originalSocketSend.apply(this, arguments);
+  };
+})();
@@ -0,0 +1,7 @@
+/**
+ * DevTools Page Script
+ *
+ * Adds the Tokens panel to the DevTools of every inspected page.
+ */
+
+chrome.devtools.panels.create('Tokens', 'icons/icon16.svg', 'panel.html');
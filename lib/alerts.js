@@ -0,0 +1,206 @@
+/**
+ * Toolbar Badge & Notifications
+ *
+ * Shows the token count of each tab on the toolbar action, colored by the
+ * state of its tokens or by a token injected into it, and raises desktop
+ * notifications when a watched detection rule captures a new or changed token.
+ */
+
+import { BADGE_COLORS, BADGE_EXPIRY_ALARM } from './constants.js';
+import { listInjections } from './injection.js';
+import { decodeJwtPart } from './jwt.js';
+import { getCurrentSessionKey } from './sessions.js';
+import { getSettings } from './settings.js';
+import { state } from './state.js';
+
+// ============================================================================
+// TOKEN EXPIRY
+// ============================================================================
+
+/**
+ * Read the expiry of a token: the issuer's expires_in, else the JWT exp claim
+ * @param {string} token - Token value
+ * @param {Object} data - Stored token data
+ * @returns {number|null} - Expiry in ms since epoch, or null if unknown
+ */
+export function getTokenExpiry(token, data) {
+  if (data.expiresAt) return data.expiresAt;
+
+  const parts = token.split('.');
+  const payload = parts.length === 3 ? decodeJwtPart(parts[1]) : null;
+  return typeof payload?.exp === 'number' ? payload.exp * 1000 : null;
+}
+
+// ============================================================================
+// TOOLBAR BADGE
+// ============================================================================
+
+/**
+ * Describe the badge of a session
+ * Tokens injected into the tab take precedence over expired tokens, and
+ * expired tokens over rotated ones.
+ * @param {Object|undefined} session - Token session of the tab
+ * @param {number} now - Current time in ms
+ * @param {number} [injected] - Active token injections into the tab
+ * @returns {Object} - { text, color, title, nextExpiry } where nextExpiry is
+ *                     the soonest future expiry (ms), or null
+ */
+export function describeBadge(session, now, injected = 0) {
+  const entries = session ? Array.from(session.tokens.entries()) : [];
+  const injectedNote = `${injected} token${injected === 1 ? '' : 's'} injected`;
+
+  if (entries.length === 0) {
+    return injected
+      ? { text: '💉', color: BADGE_COLORS.injected, title: `API Token Extractor: ${injectedNote}`, nextExpiry: null }
+      : { text: '', color: BADGE_COLORS.normal, title: 'API Token Extractor', nextExpiry: null };
+  }
+
+  const expiries = entries.map(([token, data]) => getTokenExpiry(token, data)).filter(Boolean);
+  const expired = expiries.filter(expiry => expiry <= now).length;
+  const rotated = entries.filter(([, data]) => data.rotatedAt).length;
+  const future = expiries.filter(expiry => expiry > now);
+
+  const details = [`${entries.length} token${entries.length === 1 ? '' : 's'}`];
+  if (expired) details.push(`${expired} expired`);
+  if (rotated) details.push(`${rotated} rotated`);
+  if (injected) details.push(injectedNote);
+
+  return {
+    text: String(entries.length),
+    color: injected ? BADGE_COLORS.injected
+      : expired ? BADGE_COLORS.expired : rotated ? BADGE_COLORS.rotated : BADGE_COLORS.normal,
+    title: `API Token Extractor: ${details.join(', ')}`,
+    nextExpiry: future.length > 0 ? Math.min(...future) : null
+  };
+}
+
+/**
+ * Update the badge of every known tab, or of the given tabs
+ * Tabs closed meanwhile are skipped. Refreshing some tabs can only move the
+ * expiry alarm earlier; the full refresh it triggers reschedules it.
+ * @param {Array} [tabIds] - Tabs whose badge changed (every known tab by default)
+ */
+export async function refreshBadges(tabIds) {
+  const settings = await getSettings();
+  const now = Date.now();
+  const injections = await listInjections();
+  const allTabs = !tabIds;
+  if (allTabs) {
+    tabIds = new Set([...state.tabInfo.keys(), ...injections.map(injection => injection.tabId)]);
+    if (state.activeTabId !== null) tabIds.add(state.activeTabId);
+  }
+
+  let nextExpiry = null;
+
+  for (const tabId of tabIds) {
+    const session = state.tokenSessions.get(await getCurrentSessionKey(tabId, settings));
+    // Injections are always shown, they change how the tab's page behaves
+    const injected = injections.filter(injection => injection.tabId === tabId).length;
+    const badge = describeBadge(settings.showBadge ? session : undefined, now, injected);
+
+    try {
+      await chrome.action.setBadgeText({ tabId, text: badge.text });
+      await chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+      await chrome.action.setTitle({ tabId, title: badge.title });
+    } catch (error) {
+      continue;
+    }
+
+    if (badge.nextExpiry && (!nextExpiry || badge.nextExpiry < nextExpiry)) {
+      nextExpiry = badge.nextExpiry;
+    }
+  }
+
+  // Recolor the badge when the next token expires
+  if (!allTabs) {
+    const alarm = await chrome.alarms.get(BADGE_EXPIRY_ALARM);
+    if (nextExpiry && (!alarm || alarm.scheduledTime > nextExpiry + 1000)) {
+      chrome.alarms.create(BADGE_EXPIRY_ALARM, { when: nextExpiry + 1000 });
+    }
+  } else if (nextExpiry) {
+    chrome.alarms.create(BADGE_EXPIRY_ALARM, { when: nextExpiry + 1000 });
+  } else {
+    await chrome.alarms.clear(BADGE_EXPIRY_ALARM);
+  }
+}
+
+/**
+ * Handler for the badge expiry alarm
+ * @param {Object} alarm - Fired alarm
+ */
+export async function handleBadgeAlarm(alarm) {
+  if (alarm.name === BADGE_EXPIRY_ALARM) {
+    await state.stateReady;
+    await refreshBadges();
+  }
+}
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Shorten a token so a notification never shows it whole
+ * @param {string} token - Token value
+ * @returns {string} - e.g. "eyJh…x9Qk"
+ */
+export function abbreviateToken(token) {
+  return token.length < 12 ? '••••••••' : `${token.slice(0, 4)}…${token.slice(-4)}`;
+}
+
+/**
+ * Tell the user why an action without a UI of its own failed
+ * Unlike token notifications, these answer a user action and are always shown.
+ * @param {string} id - Notification ID; a new failure replaces the previous one
+ * @param {string} title - What failed
+ * @param {string} message - Why
+ */
+export async function notifyFailure(id, title, message) {
+  try {
+    await chrome.notifications.create(id, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: title,
+      message: message,
+      priority: 1
+    });
+  } catch (error) {
+    console.warn('API Token Extractor: Could not show a notification:', error);
+  }
+}
+
+/**
+ * Notify about a token captured by a watched detection rule
+ * Each rule has one notification that is replaced by the next, so bursts
+ * of captures do not stack up.
+ * @param {string} token - Token value
+ * @param {Object} entry - Stored token data
+ * @param {boolean} changed - Whether the token replaced an earlier one of the same rule
+ * @param {Object} settings - Current settings
+ */
+export async function notifyTokenCaptured(token, entry, changed, settings) {
+  if (!settings.notifications || !entry.ruleId) return;
+
+  const rule = settings.detectionRules.find(candidate => candidate.id === entry.ruleId);
+  if (!rule || !rule.notify) return;
+
+  const label = entry.ruleLabel || rule.header;
+  let host = '';
+  try {
+    host = new URL(entry.url).host;
+  } catch (error) {
+    // Storage and cookie URLs have no host
+  }
+
+  try {
+    await chrome.notifications.create(`token-rule-${entry.ruleId}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: changed ? `${label} token changed` : `New ${label} token`,
+      message: `${abbreviateToken(token)}${host ? ` sent to ${host}` : ''}`,
+      priority: 0
+    });
+  } catch (error) {
+    console.warn('API Token Extractor: Could not show a notification:', error);
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Token Classifier
+ *
+ * Recognizes what kind of credential a captured value looks like (JWT,
+ * vendor API key, AWS credential, Basic auth, random session ID, ...) from
+ * its shape alone, and scores how likely it is to be a real token.
+ */
+
+import { TOKEN_KINDS } from './constants.js';
+import { decodeJwtPart } from './jwt.js';
+
+// ============================================================================
+// VALUE SHAPES
+// ============================================================================
+
+// Vendor keys recognized by their prefix
+const PREFIXED_KEYS = [
+  { pattern: /^(gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{22,})$/, label: 'GitHub' },
+  { pattern: /^(sk|pk|rk)_(live|test)_[A-Za-z0-9]{16,}$/, label: 'Stripe' },
+  { pattern: /^(xox[abposr]|xapp)-[A-Za-z0-9-]{10,}$/, label: 'Slack' }
+];
+
+const JWT_PATTERN = /^[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]*$/;
+const AWS_SIGV4_PATTERN = /^AWS4-HMAC-SHA256 Credential=\S+/;
+const DIGEST_PATTERN = /^Digest\s+.*\busername="?[^",]+.*\bresponse="?[0-9a-f]+/i;
+const AWS_ACCESS_KEY_PATTERN = /^(AKIA|ASIA)[A-Z0-9]{16}$/;
+const GOOGLE_OAUTH_PATTERN = /^ya29\.[A-Za-z0-9_-]{20,}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX_PATTERN = /^[0-9a-f]{16,}$/i;
+const TOKEN_CHARS_PATTERN = /^[A-Za-z0-9+/_~.-]+=*$/;
+
+/**
+ * Measure the Shannon entropy of a string
+ * @param {string} value - Any string
+ * @returns {number} - Bits per character
+ */
+function getEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  counts.forEach(count => {
+    const share = count / value.length;
+    entropy -= share * Math.log2(share);
+  });
+  return entropy;
+}
+
+/**
+ * Check that the header of a JWT-shaped value decodes to a JWT header
+ * @param {string} value - Value with three dot-separated segments
+ * @returns {boolean}
+ */
+function hasJwtHeader(value) {
+  const header = decodeJwtPart(value.split('.')[0]);
+  return header !== null && 'alg' in header;
+}
+
+/**
+ * Check whether a value is base64 of a "user:password" pair
+ * @param {string} value - Value without the "Basic " prefix
+ * @returns {boolean}
+ */
+function isBasicCredentials(value) {
+  if (!/^[A-Za-z0-9+/]{4,}={0,2}$/.test(value) || value.length % 4 !== 0) {
+    return false;
+  }
+
+  try {
+    const decoded = atob(value);
+    return /^[\x20-\x7e]+$/.test(decoded) && /^[^:]+:./.test(decoded);
+  } catch (error) {
+    return false;
+  }
+}
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * Describe a classification result
+ * @param {string} kind - Key of TOKEN_KINDS
+ * @param {number} confidence - 0-100
+ * @param {string} [label] - More specific label, e.g. the key vendor
+ * @returns {Object} - { kind, label, confidence }
+ */
+function describe(kind, confidence, label = TOKEN_KINDS[kind]) {
+  return { kind: kind, label: label, confidence: confidence };
+}
+
+/**
+ * Classify a candidate token by its shape
+ * @param {string} value - Candidate value, with or without a "Bearer "/"Basic " scheme
+ * @returns {Object} - { kind, label, confidence } where confidence is 0-100
+ */
+export function classifyToken(value) {
+  const raw = String(value || '').trim();
+  const scheme = raw.match(/^(Bearer|Basic)\s+(\S+)$/i);
+  const token = scheme ? scheme[2] : raw;
+
+  if (AWS_SIGV4_PATTERN.test(raw)) return describe('aws', 95, 'AWS SigV4');
+  if (AWS_ACCESS_KEY_PATTERN.test(token)) return describe('aws', 90, 'AWS key');
+  if (DIGEST_PATTERN.test(raw)) return describe('digest', 90);
+
+  if (JWT_PATTERN.test(token) && hasJwtHeader(token)) return describe('jwt', 95);
+
+  const vendor = PREFIXED_KEYS.find(key => key.pattern.test(token));
+  if (vendor) return describe('api-key', 95, `${vendor.label} key`);
+
+  if (GOOGLE_OAUTH_PATTERN.test(token)) return describe('oauth', 90, 'Google OAuth');
+
+  // Base64 "user:password" pairs are only trusted with their scheme, plain
+  // random base64 decodes to a printable pair by chance too rarely to matter
+  if (isBasicCredentials(token)) {
+    return describe('basic', scheme && scheme[1].toLowerCase() === 'basic' ? 95 : 70);
+  }
+
+  if (UUID_PATTERN.test(token)) return describe('uuid', 30);
+
+  // Whitespace, key=value lists and JSON are settings or consent records
+  if (!TOKEN_CHARS_PATTERN.test(token)) return describe('text', 10);
+
+  const entropy = getEntropy(token);
+  if (HEX_PATTERN.test(token) && entropy >= 3) {
+    return describe('session-id', token.length >= 32 ? 65 : 55);
+  }
+
+  // Opaque OAuth tokens and base64 session IDs: long, random and mixing
+  // character classes
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/].filter(pattern => pattern.test(token)).length;
+  if (token.length >= 16 && entropy >= 3.5 && classes >= 2) {
+    return describe('opaque', token.length >= 24 ? 70 : 55);
+  }
+
+  return describe('unknown', entropy >= 3 ? 35 : 15);
+}
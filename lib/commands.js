@@ -0,0 +1,108 @@
+/**
+ * Keyboard Commands
+ *
+ * Handles the shortcuts declared under "commands" in the manifest. Opening
+ * the popup is handled by Chrome itself (_execute_action).
+ */
+
+import { notifyFailure } from './alerts.js';
+import { OFFSCREEN_DOCUMENT_URL } from './constants.js';
+import { getTokenList, resolveSessionKey } from './sessions.js';
+import { getSettings } from './settings.js';
+import { state } from './state.js';
+
+// ============================================================================
+// QUICK COPY
+// ============================================================================
+
+/**
+ * Find the token of a session that was captured or used last
+ * Tokens below the minimum confidence are skipped like in the popup.
+ * @param {string} sessionKey - Session to look in
+ * @param {Object} settings - Current settings
+ * @returns {Object|null} - Token object, or null if the session has none
+ */
+export function getLatestToken(sessionKey, settings) {
+  const tokens = getTokenList(sessionKey)
+    .filter(item => !(item.confidence < settings.minConfidence));
+
+  const lastUsed = item => Math.max(item.timestamp, item.lastRequest?.timestamp || 0);
+  return tokens.reduce((latest, item) => (!latest || lastUsed(item) >= lastUsed(latest) ? item : latest), null);
+}
+
+// Offscreen document being created, so concurrent copies wait for the same one
+let creatingOffscreen = null;
+
+/**
+ * Open the offscreen document that writes to the clipboard, unless it is open
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length > 0) return;
+
+  creatingOffscreen = creatingOffscreen || chrome.offscreen.createDocument({
+    url: OFFSCREEN_DOCUMENT_URL,
+    reasons: ['CLIPBOARD'],
+    justification: 'Copy the latest token from a keyboard shortcut'
+  });
+
+  try {
+    await creatingOffscreen;
+  } finally {
+    creatingOffscreen = null;
+  }
+}
+
+/**
+ * Write text to the clipboard
+ * The service worker has no clipboard access; the extension's offscreen
+ * document copies it, so the text never enters a web page.
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} - Whether the text was copied
+ */
+async function writeClipboard(text) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', type: 'COPY_TO_CLIPBOARD', text: text });
+  return Boolean(response?.success);
+}
+
+/**
+ * Copy the active tab's latest token to the clipboard
+ * @returns {Promise<Object>} - { success, error }
+ */
+export async function copyLatestToken() {
+  await state.stateReady;
+
+  const settings = await getSettings();
+  const sessionKey = await resolveSessionKey();
+  const latest = sessionKey ? getLatestToken(sessionKey, settings) : null;
+  if (!latest) {
+    return { success: false, error: 'No token captured in the active tab' };
+  }
+
+  try {
+    return await writeClipboard(latest.token)
+      ? { success: true }
+      : { success: false, error: 'The browser refused clipboard access' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================================================
+// COMMAND LISTENER
+// ============================================================================
+
+/**
+ * Handler for keyboard commands
+ * Shortcuts have no UI, so failures are reported in a notification.
+ * @param {string} command - Command name from the manifest
+ */
+export async function handleCommand(command) {
+  if (command === 'copy-latest-token') {
+    const result = await copyLatestToken();
+    if (!result.success) {
+      await notifyFailure(command, 'Could not copy the latest token', result.error);
+    }
+  }
+}
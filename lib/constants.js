@@ -0,0 +1,208 @@
+/**
+ * Constants
+ *
+ * Default settings, built-in detection rule presets and the limits shared
+ * by the service worker modules.
+ */
+
+// ============================================================================
+// DEFAULT SETTINGS
+// ============================================================================
+
+// Built-in detection rules, also offered as presets in the settings page.
+// Each rule names a header (or, with location 'query' or 'body', a query
+// parameter or body field), a regex whose first capture group is the token,
+// an optional URL pattern restricting where it applies and a display label.
+export const RULE_PRESETS = {
+  bearer: { label: 'Bearer', header: 'Authorization', pattern: '^Bearer\\s+(.+)$', urlPattern: '' },
+  basic: { label: 'Basic', header: 'Authorization', pattern: '^Basic\\s+(.+)$', urlPattern: '' },
+  digest: { label: 'Digest', header: 'Authorization', pattern: '^(Digest\\s+.+)$', urlPattern: '' },
+  tokenScheme: { label: 'Token', header: 'Authorization', pattern: '^Token\\s+(.+)$', urlPattern: '' },
+  apiKeyScheme: { label: 'ApiKey', header: 'Authorization', pattern: '^ApiKey\\s+(.+)$', urlPattern: '' },
+  awsSigV4: { label: 'AWS SigV4', header: 'Authorization', pattern: '^(AWS4-HMAC-SHA256\\s+.+)$', urlPattern: '' },
+  sessionToken: { label: 'Session Token', header: 'X-Session-Token', pattern: '(.+)', urlPattern: '' },
+  sessionTokenPlain: { label: 'Session Token', header: 'Session-Token', pattern: '(.+)', urlPattern: '' },
+  sessionId: { label: 'Session ID', header: 'X-Session-Id', pattern: '(.+)', urlPattern: '' },
+  apiKey: { label: 'API Key', header: 'X-API-Key', pattern: '(.+)', urlPattern: '' },
+  csrfToken: { label: 'CSRF Token', header: 'X-CSRF-Token', pattern: '(.+)', urlPattern: '' },
+  apiKeyQuery: { label: 'api_key', location: 'query', header: 'api_key', pattern: '(.+)', urlPattern: '' },
+  accessTokenQuery: { label: 'access_token', location: 'query', header: 'access_token', pattern: '(.+)', urlPattern: '' },
+  apiKeyBody: { label: 'api_key', location: 'body', header: 'api_key', pattern: '(.+)', urlPattern: '' },
+  accessTokenBody: { label: 'access_token', location: 'body', header: 'access_token', pattern: '(.+)', urlPattern: '' }
+};
+
+export const DEFAULT_SETTINGS = {
+  detectionRules: [          // Ordered list, every rule is checked per request
+    { id: 'bearer', enabled: true, ...RULE_PRESETS.bearer }
+  ],
+  tokenSources: {                // Each source can be toggled independently
+    headers: true,               // Outgoing request headers (live)
+    localStorage: true,          // Scanned on demand
+    sessionStorage: true,        // Scanned on demand
+    indexedDB: true,             // Scanned on demand
+    cookies: true,               // Scanned on demand
+    responses: true,             // Token-issuing responses (live)
+    pageRequests: false          // fetch/XHR/WebSocket calls seen from inside the page (live)
+  },
+  urlScope: {                    // Where tokens may come from (headers, responses, scans)
+    allow: [],                   // URL patterns; when non-empty, only these are kept
+    deny: [],                    // URL patterns whose tokens are never kept
+    firstPartyOnly: false        // Only keep tokens sent to the page's own site
+  },
+  maxTokens: 5,                  // Maximum tokens to keep per session (1-50)
+  minConfidence: 0,              // Hide tokens scored below this in the popup (0-100, 0 = show all)
+  evictionPolicy: 'keep-first',  // 'keep-first' | 'keep-latest' | 'rotate-per-rule'
+  sessionScope: 'tab',           // 'tab' | 'origin' - how token sessions are keyed
+  keepOnNavigation: false,       // Keep a session's tokens when its tab navigates
+  autoCleanup: true,             // Clear data on browser close
+  vaultAutoLockMinutes: 15,      // Lock the vault after this much inactivity (0 = never)
+  showBadge: true,               // Show each tab's token count on the toolbar icon
+  notifications: false,          // Notify when rules marked with notify: true capture a token
+  probeUrls: []                  // Health URLs tokens are tested against (absolute per origin, or a /path for any)
+};
+
+// Settings each profile keeps its own value of; the others are shared by all profiles
+export const PROFILE_FIELDS = [
+  'detectionRules', 'tokenSources', 'urlScope', 'maxTokens', 'minConfidence', 'evictionPolicy', 'keepOnNavigation',
+  'autoCleanup', 'probeUrls'
+];
+
+// The profile made of the top-level settings, used where no other profile applies
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Display labels of the value shapes the token classifier recognizes
+export const TOKEN_KINDS = {
+  jwt: 'JWT',
+  aws: 'AWS',
+  'api-key': 'API key',
+  oauth: 'OAuth',
+  basic: 'Basic auth',
+  digest: 'Digest auth',
+  opaque: 'Opaque token',
+  'session-id': 'Session ID',
+  uuid: 'UUID',
+  text: 'Text',
+  unknown: 'Unknown'
+};
+
+// Upper bound for the configurable maxTokens setting
+export const MAX_TOKENS_LIMIT = 50;
+
+// Replaced token values kept per session for the history view
+export const MAX_HISTORY_ENTRIES = 50;
+
+// Tokens sent to unexpected sites kept per session (one entry per token and site)
+export const MAX_LEAK_ENTRIES = 50;
+
+// Requests awaiting a status code before old entries are dropped
+export const MAX_PENDING_REQUESTS = 200;
+
+// Header names whose values are always masked in captured requests
+export const SENSITIVE_HEADERS = [
+  'authorization', 'proxy-authorization', 'cookie', 'x-api-key',
+  'x-csrf-token', 'x-xsrf-token', 'x-auth-token', 'x-session-token'
+];
+
+// Name fragments that mark any other header as sensitive
+export const SENSITIVE_HEADER_FRAGMENTS = ['token', 'secret', 'session', 'auth', 'key', 'password'];
+
+// Filtered token fingerprints remembered per host, so repeats are not recounted
+export const MAX_FILTERED_PER_HOST = 100;
+
+// Public suffixes made of two labels, used to find a host's registrable domain
+// (a pragmatic subset of the Public Suffix List)
+export const MULTI_PART_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+  'co.nz', 'org.nz', 'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'co.in', 'co.za',
+  'com.br', 'com.cn', 'com.mx', 'com.tr', 'com.sg', 'com.hk', 'com.tw',
+  'github.io', 'gitlab.io', 'herokuapp.com', 'netlify.app', 'vercel.app',
+  'pages.dev', 'workers.dev', 'web.app', 'firebaseapp.com', 'azurewebsites.net',
+  'cloudfront.net', 'appspot.com', 'amazonaws.com'
+]);
+
+// Token fields of OAuth2 / OIDC responses and the role each one plays
+export const ISSUED_TOKEN_FIELDS = {
+  access_token: { role: 'access', label: 'Access Token' },
+  refresh_token: { role: 'refresh', label: 'Refresh Token' },
+  id_token: { role: 'id', label: 'ID Token' }
+};
+
+// Content scripts that report token endpoint responses and page requests
+export const PAGE_HOOK_SCRIPTS = [
+  {
+    id: 'page-hook',
+    js: ['content/page-hook.js'],
+    matches: ['<all_urls>'],
+    runAt: 'document_start',
+    world: 'MAIN'
+  },
+  {
+    id: 'request-hook',
+    js: ['content/request-hook.js'],
+    matches: ['<all_urls>'],
+    runAt: 'document_start',
+    world: 'MAIN'
+  },
+  {
+    id: 'page-bridge',
+    js: ['content/bridge.js'],
+    matches: ['<all_urls>'],
+    runAt: 'document_start'
+  }
+];
+
+// Token sources each page hook script is needed for
+export const PAGE_HOOK_SOURCES = {
+  'page-hook': ['responses'],
+  'request-hook': ['pageRequests'],
+  'page-bridge': ['responses', 'pageRequests']
+};
+
+// Fields of WebSocket connection_init payloads (and similar first messages)
+// that carry credentials
+export const SOCKET_AUTH_FIELDS = [
+  'authorization', 'authtoken', 'auth_token', 'token', 'access_token', 'accesstoken', 'apikey', 'api_key',
+  'x-api-key', 'bearer'
+];
+
+// Vault encryption parameters (AES-GCM key derived with PBKDF2-SHA-256)
+export const VAULT_STORAGE_KEY = 'vault';
+export const VAULT_PBKDF2_ITERATIONS = 310000;
+export const VAULT_CHECK_VALUE = 'api-token-extractor-vault';
+export const VAULT_MIN_PASSPHRASE_LENGTH = 8;
+export const VAULT_LOCK_ALARM = 'vault-auto-lock';
+// Raw key of the unlocked vault, kept in chrome.storage.session
+export const VAULT_KEY_STORAGE_KEY = 'vaultKey';
+
+// Toolbar badge colors by the state of a tab's tokens
+export const BADGE_COLORS = {
+  normal: '#0f7ea8',
+  rotated: '#d98e04',
+  expired: '#e94560',
+  injected: '#7c3aed'
+};
+export const BADGE_EXPIRY_ALARM = 'badge-expiry';
+
+// Extension page that writes to the clipboard for the keyboard shortcuts
+export const OFFSCREEN_DOCUMENT_URL = 'offscreen.html';
+
+// Where a captured token can be written in another tab
+export const INJECTION_TARGETS = ['localStorage', 'sessionStorage', 'cookie', 'header'];
+
+// Active token injections, kept in chrome.storage.session with what they replaced
+export const INJECTIONS_STORAGE_KEY = 'injections';
+
+// Request types declarativeNetRequest header injections apply to
+export const INJECTION_RESOURCE_TYPES = [
+  'main_frame', 'sub_frame', 'xmlhttprequest', 'script', 'image', 'font', 'media', 'stylesheet',
+  'websocket', 'ping', 'other'
+];
+
+// Token validity probe limits
+export const PROBE_TIMEOUT_MS = 10000;
+export const PROBE_PREVIEW_LENGTH = 200;
+
+// Identifies exported settings files and the version of their layout
+export const SETTINGS_FILE_FORMAT = 'api-token-extractor-settings';
+export const SETTINGS_FILE_VERSION = 1;
@@ -0,0 +1,114 @@
+/**
+ * Cookie Inspector
+ *
+ * Lists the token and session cookies of the active page with all their
+ * attributes, and flags the ones that are weakly protected.
+ */
+
+import { COOKIE_NAME_PATTERNS, getKeyPatterns, isTokenCookie } from './scanners.js';
+import { getRegistrableDomain } from './url-scope.js';
+
+// ============================================================================
+// SECURITY CHECKS
+// ============================================================================
+
+// Weak attribute combinations of session-like cookies, in display order
+const COOKIE_WARNINGS = [
+  {
+    id: 'httpOnly',
+    applies: cookie => !cookie.httpOnly,
+    message: 'Missing HttpOnly: page scripts (and XSS) can read it'
+  },
+  {
+    id: 'secure',
+    applies: cookie => !cookie.secure,
+    message: 'Missing Secure: sent over plain HTTP'
+  },
+  {
+    id: 'sameSite',
+    applies: cookie => cookie.sameSite === 'no_restriction',
+    message: 'SameSite=None: sent with cross-site requests (CSRF)'
+  }
+];
+
+/**
+ * List the warnings that apply to a cookie
+ * @param {Object} cookie - chrome.cookies.Cookie
+ * @returns {Array} - { id, message } per weak attribute
+ */
+export function getCookieWarnings(cookie) {
+  return COOKIE_WARNINGS
+    .filter(warning => warning.applies(cookie))
+    .map(({ id, message }) => ({ id, message }));
+}
+
+// ============================================================================
+// INSPECTION
+// ============================================================================
+
+/**
+ * Describe a cookie with the attributes shown by the inspector
+ * @param {Object} cookie - chrome.cookies.Cookie
+ * @returns {Object} - { name, value, domain, path, expiresAt, httpOnly, secure,
+ *                     sameSite, hostOnly, partitionKey, warnings } where expiresAt is
+ *                     in ms (null for browser-session cookies) and partitionKey is the
+ *                     top-level site of a partitioned (CHIPS) cookie, or null
+ */
+export function describeCookie(cookie) {
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path,
+    expiresAt: cookie.session || !cookie.expirationDate ? null : Math.round(cookie.expirationDate * 1000),
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure),
+    sameSite: cookie.sameSite || 'unspecified',
+    hostOnly: Boolean(cookie.hostOnly),
+    partitionKey: cookie.partitionKey?.topLevelSite || null,
+    warnings: getCookieWarnings(cookie)
+  };
+}
+
+/**
+ * Read every cookie sent to a URL, partitioned ones included
+ * Partitioned cookies are only returned when asked for by top-level site;
+ * browsers without partition support reject the second query.
+ * @param {string} url - Page URL
+ * @returns {Promise<Array>} - chrome.cookies.Cookie objects
+ */
+async function getAllCookies(url) {
+  const cookies = await chrome.cookies.getAll({ url: url });
+
+  try {
+    const { protocol, hostname } = new URL(url);
+    const topLevelSite = `${protocol}//${getRegistrableDomain(hostname)}`;
+    cookies.push(...await chrome.cookies.getAll({ url: url, partitionKey: { topLevelSite } }));
+  } catch (error) {
+    // No partitioned cookies
+  }
+
+  const seen = new Set();
+  return cookies.filter(cookie => {
+    const key = [cookie.name, cookie.domain, cookie.path, cookie.partitionKey?.topLevelSite || ''].join('|');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Inspect the token and session cookies of a page
+ * Cookies are picked like in cookie scans; the ones with warnings come first.
+ * @param {string} url - Page URL
+ * @param {Object} settings - Current settings
+ * @returns {Promise<Array>} - Cookies described by describeCookie
+ */
+export async function inspectCookies(url, settings) {
+  const searchPatterns = getKeyPatterns(COOKIE_NAME_PATTERNS, settings);
+
+  return (await getAllCookies(url))
+    .filter(cookie => isTokenCookie(cookie, searchPatterns))
+    .map(describeCookie)
+    .sort((a, b) => b.warnings.length - a.warnings.length || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,359 @@
+/**
+ * Token Detection
+ *
+ * Applies the configured detection rules to request headers, query
+ * parameters and bodies, and recognizes credentials WebSockets are opened
+ * with. Pure functions, no chrome.* APIs involved.
+ */
+
+import { classifyToken } from './classifier.js';
+import { SOCKET_AUTH_FIELDS } from './constants.js';
+
+// ============================================================================
+// DETECTION RULES
+// ============================================================================
+
+// Compiled regex cache, keyed by pattern source
+const compiledPatterns = new Map();
+
+// How deep JSON request bodies are searched for rule fields
+const BODY_MAX_DEPTH = 8;
+
+/**
+ * Compile a rule pattern, caching the result
+ * @param {string} source - Regex source
+ * @param {string} flags - Regex flags
+ * @returns {RegExp|null} - Compiled regex or null if invalid
+ */
+function compilePattern(source, flags = 'i') {
+  const key = `${flags}/${source}`;
+
+  if (!compiledPatterns.has(key)) {
+    let regex = null;
+    try {
+      regex = new RegExp(source, flags);
+    } catch (error) {
+      console.warn('Invalid detection pattern:', source);
+    }
+    compiledPatterns.set(key, regex);
+  }
+
+  return compiledPatterns.get(key);
+}
+
+/**
+ * Check a URL against a rule URL pattern
+ * Patterns wrapped in slashes are regexes, anything else is a glob where
+ * '*' matches any run of characters. An empty pattern matches every URL.
+ * @param {string} url - Request URL
+ * @param {string} pattern - URL pattern
+ * @returns {boolean}
+ */
+export function matchesUrlPattern(url, pattern) {
+  if (!pattern) return true;
+
+  const regexMatch = pattern.match(/^\/(.+)\/$/);
+  if (regexMatch) {
+    const regex = compilePattern(regexMatch[1]);
+    return regex ? regex.test(url) : false;
+  }
+
+  const glob = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  const regex = compilePattern(`^${glob}$`);
+  return regex ? regex.test(url) : false;
+}
+
+/**
+ * Apply a single rule to a header value
+ * @param {Object} rule - Detection rule
+ * @param {string} value - Header value
+ * @returns {string|null} - Captured token or null
+ */
+export function applyRule(rule, value) {
+  if (!rule.pattern) return value || null;
+
+  const regex = compilePattern(rule.pattern);
+  const match = regex ? value.match(regex) : null;
+  if (!match) return null;
+
+  // First capture group is the token; fall back to the whole match
+  return (match[1] !== undefined ? match[1] : match[0]) || null;
+}
+
+/**
+ * List the enabled rules looking in one part of a request to a URL
+ * @param {string} location - 'header' | 'query' | 'body'
+ * @param {string} url - Request URL
+ * @param {Object} settings - Current settings
+ * @returns {Array} - Rules in their configured order
+ */
+export function getRulesFor(location, url, settings) {
+  return settings.detectionRules.filter(rule => rule.enabled && rule.header &&
+    (rule.location || 'header') === location && matchesUrlPattern(url, rule.urlPattern));
+}
+
+/**
+ * Build the match of a rule against a named value
+ * @param {Object} rule - Detection rule
+ * @param {string} name - Parameter or field name as sent
+ * @param {string} value - Parameter or field value
+ * @returns {Object|null} - { token, ruleId, ruleLabel, paramName } or null
+ */
+function matchParam(rule, name, value) {
+  const token = typeof value === 'string' ? applyRule(rule, value) : null;
+  return token ? { token: token, ruleId: rule.id, ruleLabel: rule.label || rule.header, paramName: name } : null;
+}
+
+// ============================================================================
+// TOKEN EXTRACTION FROM HEADERS
+// ============================================================================
+
+/**
+ * Extract tokens from request headers using every enabled detection rule
+ * @param {Array} headers - Request headers array
+ * @param {string} url - Request URL
+ * @param {Object} settings - Current settings
+ * @returns {Array} - Matches as { token, ruleId, ruleLabel, headerName, headerPrefix }
+ */
+export function extractTokensFromHeaders(headers, url, settings) {
+  if (!headers || !Array.isArray(headers)) return [];
+
+  const matches = [];
+
+  // Rules are checked in their configured order so the first rule to match
+  // a token is the one it gets tagged with
+  for (const rule of getRulesFor('header', url, settings)) {
+    const ruleHeader = rule.header.toLowerCase();
+
+    for (const header of headers) {
+      if (header.name.toLowerCase() !== ruleHeader || !header.value) continue;
+
+      const token = applyRule(rule, header.value);
+      if (token) {
+        // Whatever precedes the token (e.g. "Bearer ") is kept so the header
+        // can be rebuilt exactly when the token is reused
+        const tokenIndex = header.value.indexOf(token);
+
+        matches.push({
+          token: token,
+          ruleId: rule.id,
+          ruleLabel: rule.label || rule.header,
+          headerName: header.name,
+          headerPrefix: tokenIndex > 0 ? header.value.slice(0, tokenIndex) : ''
+        });
+      }
+    }
+  }
+
+  return matches;
+}
+
+// ============================================================================
+// TOKEN EXTRACTION FROM QUERY STRINGS AND BODIES
+// ============================================================================
+
+/**
+ * Extract tokens from the query string of a request URL (e.g. ?api_key=...)
+ * @param {string} url - Request URL
+ * @param {Object} settings - Current settings
+ * @returns {Array} - Matches as { token, ruleId, ruleLabel, paramName }
+ */
+export function extractTokensFromQuery(url, settings) {
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch (error) {
+    return [];
+  }
+
+  const matches = [];
+  for (const rule of getRulesFor('query', url, settings)) {
+    const ruleParam = rule.header.toLowerCase();
+
+    params.forEach((value, name) => {
+      const match = name.toLowerCase() === ruleParam ? matchParam(rule, name, value) : null;
+      if (match) matches.push(match);
+    });
+  }
+
+  return matches;
+}
+
+/**
+ * Read the fields of a request body
+ * Form bodies arrive parsed; raw bodies are decoded as JSON or, failing
+ * that, as a URL-encoded form.
+ * @param {Object} requestBody - webRequest requestBody ({ formData } or { raw: [{ bytes }] })
+ * @returns {Object|null} - Parsed body, or null if it cannot be read
+ */
+export function parseRequestBody(requestBody) {
+  if (!requestBody) return null;
+
+  if (requestBody.formData) {
+    return requestBody.formData;
+  }
+
+  const chunks = (requestBody.raw || []).filter(chunk => chunk.bytes);
+  if (chunks.length === 0) return null;
+
+  const decoder = new TextDecoder();
+  return parseBodyText(chunks.map(chunk => decoder.decode(chunk.bytes, { stream: true })).join('') + decoder.decode());
+}
+
+/**
+ * Read the fields of a body sent as text, as JSON or a URL-encoded form
+ * @param {string} text - Body text
+ * @returns {Object|null} - Parsed body, or null if it is neither
+ */
+export function parseBodyText(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    if (!text.includes('=')) return null;
+
+    const form = {};
+    new URLSearchParams(text).forEach((value, name) => {
+      form[name] = [...(form[name] || []), value];
+    });
+    return form;
+  }
+}
+
+/**
+ * Extract tokens from the fields of a request body, at any depth
+ * @param {Object} requestBody - webRequest requestBody
+ * @param {string} url - Request URL
+ * @param {Object} settings - Current settings
+ * @returns {Array} - Matches as { token, ruleId, ruleLabel, paramName }
+ */
+export function extractTokensFromBody(requestBody, url, settings) {
+  const rules = getRulesFor('body', url, settings);
+  return rules.length > 0 ? extractTokensFromFields(parseRequestBody(requestBody), url, settings) : [];
+}
+
+/**
+ * Extract tokens from the fields of a parsed body, at any depth
+ * @param {Object|null} body - Parsed JSON or form fields
+ * @param {string} url - Request URL
+ * @param {Object} settings - Current settings
+ * @returns {Array} - Matches as { token, ruleId, ruleLabel, paramName }
+ */
+export function extractTokensFromFields(body, url, settings) {
+  const rules = getRulesFor('body', url, settings);
+  if (!body || typeof body !== 'object') return [];
+
+  const matches = [];
+
+  // Rules are checked in their configured order, like header rules
+  for (const rule of rules) {
+    const ruleField = rule.header.toLowerCase();
+
+    const walk = (value, depth) => {
+      if (depth > BODY_MAX_DEPTH || value === null || typeof value !== 'object') return;
+
+      for (const [name, child] of Object.entries(value)) {
+        if (name.toLowerCase() !== ruleField) {
+          walk(child, depth + 1);
+          continue;
+        }
+
+        // Form fields arrive as arrays of values
+        for (const item of Array.isArray(child) ? child : [child]) {
+          const match = matchParam(rule, name, item);
+          if (match) matches.push(match);
+        }
+      }
+    };
+
+    walk(body, 0);
+  }
+
+  return matches;
+}
+
+// ============================================================================
+// TOKEN EXTRACTION FROM WEBSOCKETS
+// ============================================================================
+
+// Subprotocols carrying a token after a marker, e.g. "bearer.<token>"
+const PROTOCOL_TOKEN_PATTERN = /^(?:bearer|access_token|token|auth)[._,-](.+)$/i;
+
+// First messages that authenticate a socket (graphql-ws, subscriptions-transport-ws, ...)
+const SOCKET_AUTH_TYPES = /^(connection_init|auth|authenticate|authorization|login)$/i;
+
+// Lowest classifier confidence for a bare subprotocol to count as a token
+const PROTOCOL_MIN_CONFIDENCE = 70;
+
+/**
+ * Extract tokens from the subprotocols a WebSocket was opened with
+ * Browsers cannot set headers on WebSockets, so servers take the token as
+ * a subprotocol, alone or after a marker. Bare protocols only count when
+ * they look like credentials.
+ * @param {Array} protocols - Subprotocol strings
+ * @returns {Array} - Matches as { token, ruleId, ruleLabel, paramName }
+ */
+export function extractTokensFromProtocols(protocols) {
+  if (!Array.isArray(protocols)) return [];
+
+  return protocols
+    .filter(protocol => typeof protocol === 'string')
+    .map(protocol => {
+      const marked = protocol.match(PROTOCOL_TOKEN_PATTERN);
+      const token = marked ? marked[1] : protocol;
+      const accepted = marked || classifyToken(token).confidence >= PROTOCOL_MIN_CONFIDENCE;
+      return accepted ? { token: token, ruleId: null, ruleLabel: 'WebSocket protocol', paramName: null } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Extract tokens from a text message sent over a WebSocket
+ * Body rules apply to every JSON message; authentication messages such as
+ * GraphQL-over-WebSocket connection_init are also searched for the usual
+ * credential fields.
+ * @param {string} text - Message text
+ * @param {string} url - Socket URL
+ * @param {Object} settings - Current settings
+ * @returns {Array} - Matches as { token, ruleId, ruleLabel, paramName, headerName, headerPrefix }
+ */
+export function extractTokensFromSocketMessage(text, url, settings) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    return [];
+  }
+  if (!message || typeof message !== 'object') return [];
+
+  const matches = extractTokensFromFields(message, url, settings);
+  if (typeof message.type !== 'string' || !SOCKET_AUTH_TYPES.test(message.type)) return matches;
+
+  const walk = (value, path, depth) => {
+    if (depth > BODY_MAX_DEPTH || value === null || typeof value !== 'object') return;
+
+    for (const [name, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${name}` : name;
+
+      if (typeof child === 'string' && SOCKET_AUTH_FIELDS.includes(name.toLowerCase())) {
+        // "Bearer <token>" values are sent back in an Authorization header
+        const scheme = child.match(/^(Bearer|Token|Basic)\s+(\S+)$/i);
+        matches.push({
+          token: scheme ? scheme[2] : child,
+          ruleId: null,
+          ruleLabel: `WebSocket ${message.type}`,
+          paramName: childPath,
+          headerName: scheme ? 'Authorization' : null,
+          headerPrefix: scheme ? `${scheme[1]} ` : ''
+        });
+      } else {
+        walk(child, childPath, depth + 1);
+      }
+    }
+  };
+
+  walk(message, '', 0);
+  return matches.filter(match => match.token);
+}
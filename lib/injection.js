@@ -0,0 +1,268 @@
+/**
+ * Token Injection
+ *
+ * Writes a captured token into another tab: a localStorage or sessionStorage
+ * key, a cookie, or a request header set by a declarativeNetRequest session
+ * rule. Each injection remembers what it replaced, so reverting it restores
+ * the target as it was.
+ */
+
+import { abbreviateToken } from './alerts.js';
+import { INJECTION_RESOURCE_TYPES, INJECTION_TARGETS, INJECTIONS_STORAGE_KEY } from './constants.js';
+import { notifyPopup } from './sessions.js';
+
+// ============================================================================
+// INJECTION RECORDS
+// ============================================================================
+
+/**
+ * Read the active injections
+ * @returns {Promise<Array>} - { id, type, tabId, tabTitle, pageUrl, key, urlFilter,
+ *                             ruleId, preview, createdAt, previous } per injection
+ */
+async function loadInjections() {
+  const stored = await chrome.storage.session.get(INJECTIONS_STORAGE_KEY);
+  return stored[INJECTIONS_STORAGE_KEY] || [];
+}
+
+/**
+ * Save the active injections and refresh the popup and badges
+ * @param {Array} injections - Injection records
+ * @param {Array} tabIds - Tabs whose injections changed
+ */
+async function storeInjections(injections, tabIds) {
+  await chrome.storage.session.set({ [INJECTIONS_STORAGE_KEY]: injections });
+  notifyPopup({ tabIds: tabIds });
+}
+
+/**
+ * List the active injections without the values they replaced
+ * @param {number} [tabId] - Only list the injections into this tab
+ * @returns {Promise<Array>} - Injection records
+ */
+export async function listInjections(tabId) {
+  return (await loadInjections())
+    .filter(injection => tabId === undefined || injection.tabId === tabId)
+    .map(({ previous, ...injection }) => injection);
+}
+
+// ============================================================================
+// TARGETS
+// ============================================================================
+
+/**
+ * Write or remove a Web Storage item
+ * Injected into the target tab.
+ * @param {string} area - 'localStorage' | 'sessionStorage'
+ * @param {string} key - Item key
+ * @param {string|null} value - New value, or null to remove the item
+ * @returns {string|null} - The value it replaced
+ */
+function writePageStorage(area, key, value) {
+  const storage = window[area];
+  const previous = storage.getItem(key);
+
+  if (value === null) {
+    storage.removeItem(key);
+  } else {
+    storage.setItem(key, value);
+  }
+
+  return previous;
+}
+
+/**
+ * Write or remove a Web Storage item of a tab
+ * @param {number} tabId - Target tab
+ * @param {string} area - 'localStorage' | 'sessionStorage'
+ * @param {string} key - Item key
+ * @param {string|null} value - New value, or null to remove the item
+ * @returns {Promise<string|null>} - The value it replaced
+ */
+async function setPageStorage(tabId, area, key, value) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: tabId },
+    func: writePageStorage,
+    args: [area, key, value]
+  });
+  return injection?.result ?? null;
+}
+
+/**
+ * Set a cookie from the attributes chrome.cookies.get reports
+ * @param {string} url - Page URL the cookie belongs to
+ * @param {Object} cookie - { name, value, domain, hostOnly, path, secure, httpOnly, sameSite, expirationDate }
+ */
+async function setCookie(url, cookie) {
+  const details = {
+    url: url,
+    name: cookie.name,
+    value: cookie.value,
+    path: cookie.path || '/',
+    secure: Boolean(cookie.secure),
+    httpOnly: Boolean(cookie.httpOnly),
+    sameSite: cookie.sameSite || 'lax'
+  };
+  if (!cookie.hostOnly && cookie.domain) details.domain = cookie.domain;
+  if (cookie.expirationDate) details.expirationDate = cookie.expirationDate;
+
+  if (!await chrome.cookies.set(details)) {
+    throw new Error(`The browser refused the ${cookie.name} cookie`);
+  }
+}
+
+/**
+ * Add a session rule setting a request header in one tab
+ * Session rules are dropped when the browser closes.
+ * @param {number} tabId - Tab whose requests get the header
+ * @param {string} urlFilter - declarativeNetRequest URL filter, e.g. "||api.example.com/"
+ * @param {string} name - Header name
+ * @param {string} value - Header value
+ * @returns {Promise<number>} - Rule ID
+ */
+async function addHeaderRule(tabId, urlFilter, name, value) {
+  const rules = await chrome.declarativeNetRequest.getSessionRules();
+  const ruleId = rules.reduce((max, rule) => Math.max(max, rule.id), 0) + 1;
+
+  await chrome.declarativeNetRequest.updateSessionRules({
+    addRules: [{
+      id: ruleId,
+      priority: 1,
+      action: {
+        type: 'modifyHeaders',
+        requestHeaders: [{ header: name, operation: 'set', value: value }]
+      },
+      condition: { urlFilter: urlFilter, tabIds: [tabId], resourceTypes: INJECTION_RESOURCE_TYPES }
+    }]
+  });
+
+  return ruleId;
+}
+
+// ============================================================================
+// INJECT & REVERT
+// ============================================================================
+
+/**
+ * Write a token into another tab
+ * Injecting again into the same key keeps the value of the first
+ * injection to revert to.
+ * @param {string} token - Token value
+ * @param {Object} target - { type, tabId, key, urlFilter, prefix } where type is one of
+ *                          INJECTION_TARGETS, key is the storage key, cookie name or header
+ *                          name, urlFilter limits header rules (e.g. "||api.example.com/")
+ *                          and prefix goes before the token (e.g. "Bearer ")
+ * @returns {Promise<Object>} - The injection, without the value it replaced
+ */
+export async function injectToken(token, target) {
+  if (!INJECTION_TARGETS.includes(target.type)) {
+    throw new Error(`Unknown injection target: ${target.type}`);
+  }
+
+  const key = String(target.key || '').trim();
+  if (!key) {
+    throw new Error(target.type === 'header' ? 'Enter a header name' : target.type === 'cookie' ? 'Enter a cookie name' : 'Enter a storage key');
+  }
+
+  const urlFilter = target.type === 'header' ? String(target.urlFilter || '').trim() : null;
+  if (target.type === 'header' && !urlFilter) {
+    throw new Error('Enter the URLs to add the header to');
+  }
+
+  const tab = await chrome.tabs.get(target.tabId);
+  const value = `${target.prefix || ''}${token}`;
+  const injections = await loadInjections();
+  const earlier = injections.find(other => other.type === target.type && other.tabId === tab.id && other.key === key
+    && other.urlFilter === urlFilter);
+
+  const injection = {
+    id: `injection-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    type: target.type,
+    tabId: tab.id,
+    tabTitle: tab.title || '',
+    pageUrl: tab.url || '',
+    key: key,
+    urlFilter: urlFilter,
+    ruleId: null,
+    preview: abbreviateToken(token),
+    createdAt: Date.now(),
+    previous: null
+  };
+
+  if (target.type === 'header') {
+    injection.ruleId = await addHeaderRule(tab.id, urlFilter, key, value);
+    if (earlier) {
+      await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [earlier.ruleId] });
+    }
+  } else if (target.type === 'cookie') {
+    // Replace the cookie in place, or add a host-only one
+    const existing = await chrome.cookies.get({ url: tab.url, name: key });
+    await setCookie(tab.url, existing
+      ? { ...existing, value: value }
+      : { name: key, value: value, path: '/', hostOnly: true, secure: tab.url.startsWith('https:'), sameSite: 'lax' });
+    injection.previous = earlier ? earlier.previous : existing;
+  } else {
+    const existing = await setPageStorage(tab.id, target.type, key, value);
+    injection.previous = earlier ? earlier.previous : existing;
+  }
+
+  await storeInjections([...injections.filter(other => other !== earlier), injection], [tab.id]);
+
+  const { previous, ...visible } = injection;
+  return visible;
+}
+
+/**
+ * Undo an injection, restoring what it replaced
+ * @param {Object} injection - Injection record
+ */
+async function undoInjection(injection) {
+  if (injection.type === 'header') {
+    await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [injection.ruleId] });
+  } else if (injection.type === 'cookie') {
+    if (injection.previous) {
+      await setCookie(injection.pageUrl, injection.previous);
+    } else {
+      await chrome.cookies.remove({ url: injection.pageUrl, name: injection.key });
+    }
+  } else {
+    await setPageStorage(injection.tabId, injection.type, injection.key, injection.previous);
+  }
+}
+
+/**
+ * Revert injections
+ * Every selected injection is forgotten, also when undoing it fails (e.g.
+ * because its tab is gone).
+ * @param {Function} [predicate] - Selects the injections to revert (all by default)
+ * @returns {Promise<Array>} - Error messages of injections that could not be reverted
+ */
+export async function revertInjections(predicate = () => true) {
+  const injections = await loadInjections();
+  const reverted = injections.filter(predicate);
+  const errors = [];
+
+  for (const injection of reverted) {
+    try {
+      await undoInjection(injection);
+    } catch (error) {
+      errors.push(`${injection.key}: ${error.message}`);
+    }
+  }
+
+  await storeInjections(injections.filter(injection => !predicate(injection)),
+    [...new Set(reverted.map(injection => injection.tabId))]);
+  return errors;
+}
+
+/**
+ * Handler for closed tabs: revert their injections
+ * Cookies and header rules are restored; storage written into a closed tab
+ * cannot be, so its sessionStorage is gone and its localStorage keeps the token.
+ * @param {number} tabId - Closed tab
+ */
+export async function handleInjectedTabRemoved(tabId) {
+  if ((await loadInjections()).some(injection => injection.tabId === tabId)) {
+    await revertInjections(injection => injection.tabId === tabId);
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Issued Token Capture
+ *
+ * Captures tokens as they are issued: OAuth2 token endpoint responses
+ * (reported by the page hook), OIDC redirect fragments and Set-Cookie headers.
+ */
+
+import { ISSUED_TOKEN_FIELDS, PAGE_HOOK_SCRIPTS, PAGE_HOOK_SOURCES } from './constants.js';
+import { getKeyPatterns, COOKIE_NAME_PATTERNS } from './scanners.js';
+import { addToken } from './sessions.js';
+import { getAllProfileSettings, getSettings } from './settings.js';
+import { state } from './state.js';
+
+// ============================================================================
+// ISSUED TOKEN CAPTURE
+// ============================================================================
+
+/**
+ * Record the tokens of one OAuth2 / OIDC grant as a linked set
+ * @param {number} tabId - Tab the tokens were issued to
+ * @param {string} url - Token endpoint or redirect URL
+ * @param {Object} params - Response fields (access_token, refresh_token, id_token, expires_in, token_type)
+ * @param {string} source - 'token-response' | 'redirect'
+ * @param {Object} settings - Current settings
+ */
+export async function recordIssuedTokens(tabId, url, params, source, settings) {
+  const grantId = `grant-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  const expiresIn = Number(params.expires_in);
+  const expiresAt = expiresIn > 0 ? Date.now() + expiresIn * 1000 : null;
+  const scheme = typeof params.token_type === 'string' && params.token_type ? params.token_type : 'Bearer';
+
+  for (const [field, { role, label }] of Object.entries(ISSUED_TOKEN_FIELDS)) {
+    const token = params[field];
+    if (typeof token !== 'string' || !token) continue;
+
+    // Only the access token is meant to be sent in a request header
+    const isAccess = role === 'access';
+
+    await addToken(tabId, token, url, settings, {
+      source: source,
+      ruleLabel: label,
+      headerName: isAccess ? 'Authorization' : null,
+      headerPrefix: isAccess ? `${scheme.charAt(0).toUpperCase()}${scheme.slice(1)} ` : '',
+      tokenRole: role,
+      grantId: grantId,
+      expiresAt: isAccess ? expiresAt : null
+    });
+  }
+}
+
+/**
+ * Capture tokens delivered in an OIDC / implicit-flow redirect fragment
+ * e.g. https://app/callback#access_token=...&id_token=...&expires_in=3600
+ * @param {number} tabId - Tab that navigated
+ * @param {string} url - New tab URL
+ */
+export async function handleRedirectFragment(tabId, url) {
+  const hashIndex = url.indexOf('#');
+  if (hashIndex === -1 || tabId !== state.activeTabId) return;
+
+  const params = Object.fromEntries(new URLSearchParams(url.slice(hashIndex + 1)));
+  if (!params.access_token && !params.id_token) return;
+
+  const settings = await getSettings();
+  if (!settings.tokenSources.responses) return;
+
+  await recordIssuedTokens(tabId, url.slice(0, hashIndex), params, 'redirect', settings);
+}
+
+/**
+ * Split a Set-Cookie header into its name and value
+ * @param {string} header - Set-Cookie header value
+ * @returns {Object|null} - { name, value } or null if malformed
+ */
+export function parseSetCookie(header) {
+  const pair = header.split(';', 1)[0];
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return null;
+
+  return {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim()
+  };
+}
+
+/**
+ * Handler for response headers: capture token cookies as they are set
+ * @param {Object} details - webRequest onHeadersReceived details
+ */
+export async function handleResponseHeaders(details) {
+  await state.stateReady;
+  if (details.tabId !== state.activeTabId || !details.responseHeaders) return;
+
+  const setCookies = details.responseHeaders.filter(header => header.name.toLowerCase() === 'set-cookie');
+  if (setCookies.length === 0) return;
+
+  const settings = await getSettings();
+  if (!settings.tokenSources.responses) return;
+
+  const searchPatterns = getKeyPatterns(COOKIE_NAME_PATTERNS, settings);
+
+  for (const header of setCookies) {
+    // Several cookies may be folded into one header, separated by newlines
+    for (const line of (header.value || '').split('\n')) {
+      const cookie = parseSetCookie(line);
+      if (!cookie || cookie.value.length <= 10) continue; // Basic validation
+
+      const nameLower = cookie.name.toLowerCase();
+      if (!searchPatterns.some(pattern => nameLower.includes(pattern))) continue;
+
+      await addToken(details.tabId, cookie.value, details.url, settings, {
+        source: 'set-cookie',
+        ruleLabel: `Set-Cookie: ${cookie.name}`,
+        headerName: 'Cookie',
+        headerPrefix: `${cookie.name}=`
+      });
+    }
+  }
+}
+
+/**
+ * Register or unregister the page hook content scripts to match settings
+ * Each hook stays registered while any profile enables a token source it
+ * serves (see PAGE_HOOK_SOURCES); registered scripts persist across service
+ * worker restarts
+ */
+export async function syncPageHooks() {
+  const ids = PAGE_HOOK_SCRIPTS.map(script => script.id);
+
+  try {
+    const registered = (await chrome.scripting.getRegisteredContentScripts({ ids })).map(script => script.id);
+    const allSettings = await getAllProfileSettings();
+    const wanted = PAGE_HOOK_SCRIPTS.filter(script => PAGE_HOOK_SOURCES[script.id]
+      .some(source => allSettings.some(settings => settings.tokenSources[source])));
+
+    const stale = registered.filter(id => !wanted.some(script => script.id === id));
+    const missing = wanted.filter(script => !registered.includes(script.id));
+
+    if (stale.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: stale });
+    }
+    if (missing.length > 0) {
+      await chrome.scripting.registerContentScripts(missing);
+    }
+  } catch (error) {
+    console.error('Error syncing page hooks:', error);
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * JWT Decoding
+ *
+ * Decodes JWT segments locally, without verifying the signature. Shared by
+ * the worker (classifier, badge expiry) and the popup, so this module must
+ * not touch chrome.* or worker state.
+ */
+
+// ============================================================================
+// JWT DECODING
+// ============================================================================
+
+/**
+ * Decode a base64url segment into a UTF-8 string
+ * @param {string} segment - base64url encoded segment
+ * @returns {string|null} - Decoded string or null if malformed
+ */
+function base64UrlDecode(segment) {
+  if (!segment || !/^[A-Za-z0-9_-]+={0,2}$/.test(segment)) {
+    return null;
+  }
+
+  try {
+    let base64 = segment.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+    base64 += '='.repeat((4 - (base64.length % 4)) % 4);
+
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decode a JWT header or payload segment
+ * @param {string} segment - base64url encoded segment
+ * @returns {Object|null} - Parsed JSON object, or null if malformed
+ */
+export function decodeJwtPart(segment) {
+  const text = base64UrlDecode(segment);
+  if (text === null) return null;
+
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decode a JWT locally without verifying its signature
+ * @param {string} token - Candidate token value
+ * @returns {Object|null} - { header, payload, error } or null if not a JWT
+ */
+export function decodeJwt(token) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.trim().split('.');
+  if (parts.length !== 3) return null;
+
+  // A token whose header is not a JSON object is not treated as a JWT at all
+  const header = decodeJwtPart(parts[0]);
+  if (!header) return null;
+
+  const payload = decodeJwtPart(parts[1]);
+  if (!payload) {
+    return { header, payload: null, error: 'Malformed JWT payload' };
+  }
+
+  return { header, payload, error: null };
+}
@@ -0,0 +1,83 @@
+/**
+ * Token Leak Detection
+ *
+ * Notices when a captured token is later sent to a site it does not belong
+ * to, e.g. an internal API token reaching a third-party script host, and
+ * records each such destination for the popup.
+ */
+
+import { MAX_LEAK_ENTRIES } from './constants.js';
+import { getHostname, getRegistrableDomain } from './url-scope.js';
+
+// ============================================================================
+// LEAK DETECTION
+// ============================================================================
+
+/**
+ * List the sites a token belongs to: the site it was first sent to or read
+ * from, and the site of the page it was captured in
+ * Storage and cookie tokens only have the page's site.
+ * @param {Object} data - Stored token data
+ * @param {Object} session - Session holding the token
+ * @returns {Array} - Registrable domains, the first-seen one first
+ */
+export function getTokenSites(data, session) {
+  return [data.url, session.origin]
+    .map(url => getRegistrableDomain(getHostname(url)))
+    .filter(Boolean);
+}
+
+/**
+ * Record a request sending a known token to a site it does not belong to
+ * Each token and destination site is one entry counting its requests.
+ * @param {Object} session - Session holding the token
+ * @param {string} token - Token value
+ * @param {string} url - Request URL, with query tokens masked
+ * @param {Object} request - Request record (see buildRequestRecord)
+ * @returns {Object|null} - The leak entry (count 1 when new), or null if the site is expected
+ */
+export function recordLeak(session, token, url, request) {
+  const data = session.tokens.get(token);
+  const toSite = getRegistrableDomain(getHostname(url));
+  const sites = data ? getTokenSites(data, session) : [];
+  if (!toSite || sites.length === 0 || sites.includes(toSite)) {
+    return null;
+  }
+
+  const now = Date.now();
+  const existing = session.leaks.find(entry => entry.token === token && entry.toSite === toSite);
+  if (existing) {
+    existing.count += 1;
+    existing.lastSeen = now;
+    existing.toUrl = url;
+    existing.method = request.method || existing.method;
+    return existing;
+  }
+
+  const leak = {
+    token: token,
+    ruleLabel: data.ruleLabel,
+    source: data.source,
+    fromUrl: data.url,
+    fromSite: sites[0],
+    toUrl: url,
+    toSite: toSite,
+    method: request.method || null,
+    count: 1,
+    timestamp: now,
+    lastSeen: now
+  };
+
+  session.leaks.unshift(leak);
+  session.leaks.length = Math.min(session.leaks.length, MAX_LEAK_ENTRIES);
+  return leak;
+}
+
+/**
+ * List a session's leaks for the popup
+ * @param {Object} session - Token session
+ * @returns {Array} - Leak entries, newest first
+ */
+export function getLeakList(session) {
+  return session.leaks.map(entry => ({ ...entry }));
+}
@@ -0,0 +1,106 @@
+/**
+ * Page Utilities
+ *
+ * Display and DOM helpers shared by the extension pages (popup, DevTools
+ * panel and settings). Never imported by the worker, which has no document.
+ */
+
+// ============================================================================
+// DISPLAY METADATA
+// ============================================================================
+
+// Display metadata for each token source, in filter order
+export const TOKEN_SOURCES = {
+  header: { icon: '📡', label: 'Header' },
+  query: { icon: '❓', label: 'Query' },
+  body: { icon: '📦', label: 'Body' },
+  localStorage: { icon: '💾', label: 'localStorage' },
+  sessionStorage: { icon: '🗂️', label: 'sessionStorage' },
+  indexedDB: { icon: '🗄️', label: 'IndexedDB' },
+  cookie: { icon: '🍪', label: 'Cookie' },
+  'token-response': { icon: '🔑', label: 'Token response' },
+  redirect: { icon: '↪️', label: 'Redirect' },
+  'set-cookie': { icon: '🍪', label: 'Set-Cookie' },
+  websocket: { icon: '🔌', label: 'WebSocket' }
+};
+
+// Why a token was kept out by the URL scope settings
+export const FILTER_REASONS = {
+  deny: 'deny list',
+  allow: 'not in allow list',
+  'third-party': 'third party'
+};
+
+// ============================================================================
+// PAGE UTILITIES
+// ============================================================================
+
+/**
+ * Mask a token for display, showing only first and last few characters
+ * @param {string} token - Full token value
+ * @returns {string} - Masked token
+ */
+export function maskToken(token) {
+  if (!token || token.length < 12) {
+    return '••••••••••••';
+  }
+
+  const visibleStart = 4;
+  const visibleEnd = 4;
+  const masked = '•'.repeat(Math.min(20, token.length - visibleStart - visibleEnd));
+
+  return token.slice(0, visibleStart) + masked + token.slice(-visibleEnd);
+}
+
+/**
+ * Escape a string for safe insertion into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Copy text to clipboard
+ * DevTools panels may be denied the Clipboard API; a copy command on a
+ * temporary text field of the extension page is the fallback.
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} - Whether the text was copied
+ */
+export async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    const field = document.createElement('textarea');
+    field.value = text;
+    document.body.appendChild(field);
+    field.select();
+    const copied = document.execCommand('copy');
+    field.remove();
+    if (!copied) console.error('Failed to copy:', error);
+    return copied;
+  }
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - Content type
+ */
+export function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
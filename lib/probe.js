@@ -0,0 +1,156 @@
+/**
+ * Token Validity Probe
+ *
+ * Tests a captured token by sending it to a health URL the user configured
+ * for the token's origin (e.g. /api/me) and classifying the response.
+ */
+
+import { PROBE_TIMEOUT_MS, PROBE_PREVIEW_LENGTH } from './constants.js';
+import { getOrigin, persistTokens, notifyPopup } from './sessions.js';
+import { getSettings } from './settings.js';
+import { getRequestHeader } from './snippets.js';
+import { state } from './state.js';
+
+// ============================================================================
+// TOKEN PROBE
+// ============================================================================
+
+/**
+ * Find the health URL configured for an origin
+ * Absolute URLs apply to their own origin; a bare /path applies to any
+ * origin without one of its own.
+ * @param {string} origin - Origin the token is used on
+ * @param {Object} settings - Current settings
+ * @returns {string|null} - Health URL, or null if none is configured
+ */
+export function getProbeUrl(origin, settings) {
+  let fallback = null;
+
+  for (const entry of settings.probeUrls || []) {
+    if (entry.startsWith('/')) {
+      fallback = fallback || new URL(entry, origin).href;
+    } else if (getOrigin(entry) === origin) {
+      return entry;
+    }
+  }
+
+  return fallback;
+}
+
+/**
+ * Classify a probe response status
+ * @param {number} status - HTTP status code
+ * @returns {string} - 'valid' | 'invalid' | 'unknown'
+ */
+function getProbeVerdict(status) {
+  if (status >= 200 && status < 300) return 'valid';
+  if (status === 401 || status === 403) return 'invalid';
+  return 'unknown';
+}
+
+/**
+ * Send a request to the health URL carrying only the token
+ * Cookies are omitted so the browser's own session cannot answer for it.
+ * @param {string} url - Health URL
+ * @param {Object|null} header - { name, value }, null when the token is in the URL
+ * @returns {Promise<Object>} - { url, verdict, status, latency, preview, error, checkedAt }
+ */
+async function sendProbe(url, header) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  const startedAt = Date.now();
+  const result = { url: url, verdict: 'unknown', status: null, latency: null, preview: '', error: null };
+
+  try {
+    const response = await fetch(url, {
+      headers: header ? { [header.name]: header.value } : {},
+      credentials: 'omit',
+      cache: 'no-store',
+      redirect: 'manual',
+      signal: controller.signal
+    });
+
+    if (response.type === 'opaqueredirect') {
+      // Often a redirect to a login page, but the target stays hidden
+      result.error = 'Redirected';
+      return finishProbe(result, startedAt);
+    }
+
+    const body = await response.text();
+
+    result.status = response.status;
+    result.verdict = getProbeVerdict(response.status);
+    result.preview = body.replace(/\s+/g, ' ').trim().slice(0, PROBE_PREVIEW_LENGTH);
+  } catch (error) {
+    result.error = error.name === 'AbortError'
+      ? `No response within ${PROBE_TIMEOUT_MS / 1000} s`
+      : error.message;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return finishProbe(result, startedAt);
+}
+
+/**
+ * Stamp a probe result with its latency and time
+ * @param {Object} result - Probe result
+ * @param {number} startedAt - When the request was sent
+ * @returns {Object} - The same result
+ */
+function finishProbe(result, startedAt) {
+  result.latency = Date.now() - startedAt;
+  result.checkedAt = Date.now();
+  return result;
+}
+
+/**
+ * Test a token against its origin's health URL and remember the result
+ * @param {string} sessionKey - Session holding the token
+ * @param {string} token - Token value
+ * @returns {Promise<Object>} - Probe result
+ */
+export async function probeToken(sessionKey, token) {
+  const session = state.tokenSessions.get(sessionKey);
+  const data = session?.tokens.get(token);
+  if (!data) {
+    throw new Error('Token not found');
+  }
+
+  // Test where the token was first seen, never where it went last: a later
+  // request may have carried it to a third party. Storage and cookie tokens
+  // belong to the page.
+  const origin = getOrigin(data.url) || session.origin;
+  const url = origin ? getProbeUrl(origin, await getSettings()) : null;
+  if (!url) {
+    throw new Error(`No health URL configured for ${origin || 'this token'}`);
+  }
+
+  if (data.source === 'body') {
+    // A GET health URL has no body to carry the field in
+    throw new Error('Body tokens cannot be sent in a test request');
+  }
+
+  const header = getRequestHeader(token, data);
+  if (header && header.name.toLowerCase() === 'cookie') {
+    // Browsers drop Cookie headers set by fetch()
+    throw new Error('Cookie tokens cannot be sent in a test request');
+  }
+
+  // Query tokens go back into the parameter they were captured from; the
+  // result keeps the health URL without them
+  const requestUrl = new URL(url);
+  if (data.source === 'query' && data.paramName) {
+    requestUrl.searchParams.set(data.paramName, token);
+  }
+
+  data.probe = { ...await sendProbe(requestUrl.href, header), url: url };
+
+  // The token may have been cleared while the request was in flight
+  if (session.tokens.get(token) === data) {
+    await persistTokens();
+    notifyPopup({ tabIds: [session.tabId] });
+  }
+
+  return data.probe;
+}
@@ -0,0 +1,164 @@
+/**
+ * Settings Profiles
+ *
+ * Named profiles holding their own detection rules, sources and limits
+ * (PROFILE_FIELDS). A profile applies to the active tab when one of its
+ * origin patterns matches the tab URL, unless the user picked a profile
+ * by hand. The top-level settings form the default profile.
+ */
+
+import { DEFAULT_PROFILE_ID, PROFILE_FIELDS } from './constants.js';
+import { getTabInfo } from './sessions.js';
+import { state } from './state.js';
+import { matchesScopePattern } from './url-scope.js';
+
+// ============================================================================
+// PROFILE STORAGE
+// ============================================================================
+
+/**
+ * Read the profiles and the hand-picked profile from storage
+ * @returns {Promise<Object>} - { profiles, selectedId } where each profile is
+ *                              { id, name, origins, settings } and selectedId is null for automatic
+ */
+export async function loadProfiles() {
+  const result = await chrome.storage.local.get(['profiles', 'activeProfileId']);
+  return {
+    profiles: Array.isArray(result.profiles) ? result.profiles : [],
+    selectedId: result.activeProfileId || null
+  };
+}
+
+/**
+ * Replace the stored profiles
+ * @param {Array} profiles - Profiles to store
+ */
+export async function storeProfiles(profiles) {
+  await chrome.storage.local.set({ profiles });
+}
+
+/**
+ * Keep only the settings a profile can override
+ * @param {Object} settings - Any settings object
+ * @returns {Object} - Subset made of PROFILE_FIELDS
+ */
+export function pickProfileFields(settings) {
+  return Object.fromEntries(PROFILE_FIELDS.filter(field => field in settings).map(field => [field, settings[field]]));
+}
+
+// ============================================================================
+// PROFILE SELECTION
+// ============================================================================
+
+/**
+ * Find the first profile with an origin pattern matching a URL
+ * @param {Array} profiles - Stored profiles
+ * @param {string} url - Tab URL
+ * @returns {string} - Profile ID, DEFAULT_PROFILE_ID when none matches
+ */
+export function matchProfile(profiles, url) {
+  const profile = url
+    ? profiles.find(candidate => (candidate.origins || []).some(pattern => matchesScopePattern(url, pattern)))
+    : null;
+  return profile ? profile.id : DEFAULT_PROFILE_ID;
+}
+
+/**
+ * Decide which profile applies to the active tab
+ * @returns {Promise<Object>} - { profiles, selectedId, matchedId, activeId }
+ */
+export async function getProfileStatus() {
+  const { profiles, selectedId } = await loadProfiles();
+  const tabUrl = state.activeTabId !== null ? (await getTabInfo(state.activeTabId)).url : null;
+  const matchedId = matchProfile(profiles, tabUrl);
+
+  // A hand-picked profile that was deleted since falls back to matching
+  const selectedExists = selectedId === DEFAULT_PROFILE_ID || profiles.some(profile => profile.id === selectedId);
+
+  return {
+    profiles: profiles,
+    selectedId: selectedExists ? selectedId : null,
+    matchedId: matchedId,
+    activeId: selectedExists ? selectedId : matchedId
+  };
+}
+
+/**
+ * Pick a profile by hand, or go back to matching by origin
+ * @param {string|null} profileId - Profile to use, null for automatic
+ */
+export async function selectProfile(profileId) {
+  const { profiles } = await loadProfiles();
+  if (profileId && profileId !== DEFAULT_PROFILE_ID && !profiles.some(profile => profile.id === profileId)) {
+    throw new Error('Profile not found');
+  }
+
+  await chrome.storage.local.set({ activeProfileId: profileId || null });
+}
+
+// ============================================================================
+// PROFILE MANAGEMENT
+// ============================================================================
+
+/**
+ * Create a profile starting from the given settings
+ * @param {string} name - Profile name
+ * @param {Object} settings - Settings to copy the profile fields from
+ * @returns {Promise<Object>} - New profile
+ */
+export async function createProfile(name, settings) {
+  const { profiles } = await loadProfiles();
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Profile name is required');
+  }
+
+  const profile = {
+    id: `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: trimmed,
+    origins: [],
+    settings: pickProfileFields(settings)
+  };
+
+  await storeProfiles([...profiles, profile]);
+  return profile;
+}
+
+/**
+ * Change a profile's name, origin patterns or settings
+ * @param {string} profileId - Profile to change
+ * @param {Object} changes - { name, origins, settings }, each optional
+ */
+export async function updateProfile(profileId, changes) {
+  const { profiles } = await loadProfiles();
+  const profile = profiles.find(candidate => candidate.id === profileId);
+  if (!profile) {
+    throw new Error('Profile not found');
+  }
+
+  if (changes.name !== undefined) {
+    if (!changes.name.trim()) throw new Error('Profile name is required');
+    profile.name = changes.name.trim();
+  }
+  if (changes.origins !== undefined) {
+    profile.origins = changes.origins;
+  }
+  if (changes.settings !== undefined) {
+    profile.settings = pickProfileFields(changes.settings);
+  }
+
+  await storeProfiles(profiles);
+}
+
+/**
+ * Delete a profile
+ * @param {string} profileId - Profile to delete
+ */
+export async function deleteProfile(profileId) {
+  const { profiles, selectedId } = await loadProfiles();
+  await storeProfiles(profiles.filter(profile => profile.id !== profileId));
+
+  if (selectedId === profileId) {
+    await chrome.storage.local.set({ activeProfileId: null });
+  }
+}
@@ -0,0 +1,346 @@
+/**
+ * Request Capture
+ *
+ * Observes the active tab's requests: detects tokens in their headers, query
+ * strings and bodies, and records the request (method, masked headers and
+ * query parameters, status) behind each token. Also takes the fetch, XHR
+ * and WebSocket calls reported from inside the page by the request hook.
+ */
+
+import { MAX_PENDING_REQUESTS, SENSITIVE_HEADERS, SENSITIVE_HEADER_FRAGMENTS } from './constants.js';
+import {
+  extractTokensFromBody, extractTokensFromFields, extractTokensFromHeaders, extractTokensFromProtocols,
+  extractTokensFromQuery, extractTokensFromSocketMessage, getRulesFor, parseBodyText
+} from './detection.js';
+import { addToken, getOrigin, getTabInfo, persistTokens, notifyPopup } from './sessions.js';
+import { getSettings } from './settings.js';
+import { state } from './state.js';
+import { buildTokenEvent } from './timeline.js';
+
+// ============================================================================
+// REQUEST CAPTURE
+// ============================================================================
+
+/**
+ * Mask a secret value, keeping only its first and last few characters
+ * @param {string} value - Secret value
+ * @returns {string} - Masked value
+ */
+function maskSecret(value) {
+  if (!value || value.length < 12) {
+    return '••••••••';
+  }
+  return `${value.slice(0, 4)}••••${value.slice(-4)}`;
+}
+
+/**
+ * Check whether a header carries credentials
+ * @param {string} name - Lower-cased header name
+ * @param {Object} settings - Current settings
+ * @returns {boolean}
+ */
+function isSensitiveHeader(name, settings) {
+  if (SENSITIVE_HEADERS.includes(name)) return true;
+  if (SENSITIVE_HEADER_FRAGMENTS.some(fragment => name.includes(fragment))) return true;
+
+  return settings.detectionRules.some(rule => (rule.location || 'header') === 'header' &&
+    rule.header && rule.header.toLowerCase() === name);
+}
+
+/**
+ * Copy request headers, masking the values of sensitive ones
+ * @param {Array} headers - Request headers array
+ * @param {Object} settings - Current settings
+ * @returns {Array} - { name, value, masked } per header
+ */
+export function maskHeaders(headers, settings) {
+  return (headers || []).map(header => {
+    const masked = isSensitiveHeader(header.name.toLowerCase(), settings);
+    return {
+      name: header.name,
+      value: masked ? maskSecret(header.value) : header.value,
+      masked: masked
+    };
+  });
+}
+
+/**
+ * Mask the query parameters query detection rules look for
+ * @param {string} url - Request URL
+ * @param {Object} settings - Current settings
+ * @returns {string} - URL with the credential parameter values masked
+ */
+export function maskQueryParams(url, settings) {
+  const names = getRulesFor('query', url, settings).map(rule => rule.header.toLowerCase());
+  if (names.length === 0) return url;
+
+  try {
+    const parsed = new URL(url);
+    let masked = false;
+
+    parsed.searchParams.forEach((value, name) => {
+      if (names.includes(name.toLowerCase())) {
+        parsed.searchParams.set(name, maskSecret(value));
+        masked = true;
+      }
+    });
+    return masked ? parsed.href : url;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Build the record of a request that carried a token
+ * The status fields are filled in once the request completes or fails
+ * @param {Object} details - webRequest onBeforeSendHeaders or onBeforeRequest details
+ * @param {Object} settings - Current settings
+ * @returns {Object} - { requestId, method, type, url, headers, statusCode, error, timestamp }
+ */
+export function buildRequestRecord(details, settings) {
+  return {
+    requestId: details.requestId,
+    method: details.method,
+    type: details.type,
+    url: maskQueryParams(details.url, settings),
+    headers: maskHeaders(details.requestHeaders, settings),
+    statusCode: null,
+    error: null,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Remember which tokens a request carried until its response arrives
+ * @param {string} requestId - webRequest request ID
+ * @param {string} sessionKey - Session holding the tokens
+ * @param {Array} tokens - Token values
+ */
+function trackPendingRequest(requestId, sessionKey, tokens) {
+  // Body tokens are found before the header tokens of the same request
+  const pending = state.pendingRequests.get(requestId);
+  const tracked = pending && pending.sessionKey === sessionKey ? [...pending.tokens, ...tokens] : tokens;
+  state.pendingRequests.set(requestId, { sessionKey, tokens: tracked });
+
+  // Requests that never report back must not pile up
+  if (state.pendingRequests.size > MAX_PENDING_REQUESTS) {
+    state.pendingRequests.delete(state.pendingRequests.keys().next().value);
+  }
+}
+
+/**
+ * Record the outcome of a request on the tokens it carried
+ * @param {Object} details - webRequest onCompleted / onErrorOccurred details
+ */
+export async function handleRequestOutcome(details) {
+  await state.stateReady;
+  const pending = state.pendingRequests.get(details.requestId);
+  if (!pending) return;
+
+  state.pendingRequests.delete(details.requestId);
+
+  const session = state.tokenSessions.get(pending.sessionKey);
+  if (!session) return;
+
+  const events = [];
+  for (const token of pending.tokens) {
+    const data = session.tokens.get(token);
+    const request = data?.lastRequest;
+
+    // A newer request may have replaced the record in the meantime
+    if (request && request.requestId === details.requestId) {
+      request.statusCode = details.statusCode || null;
+      request.error = details.error || null;
+      events.push(buildTokenEvent('request', session, token, data, { request }));
+    }
+  }
+
+  if (events.length > 0) {
+    await persistTokens();
+    notifyPopup({ tabIds: [session.tabId], events: events });
+  }
+}
+
+// ============================================================================
+// WEB REQUEST LISTENER
+// ============================================================================
+
+/**
+ * Find the tab a request is attributed to
+ * Requests of the page's service worker belong to no tab (tabId -1); they
+ * count for the active tab when the page's origin initiated them.
+ * @param {Object} details - webRequest details
+ * @returns {Promise<number|null>} - The active tab ID, or null for other tabs
+ */
+async function getRequestTabId(details) {
+  if (details.tabId === state.activeTabId) return details.tabId;
+  if (details.tabId !== -1 || !details.initiator || state.activeTabId === null) return null;
+
+  const pageOrigin = getOrigin((await getTabInfo(state.activeTabId)).url);
+  return pageOrigin && getOrigin(details.initiator) === pageOrigin ? state.activeTabId : null;
+}
+
+/**
+ * Add the tokens found in a request and track the request's outcome
+ * @param {Object} details - webRequest details, with tabId resolved by getRequestTabId
+ * @param {Array} matches - Matches as { token, ruleId, ruleLabel, headerName, headerPrefix, paramName, source }
+ * @param {Object} settings - Current settings
+ */
+async function recordRequestTokens(details, matches, settings) {
+  const request = buildRequestRecord(details, settings);
+  const tracked = [];
+  let sessionKey = null;
+
+  // Add tokens with de-duplication and limit enforcement; the request URL is
+  // kept without credential query parameters
+  for (const match of matches) {
+    const session = await addToken(details.tabId, match.token, request.url, settings, {
+      ...match,
+      request: request,
+      scopeUrl: details.url
+    });
+
+    if (session) {
+      sessionKey = session.key;
+      tracked.push(match.token);
+    }
+  }
+
+  if (sessionKey) {
+    trackPendingRequest(details.requestId, sessionKey, tracked);
+  }
+}
+
+/**
+ * Handler for incoming web requests
+ * Only processes requests from the active tab
+ */
+export async function handleWebRequest(details) {
+  await state.stateReady;
+
+  // Only observe requests from the active tab (or its service worker)
+  const tabId = await getRequestTabId(details);
+  if (tabId === null) {
+    return;
+  }
+
+  const settings = await getSettings();
+
+  // Only process if request monitoring is enabled
+  if (!settings.tokenSources.headers) {
+    return;
+  }
+
+  // Run every detection rule against the request headers and query string
+  const matches = [
+    ...extractTokensFromHeaders(details.requestHeaders, details.url, settings)
+      .map(match => ({ ...match, source: 'header' })),
+    ...extractTokensFromQuery(details.url, settings)
+      .map(match => ({ ...match, source: 'query' }))
+  ];
+
+  // Requests without matching tokens are ignored (event-driven detection)
+  if (matches.length > 0) {
+    await recordRequestTokens({ ...details, tabId }, matches, settings);
+  }
+}
+
+/**
+ * Handler for request bodies, reported before the request headers
+ * Only processes requests from the active tab
+ */
+export async function handleRequestBody(details) {
+  await state.stateReady;
+  const tabId = await getRequestTabId(details);
+  if (tabId === null || !details.requestBody) return;
+
+  const settings = await getSettings();
+  if (!settings.tokenSources.headers) return;
+
+  const matches = extractTokensFromBody(details.requestBody, details.url, settings)
+    .map(match => ({ ...match, source: 'body' }));
+
+  if (matches.length > 0) {
+    await recordRequestTokens({ ...details, tabId }, matches, settings);
+  }
+}
+
+// ============================================================================
+// PAGE REQUEST REPORTS
+// ============================================================================
+
+/**
+ * Detect tokens in a call reported by the page's request hook
+ * @param {Object} report - { kind, method, url, headers, body, protocols } where kind is
+ *                          'fetch' | 'xhr' | 'websocket' | 'websocket-message'
+ * @param {Object} settings - Current settings
+ * @returns {Array} - Matches with their source
+ */
+function detectPageRequestTokens(report, settings) {
+  const body = typeof report.body === 'string' ? report.body : null;
+
+  if (report.kind === 'websocket') {
+    return [...extractTokensFromQuery(report.url, settings), ...extractTokensFromProtocols(report.protocols)]
+      .map(match => ({ ...match, source: 'websocket' }));
+  }
+
+  if (report.kind === 'websocket-message') {
+    return body === null ? [] : extractTokensFromSocketMessage(body, report.url, settings)
+      .map(match => ({ ...match, source: 'websocket' }));
+  }
+
+  return [
+    ...extractTokensFromHeaders(Array.isArray(report.headers) ? report.headers : [], report.url, settings)
+      .map(match => ({ ...match, source: 'header' })),
+    ...extractTokensFromQuery(report.url, settings)
+      .map(match => ({ ...match, source: 'query' })),
+    ...(body === null ? [] : extractTokensFromFields(parseBodyText(body), report.url, settings))
+      .map(match => ({ ...match, source: 'body' }))
+  ];
+}
+
+/**
+ * Build the record of a call reported by the request hook
+ * @param {Object} report - Call reported by content/request-hook.js
+ * @param {Object} settings - Current settings
+ * @returns {Object} - Request record shaped like buildRequestRecord's, without a request ID
+ */
+function buildReportedRequestRecord(report, settings) {
+  return {
+    requestId: null,
+    method: typeof report.method === 'string' ? report.method : 'GET',
+    type: report.kind,
+    url: maskQueryParams(report.url, settings),
+    headers: maskHeaders(Array.isArray(report.headers) ? report.headers : [], settings),
+    statusCode: null,
+    error: null,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Handler for calls reported by the request hook content script
+ * The same calls usually reach handleWebRequest too; tokens found by both
+ * are de-duplicated by addToken. The reported request is only checked for
+ * leaks: it never learns its response status, so it does not replace the
+ * recorded request of a token.
+ * @param {Object} report - Call reported by content/request-hook.js
+ * @param {number} tabId - Tab the report came from
+ */
+export async function handlePageRequest(report, tabId) {
+  await state.stateReady;
+  if (tabId !== state.activeTabId || !report || typeof report.url !== 'string') return;
+
+  const settings = await getSettings();
+  if (!settings.tokenSources.pageRequests) return;
+
+  const request = buildReportedRequestRecord(report, settings);
+  for (const match of detectPageRequestTokens(report, settings)) {
+    await addToken(tabId, match.token, request.url, settings, {
+      ...match,
+      request: request,
+      reported: true,
+      scopeUrl: report.url
+    });
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Message Router
+ *
+ * Answers the messages sent by the popup, the settings page and the content
+ * scripts. Returns the response instead of calling sendResponse so it can be
+ * exercised without a message channel.
+ */
+
+import { refreshBadges } from './alerts.js';
+import { DEFAULT_PROFILE_ID, MAX_TOKENS_LIMIT, RULE_PRESETS, VAULT_STORAGE_KEY } from './constants.js';
+import { inspectCookies } from './cookies.js';
+import { injectToken, listInjections, revertInjections } from './injection.js';
+import { getLeakList } from './leaks.js';
+import { recordIssuedTokens, syncPageHooks } from './issued-tokens.js';
+import { probeToken } from './probe.js';
+import { handlePageRequest } from './requests.js';
+import {
+  loadProfiles, storeProfiles, getProfileStatus, selectProfile, createProfile, updateProfile, deleteProfile
+} from './profiles.js';
+import { extractTokensFromStorage, extractTokensFromCookies } from './scanners.js';
+import {
+  getTabInfo, getCurrentSessionKey, resolveSessionKey, getSessionList,
+  addToken, getTokenList, getHistoryList, persistTokens, notifyPopup
+} from './sessions.js';
+import { getSettings, saveSettings } from './settings.js';
+import { buildSettingsFile, parseSettingsFile } from './settings-file.js';
+import { state } from './state.js';
+import { getFilteredList } from './url-scope.js';
+import {
+  touchVault, lockVault, setupVault, unlockVault, listVaultEntries,
+  pinToVault, removeVaultEntry, getVaultStatus
+} from './vault.js';
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+// The only messages content scripts may send: reports of what the page did
+const PAGE_MESSAGE_TYPES = new Set(['ISSUED_TOKENS', 'PAGE_REQUEST']);
+
+/**
+ * Tell content scripts apart from the extension's own pages
+ * Extension pages opened in a tab (like the settings page) carry sender.tab
+ * too, but their URL is on the extension's origin.
+ * @param {Object} sender - Message sender
+ * @returns {boolean} - Whether the message comes from a web page
+ */
+function isContentScript(sender) {
+  return Boolean(sender.tab) && !(sender.url || '').startsWith(chrome.runtime.getURL(''));
+}
+
+/**
+ * Answer a message from the popup, settings page or content scripts
+ * @param {Object} message - Message with a type and its fields
+ * @param {Object} sender - Message sender (content scripts carry sender.tab)
+ * @returns {Promise<Object>} - Response
+ */
+export async function handleMessage(message, sender) {
+  // Answer from the restored state, not the empty one of a fresh worker
+  await state.stateReady;
+
+  // Pages must not read tokens, the vault or the settings, nor change them
+  if (isContentScript(sender) && !PAGE_MESSAGE_TYPES.has(message.type)) {
+    return { success: false, error: 'Not allowed from a web page' };
+  }
+
+  switch (message.type) {
+    case 'GET_TOKENS': {
+      // Return the requested session's tokens, defaulting to the active tab
+      const sessionKey = await resolveSessionKey(message.sessionKey);
+      const session = state.tokenSessions.get(sessionKey);
+      return {
+        tokens: getTokenList(sessionKey),
+        filtered: session ? getFilteredList(session) : [],
+        leaks: session ? getLeakList(session) : [],
+        sessionKey: sessionKey,
+        origin: session ? session.origin : null
+      };
+    }
+
+    case 'GET_HISTORY': {
+      // Return the replaced tokens of a session, defaulting to the active tab
+      const sessionKey = await resolveSessionKey(message.sessionKey);
+      return { history: getHistoryList(sessionKey) };
+    }
+
+    case 'GET_SESSIONS': {
+      // List all sessions and mark the one the active tab records into
+      const currentKey = state.activeTabId !== null
+        ? await getCurrentSessionKey(state.activeTabId, await getSettings())
+        : null;
+      return { sessions: getSessionList(), currentKey: currentKey };
+    }
+
+    case 'SCAN_STORAGE':
+      return scanActiveTab();
+
+    case 'INSPECT_COOKIES': {
+      // Token and session cookies of the active page, with their attributes
+      const url = state.activeTabId !== null ? (await getTabInfo(state.activeTabId)).url : null;
+      if (!url) {
+        return { success: false, error: 'No active page' };
+      }
+      return { success: true, url: url, cookies: await inspectCookies(url, await getSettings()) };
+    }
+
+    case 'CLEAR_DATA':
+      // Manual clear data action; injected tokens are taken back too
+      await revertInjections();
+      state.tokenSessions.clear();
+      state.pendingRequests.clear();
+      // Overwrites the stored sessions; the unlocked vault key stays
+      await persistTokens();
+      await refreshBadges();
+      return { success: true };
+
+    case 'GET_SETTINGS':
+      // Settings of the given profile, defaulting to the active tab's
+      return {
+        settings: await getSettings(message.profileId),
+        rulePresets: RULE_PRESETS,
+        maxTokensLimit: MAX_TOKENS_LIMIT,
+        defaultProfileId: DEFAULT_PROFILE_ID
+      };
+
+    case 'ISSUED_TOKENS': {
+      // Token endpoint response reported by the page hook content script
+      const settings = await getSettings();
+      if (sender.tab && sender.tab.id === state.activeTabId && settings.tokenSources.responses) {
+        await recordIssuedTokens(sender.tab.id, message.url, message.response || {}, 'token-response', settings);
+      }
+      return { success: true };
+    }
+
+    case 'PAGE_REQUEST':
+      // fetch, XHR or WebSocket call reported by the request hook content script
+      await handlePageRequest(message.request || {}, sender.tab?.id);
+      return { success: true };
+
+    case 'SAVE_SETTINGS':
+      // Settings of a profile, along with its name and origin patterns
+      try {
+        const profileId = message.profileId || DEFAULT_PROFILE_ID;
+        if (message.profile && profileId !== DEFAULT_PROFILE_ID) {
+          await updateProfile(profileId, { name: message.profile.name, origins: message.profile.origins });
+        }
+        await applySettings(message.settings, profileId);
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+    case 'EXPORT_SETTINGS': {
+      const { profiles } = await loadProfiles();
+      return { file: buildSettingsFile(await getSettings(DEFAULT_PROFILE_ID), profiles) };
+    }
+
+    case 'IMPORT_SETTINGS': {
+      // Settings file chosen on the settings page, validated before it replaces anything
+      const { settings, profiles, errors } = parseSettingsFile(message.file);
+      if (errors.length > 0) {
+        return { success: false, errors: errors };
+      }
+      if (profiles) {
+        await storeProfiles(profiles);
+        await selectProfile(null);
+      }
+      await applySettings(settings);
+      return { success: true };
+    }
+
+    case 'GET_PROFILES':
+      return describeProfiles();
+
+    case 'SELECT_PROFILE':
+      // Switching profiles keeps the captured tokens, unlike saving settings
+      try {
+        await selectProfile(message.profileId);
+        await refreshBadges();
+        return { success: true, ...await describeProfiles() };
+      } catch (error) {
+        return { success: false, error: error.message, ...await describeProfiles() };
+      }
+
+    case 'CREATE_PROFILE':
+      // New profiles start as a copy of the profile being edited
+      try {
+        const settings = await getSettings(message.fromProfileId || DEFAULT_PROFILE_ID);
+        const profile = await createProfile(message.name, settings);
+        return { success: true, profileId: profile.id, ...await describeProfiles() };
+      } catch (error) {
+        return { success: false, error: error.message, ...await describeProfiles() };
+      }
+
+    case 'DELETE_PROFILE':
+      await deleteProfile(message.profileId);
+      await syncPageHooks();
+      notifyPopup();
+      return { success: true, ...await describeProfiles() };
+
+    case 'VAULT_STATUS':
+      return getVaultStatus();
+
+    case 'VAULT_SETUP':
+    case 'VAULT_UNLOCK':
+    case 'VAULT_PIN':
+    case 'VAULT_REMOVE':
+    case 'VAULT_LIST':
+      try {
+        if (message.type === 'VAULT_SETUP') await setupVault(message.passphrase);
+        if (message.type === 'VAULT_UNLOCK') await unlockVault(message.passphrase);
+        if (message.type === 'VAULT_PIN') await pinToVault(message.item, message.label);
+        if (message.type === 'VAULT_REMOVE') await removeVaultEntry(message.id);
+
+        const entries = message.type === 'VAULT_LIST' ? await listVaultEntries() : undefined;
+        return { success: true, entries: entries, ...await getVaultStatus() };
+      } catch (error) {
+        return { success: false, error: error.message, ...await getVaultStatus() };
+      }
+
+    case 'VAULT_LOCK':
+      await lockVault();
+      return { success: true, ...await getVaultStatus() };
+
+    case 'VAULT_RESET':
+      // Delete the vault and everything in it
+      await lockVault();
+      await chrome.storage.local.remove(VAULT_STORAGE_KEY);
+      return { success: true, ...await getVaultStatus() };
+
+    case 'PROBE_TOKEN':
+      // Test a token against the health URL of its origin
+      try {
+        return { success: true, probe: await probeToken(message.sessionKey, message.token) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+    case 'GET_INJECTIONS':
+      return { injections: await listInjections() };
+
+    case 'INJECT_TOKEN': {
+      // Write a captured token into another tab
+      const session = state.tokenSessions.get(message.sessionKey);
+      if (!session?.tokens.has(message.token)) {
+        return { success: false, error: 'Token not found' };
+      }
+      try {
+        const injection = await injectToken(message.token, message.target || {});
+        return { success: true, injection: injection, injections: await listInjections() };
+      } catch (error) {
+        return { success: false, error: error.message, injections: await listInjections() };
+      }
+    }
+
+    case 'REVERT_INJECTION': {
+      // Revert one injection, or all of them without an id
+      const errors = await revertInjections(injection => !message.id || injection.id === message.id);
+      return { success: errors.length === 0, errors: errors, injections: await listInjections() };
+    }
+
+    case 'GET_ACTIVE_TAB_ID':
+      return { tabId: state.activeTabId };
+
+    default:
+      return { error: 'Unknown message type' };
+  }
+}
+
+/**
+ * List the profiles without their settings, and which one is in use
+ * @returns {Promise<Object>} - { profiles: [{ id, name, origins }], selectedId, matchedId, activeId }
+ */
+async function describeProfiles() {
+  const { profiles, ...status } = await getProfileStatus();
+  return {
+    profiles: profiles.map(({ id, name, origins }) => ({ id, name, origins })),
+    ...status
+  };
+}
+
+/**
+ * Save settings and apply them to the running worker
+ * @param {Object} settings - New settings
+ * @param {string} [profileId] - Profile the settings belong to
+ */
+async function applySettings(settings, profileId) {
+  await saveSettings(settings, profileId);
+  await syncPageHooks();
+  // Apply a changed auto-lock delay to the unlocked vault
+  await touchVault();
+  // Clear tokens when settings change
+  state.tokenSessions.clear();
+  await persistTokens();
+  await refreshBadges();
+}
+
+/**
+ * On-demand scan of every enabled storage/cookie source of the active tab
+ * @returns {Promise<Object>} - { tokens, sessionKey } of the active tab's session
+ */
+async function scanActiveTab() {
+  const settings = await getSettings();
+  const { tokenSources } = settings;
+  const foundTokens = [];
+
+  const storageAreas = ['localStorage', 'sessionStorage', 'indexedDB'].filter(area => tokenSources[area]);
+  if (storageAreas.length > 0 && state.activeTabId !== null) {
+    foundTokens.push(...await extractTokensFromStorage(state.activeTabId, settings, storageAreas));
+  }
+
+  if (tokenSources.cookies) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab?.url) {
+      foundTokens.push(...await extractTokensFromCookies(tab.url, settings));
+    }
+  }
+
+  if (state.activeTabId === null) {
+    return { tokens: [], sessionKey: null };
+  }
+
+  // Add found tokens with de-duplication; they belong to the page itself
+  const pageUrl = (await getTabInfo(state.activeTabId)).url;
+  for (const item of foundTokens) {
+    await addToken(state.activeTabId, item.token, item.url, settings, { source: item.source, scopeUrl: pageUrl });
+  }
+
+  // Return the active tab's updated token list
+  const scannedKey = await getCurrentSessionKey(state.activeTabId, settings);
+  return { tokens: getTokenList(scannedKey), sessionKey: scannedKey };
+}
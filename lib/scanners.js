@@ -0,0 +1,215 @@
+/**
+ * Storage & Cookie Scanners
+ *
+ * On-demand scans of the active page's localStorage, sessionStorage,
+ * IndexedDB and cookies for values stored under token-like names, including
+ * tokens nested in JSON values.
+ */
+
+// ============================================================================
+// STORAGE & COOKIES EXTRACTION (On-Demand)
+// ============================================================================
+
+// Key-name fragments that suggest a stored token, for storage and cookie scans
+const STORAGE_KEY_PATTERNS = [
+  'token', 'access_token', 'accessToken', 'auth_token', 'authToken', 'bearer',
+  'session', 'sessionToken', 'session_token', 'sessionId', 'session_id'
+];
+
+// Field-name fragments that suggest a token inside a JSON value, e.g. the
+// "secret" of an MSAL cache entry or Firebase's stsTokenManager.accessToken
+const JSON_FIELD_PATTERNS = [...STORAGE_KEY_PATTERNS, 'secret', 'jwt'];
+
+// How deep JSON values are walked, and how many records are read per IndexedDB store
+const STORAGE_SCAN_MAX_DEPTH = 8;
+const STORAGE_SCAN_MAX_RECORDS = 500;
+
+export const COOKIE_NAME_PATTERNS = [
+  'token', 'access_token', 'auth_token', 'bearer', 'jwt',
+  'session', 'sessionid', 'session_id', 'sid'
+];
+
+/**
+ * Build the key-name fragments to scan for
+ * Header names of custom rules (e.g. X-API-Key -> api-key) are added so
+ * storage and cookie scans follow the configured detection rules
+ * @param {Array} basePatterns - Built-in fragments
+ * @param {Object} settings - Current settings
+ * @returns {Array} - Lower-cased, de-duplicated fragments
+ */
+export function getKeyPatterns(basePatterns, settings) {
+  const patterns = basePatterns.map(pattern => pattern.toLowerCase());
+
+  for (const rule of settings.detectionRules) {
+    if (!rule.enabled || !rule.header) continue;
+
+    const name = rule.header.toLowerCase().replace(/^x-/, '');
+    if (name !== 'authorization') {
+      patterns.push(name);
+    }
+  }
+
+  return [...new Set(patterns)];
+}
+
+/**
+ * Extract tokens from browser storage (localStorage, sessionStorage, IndexedDB)
+ * Called on-demand when popup requests it. JSON values are walked for
+ * token-like fields and each hit is reported with its JSON path, e.g.
+ * "localStorage:@@auth0spajs@@::app→body.access_token".
+ * @param {number} tabId - Tab to extract from
+ * @param {Object} settings - Current settings
+ * @param {Array} areas - Storage areas to scan ('localStorage' | 'sessionStorage' | 'indexedDB')
+ */
+export async function extractTokensFromStorage(tabId, settings, areas) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: async (searchPatterns, fieldPatterns, areas, maxDepth, maxRecords) => {
+        const tokens = [];
+
+        const matches = (name, patterns) => {
+          const nameLower = String(name).toLowerCase();
+          return patterns.some(pattern => nameLower.includes(pattern));
+        };
+
+        // Parse values that look like JSON; anything else is taken as is
+        const parseJson = (value) => {
+          if (typeof value !== 'string' || !/^\s*[[{"]/.test(value)) return value;
+          try {
+            return JSON.parse(value);
+          } catch (error) {
+            return value;
+          }
+        };
+
+        // Collect string fields with token-like names, at any depth
+        const walk = (value, path, location, source, depth) => {
+          if (depth > maxDepth || value === null || typeof value !== 'object') return;
+
+          for (const [field, child] of Object.entries(value)) {
+            const childPath = Array.isArray(value) ? `${path}[${field}]` : (path ? `${path}.${field}` : field);
+            const parsed = parseJson(child);
+
+            if (typeof parsed === 'string') {
+              if (parsed.length > 10 && matches(field, fieldPatterns)) { // Basic validation
+                tokens.push({ token: parsed, url: `${location}→${childPath}`, source: source });
+              }
+            } else {
+              walk(parsed, childPath, location, source, depth + 1);
+            }
+          }
+        };
+
+        // A stored value is either a token under a token-like key or a JSON document
+        const scanEntry = (key, value, location, source) => {
+          const parsed = parseJson(value);
+
+          if (typeof parsed === 'string') {
+            if (parsed.length > 10 && matches(key, searchPatterns)) { // Basic validation
+              tokens.push({ token: parsed, url: location, source: source });
+            }
+          } else {
+            walk(parsed, '', location, source, 0);
+          }
+        };
+
+        for (const area of areas.filter(area => area !== 'indexedDB')) {
+          const storage = window[area];
+
+          for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            scanEntry(key, storage.getItem(key), `${area}:${key}`, area);
+          }
+        }
+
+        // IndexedDB (Firebase, Okta) is only readable through its request API
+        if (areas.includes('indexedDB') && window.indexedDB?.databases) {
+          const settle = request => new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          });
+
+          for (const { name } of await window.indexedDB.databases()) {
+            if (!name) continue;
+
+            try {
+              const request = window.indexedDB.open(name);
+              // Never create or upgrade a database that vanished meanwhile
+              request.onupgradeneeded = () => request.transaction.abort();
+              const db = await settle(request);
+
+              try {
+                for (const storeName of Array.from(db.objectStoreNames)) {
+                  const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+                  const [keys, values] = await Promise.all([
+                    settle(store.getAllKeys(null, maxRecords)),
+                    settle(store.getAll(null, maxRecords))
+                  ]);
+
+                  keys.forEach((key, index) => {
+                    scanEntry(String(key), values[index], `indexedDB:${name}/${storeName}:${key}`, 'indexedDB');
+                  });
+                }
+              } finally {
+                db.close();
+              }
+            } catch (error) {
+              // Databases the page cannot open are skipped
+            }
+          }
+        }
+
+        return tokens;
+      },
+      args: [
+        getKeyPatterns(STORAGE_KEY_PATTERNS, settings),
+        getKeyPatterns(JSON_FIELD_PATTERNS, settings),
+        areas,
+        STORAGE_SCAN_MAX_DEPTH,
+        STORAGE_SCAN_MAX_RECORDS
+      ]
+    });
+
+    return results[0]?.result || [];
+  } catch (error) {
+    console.error('Error extracting from storage:', error);
+    return [];
+  }
+}
+
+/**
+ * Check whether a cookie looks like it holds a token or session
+ * @param {Object} cookie - chrome.cookies.Cookie
+ * @param {Array} searchPatterns - Fragments from getKeyPatterns(COOKIE_NAME_PATTERNS, ...)
+ * @returns {boolean}
+ */
+export function isTokenCookie(cookie, searchPatterns) {
+  const nameLower = cookie.name.toLowerCase();
+  // Basic validation: short values are flags, not tokens
+  return Boolean(cookie.value && cookie.value.length > 10)
+    && searchPatterns.some(pattern => nameLower.includes(pattern));
+}
+
+/**
+ * Extract tokens from cookies
+ * @param {string} url - URL to get cookies for
+ * @param {Object} settings - Current settings
+ */
+export async function extractTokensFromCookies(url, settings) {
+  try {
+    const cookies = await chrome.cookies.getAll({ url: url });
+    const searchPatterns = getKeyPatterns(COOKIE_NAME_PATTERNS, settings);
+
+    return cookies
+      .filter(cookie => isTokenCookie(cookie, searchPatterns))
+      .map(cookie => ({
+        token: cookie.value,
+        url: `cookie:${cookie.name}`,
+        source: 'cookie'
+      }));
+  } catch (error) {
+    console.error('Error extracting from cookies:', error);
+    return [];
+  }
+}
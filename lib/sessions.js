@@ -0,0 +1,439 @@
+/**
+ * Token Sessions
+ *
+ * Per-tab token sessions with de-duplication, eviction and rotation history,
+ * mirrored to chrome.storage.session so a restarted worker can pick them up.
+ */
+
+import { abbreviateToken, notifyTokenCaptured, refreshBadges } from './alerts.js';
+import { classifyToken } from './classifier.js';
+import { MAX_HISTORY_ENTRIES } from './constants.js';
+import { recordLeak } from './leaks.js';
+import { getSettings } from './settings.js';
+import { state } from './state.js';
+import { buildTokenEvent } from './timeline.js';
+import { getScopeRejection, recordFiltered, getFilteredList } from './url-scope.js';
+
+// ============================================================================
+// TOKEN SESSIONS
+// ============================================================================
+
+/**
+ * Extract the origin of a URL
+ * @param {string} url - Any URL
+ * @returns {string|null} - Origin, or null for URLs without one
+ */
+export function getOrigin(url) {
+  try {
+    const origin = new URL(url).origin;
+    return origin === 'null' ? null : origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Look up the last known URL and title of a tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object>} - { url, title }
+ */
+export async function getTabInfo(tabId) {
+  if (!state.tabInfo.has(tabId)) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      state.tabInfo.set(tabId, { url: tab.url || '', title: tab.title || '' });
+    } catch (error) {
+      return { url: '', title: '' };
+    }
+  }
+
+  return state.tabInfo.get(tabId);
+}
+
+/**
+ * Build the session key for a tab
+ * With origin scope every origin visited in a tab gets its own session
+ * @param {number} tabId - Tab ID
+ * @param {string|null} origin - Origin of the tab's page
+ * @param {Object} settings - Current settings
+ * @returns {string} - Session key
+ */
+export function getSessionKey(tabId, origin, settings) {
+  return settings.sessionScope === 'origin' ? `${tabId}|${origin || ''}` : String(tabId);
+}
+
+/**
+ * Get the key of the session a tab currently records into
+ * @param {number} tabId - Tab ID
+ * @param {Object} settings - Current settings
+ * @returns {Promise<string>} - Session key
+ */
+export async function getCurrentSessionKey(tabId, settings) {
+  const info = await getTabInfo(tabId);
+  return getSessionKey(tabId, getOrigin(info.url), settings);
+}
+
+/**
+ * Resolve a session key sent by the popup, defaulting to the active tab's session
+ * @param {string} [sessionKey] - Explicitly requested session
+ * @returns {Promise<string|null>} - Session key, or null without an active tab
+ */
+export async function resolveSessionKey(sessionKey) {
+  if (sessionKey) return sessionKey;
+  if (state.activeTabId === null) return null;
+  return getCurrentSessionKey(state.activeTabId, await getSettings());
+}
+
+/**
+ * Get the session a tab currently records into, creating it if needed
+ * @param {number} tabId - Tab ID
+ * @param {Object} settings - Current settings
+ * @returns {Promise<Object>} - Session object
+ */
+async function getOrCreateSession(tabId, settings) {
+  const info = await getTabInfo(tabId);
+  const origin = getOrigin(info.url);
+  const key = getSessionKey(tabId, origin, settings);
+
+  if (!state.tokenSessions.has(key)) {
+    state.tokenSessions.set(key, {
+      key: key,
+      tabId: tabId,
+      origin: origin,
+      title: info.title,
+      tokens: new Map(),
+      history: [],
+      filtered: {},
+      leaks: []
+    });
+  }
+
+  return state.tokenSessions.get(key);
+}
+
+/**
+ * Remove sessions matching a predicate
+ * @param {Function} predicate - Called with each session
+ * @returns {boolean} - Whether any session was removed
+ */
+export function removeSessions(predicate) {
+  let removed = false;
+
+  state.tokenSessions.forEach((session, key) => {
+    if (predicate(session)) {
+      state.tokenSessions.delete(key);
+      removed = true;
+    }
+  });
+
+  return removed;
+}
+
+/**
+ * Summarize all sessions for the popup's session switcher
+ * @returns {Array} - { key, tabId, origin, title, count } per session
+ */
+export function getSessionList() {
+  const sessions = [];
+  state.tokenSessions.forEach(session => {
+    sessions.push({
+      key: session.key,
+      tabId: session.tabId,
+      origin: session.origin,
+      title: session.title,
+      count: session.tokens.size,
+      historyCount: session.history.length,
+      leakCount: session.leaks.length,
+      filteredCount: getFilteredList(session).reduce((sum, entry) => sum + entry.count, 0)
+    });
+  });
+  return sessions;
+}
+
+// ============================================================================
+// TOKEN STORAGE & DE-DUPLICATION
+// ============================================================================
+
+/**
+ * Identify what a token is a value of, so a newer value can replace it
+ * Header tokens rotate per detection rule, issued tokens per role and
+ * scanned tokens per storage key or cookie
+ * @param {Object} data - Stored token data
+ * @returns {string} - Rotation slot
+ */
+function getRotationSlot(data) {
+  if (data.ruleId) return `rule:${data.ruleId}`;
+  if (data.tokenRole) return `issued:${data.tokenRole}`;
+  if (data.source === 'set-cookie') return `set-cookie:${data.headerPrefix}`;
+  return `${data.source}:${data.url}`;
+}
+
+/**
+ * Pick the token a new one should replace under the configured eviction policy
+ * @param {Map} tokens - Session tokens
+ * @param {Object} entry - Data of the incoming token
+ * @param {Object} settings - Current settings
+ * @returns {string|null|false} - Token to replace, null to just add, false to drop
+ */
+function selectTokenToReplace(tokens, entry, settings) {
+  if (settings.evictionPolicy === 'rotate-per-rule') {
+    const slot = getRotationSlot(entry);
+    for (const [token, data] of tokens) {
+      if (getRotationSlot(data) === slot) return token;
+    }
+  }
+
+  if (tokens.size < settings.maxTokens) {
+    return null;
+  }
+
+  // keep-latest evicts the oldest token; keep-first ignores tokens beyond the limit
+  return settings.evictionPolicy === 'keep-latest' ? tokens.keys().next().value : false;
+}
+
+/**
+ * Move a replaced token into the session history
+ * @param {Object} session - Token session
+ * @param {string} token - Replaced token
+ * @param {string} replacedBy - Token that replaced it
+ */
+function recordReplacement(session, token, replacedBy) {
+  const data = session.tokens.get(token);
+  session.tokens.delete(token);
+
+  session.history.unshift({
+    token: token,
+    ...data,
+    replacedAt: Date.now(),
+    replacedBy: replacedBy
+  });
+  session.history.length = Math.min(session.history.length, MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * Add a detected token to a tab's session with de-duplication
+ * Same token appearing multiple times is stored only once per session
+ * @param {number} tabId - Tab the token was detected in
+ * @param {string} token - The token value
+ * @param {string} url - The URL where token was found
+ * @param {Object} settings - Current settings
+ * @param {Object} [meta] - Detection details { source, ruleId, ruleLabel, headerName,
+ *                          headerPrefix, paramName, tokenRole, grantId, expiresAt, request,
+ *                          reported, scopeUrl }
+ *                          where scopeUrl overrides url for the URL scope check and reported
+ *                          marks a request the page reported, only used for leak checks
+ * @returns {Promise<Object|null>} - Session holding the token, or null if it was not kept
+ */
+export async function addToken(tabId, token, url, settings, meta = {}) {
+  const session = await getOrCreateSession(tabId, settings);
+  const tokens = session.tokens;
+
+  // A known token sent to a site it does not belong to is recorded, also
+  // when the URL scope keeps that site's tokens out
+  if (meta.request && tokens.has(token)) {
+    const leak = recordLeak(session, token, url, meta.request);
+    if (leak) {
+      await persistTokens();
+      if (leak.count === 1) {
+        notifyPopup({
+          tabIds: [session.tabId],
+          events: [buildTokenEvent('leak', session, token, tokens.get(token), {
+            request: meta.request, detail: `Sent to ${leak.toSite}`
+          })]
+        });
+      }
+    }
+  }
+
+  // Keep tokens of out-of-scope URLs out, but count them
+  const scopeUrl = meta.scopeUrl || url;
+  const rejection = getScopeRejection(scopeUrl, (await getTabInfo(tabId)).url, settings);
+  if (rejection) {
+    if (recordFiltered(session, token, scopeUrl, rejection)) {
+      await persistTokens();
+      notifyPopup({
+        tabIds: [session.tabId],
+        events: [buildTokenEvent('filtered', session, token, meta, { url: scopeUrl, detail: rejection })]
+      });
+    }
+    return null;
+  }
+
+  // De-duplication: If token already exists, don't add again, but remember
+  // the latest request that used it so its status stays current
+  if (tokens.has(token)) {
+    if (meta.request && !meta.reported) {
+      tokens.get(token).lastRequest = meta.request;
+    }
+    return session;
+  }
+
+  // A value that was already rotated out must not displace its replacement
+  if (session.history.some(entry => entry.token === token)) {
+    return null;
+  }
+
+  // The header scheme (e.g. "Basic ") tells credentials apart from random base64
+  const scheme = /^(Bearer|Basic)\s+$/i.test(meta.headerPrefix || '') ? meta.headerPrefix : '';
+  const shape = classifyToken(`${scheme}${token}`);
+
+  const entry = {
+    url: url,
+    timestamp: Date.now(),
+    source: meta.source || 'header',
+    ruleId: meta.ruleId || null,
+    ruleLabel: meta.ruleLabel || null,
+    headerName: meta.headerName || null,
+    headerPrefix: meta.headerPrefix || '',
+    paramName: meta.paramName || null,
+    tokenRole: meta.tokenRole || null,
+    grantId: meta.grantId || null,
+    expiresAt: meta.expiresAt || null,
+    kind: shape.kind,
+    kindLabel: shape.label,
+    confidence: shape.confidence,
+    rotatedAt: null,
+    lastRequest: meta.reported ? null : meta.request || null
+  };
+
+  // Enforce maximum token limit according to the eviction policy
+  const replaced = selectTokenToReplace(tokens, entry, settings);
+  if (replaced === false) {
+    return null; // Ignore additional tokens beyond limit
+  }
+
+  if (replaced !== null) {
+    recordReplacement(session, replaced, token);
+    entry.rotatedAt = entry.timestamp;
+  }
+
+  // A rule capturing a second value means its token changed
+  const changed = replaced !== null ||
+    (entry.ruleId !== null && Array.from(tokens.values()).some(other => other.ruleId === entry.ruleId));
+
+  // Store token with its first associated URL
+  tokens.set(token, entry);
+
+  // Persist to storage for popup access
+  await persistTokens();
+
+  // Notify popup if open
+  notifyPopup({
+    tabIds: [session.tabId],
+    events: [buildTokenEvent('captured', session, token, entry, {
+      request: entry.lastRequest, detail: replaced === null ? null : `Replaced ${abbreviateToken(replaced)}`
+    })]
+  });
+  await notifyTokenCaptured(token, entry, changed, settings);
+
+  return session;
+}
+
+/**
+ * Build a serializable list of a session's tokens
+ * @param {string} sessionKey - Session to list
+ * @returns {Array} - Token objects in detection order
+ */
+export function getTokenList(sessionKey) {
+  const tokenList = [];
+  const session = state.tokenSessions.get(sessionKey);
+
+  if (session) {
+    session.tokens.forEach((data, token) => {
+      tokenList.push({ token: token, ...data });
+    });
+  }
+
+  return tokenList;
+}
+
+/**
+ * Get a session's replaced tokens, newest first
+ * @param {string} sessionKey - Session to list
+ * @returns {Array} - History entries
+ */
+export function getHistoryList(sessionKey) {
+  const session = state.tokenSessions.get(sessionKey);
+  return session ? session.history.slice() : [];
+}
+
+/**
+ * Persist all sessions to chrome.storage.session for popup access
+ * Also saves the tab state restoreState needs after a worker restart
+ */
+export async function persistTokens() {
+  const sessions = getSessionList().map(session => ({
+    ...session,
+    tokens: getTokenList(session.key),
+    history: getHistoryList(session.key),
+    filtered: state.tokenSessions.get(session.key).filtered,
+    leaks: state.tokenSessions.get(session.key).leaks
+  }));
+
+  await chrome.storage.session.set({
+    sessions: sessions,
+    tabInfo: Array.from(state.tabInfo),
+    activeTabId: state.activeTabId
+  });
+}
+
+/**
+ * Rebuild the in-memory state from chrome.storage.session
+ * MV3 stops idle workers after ~30 seconds, wiping every variable while
+ * session storage survives until the browser closes
+ */
+export async function restoreState() {
+  try {
+    const stored = await chrome.storage.session.get(['sessions', 'tabInfo', 'activeTabId']);
+
+    (stored.sessions || []).forEach(session => {
+      state.tokenSessions.set(session.key, {
+        key: session.key,
+        tabId: session.tabId,
+        origin: session.origin,
+        title: session.title,
+        tokens: new Map((session.tokens || []).map(({ token, ...data }) => [token, data])),
+        history: session.history || [],
+        filtered: session.filtered || {},
+        leaks: session.leaks || []
+      });
+    });
+
+    (stored.tabInfo || []).forEach(([tabId, info]) => state.tabInfo.set(tabId, info));
+
+    if (typeof stored.activeTabId === 'number') {
+      state.activeTabId = stored.activeTabId;
+    }
+
+    // Drop sessions of tabs closed while the worker was stopped
+    const openTabIds = new Set((await chrome.tabs.query({})).map(tab => tab.id));
+    const closed = removeSessions(session => !openTabIds.has(session.tabId));
+    state.tabInfo.forEach((info, tabId) => {
+      if (!openTabIds.has(tabId)) state.tabInfo.delete(tabId);
+    });
+
+    if (closed) {
+      await persistTokens();
+    }
+  } catch (error) {
+    console.error('Error restoring state:', error);
+  }
+}
+
+/**
+ * Notify popup of token updates via messaging and refresh the toolbar badges
+ * The DevTools panel listens to the same messages for its timeline.
+ * @param {Object} [changes] - { tabIds, events } where tabIds are the tabs whose
+ *                             badge changed (every known tab when omitted) and
+ *                             events are timeline events built by buildTokenEvent
+ */
+export function notifyPopup({ tabIds, events = [] } = {}) {
+  chrome.runtime.sendMessage({ type: 'TOKENS_UPDATED', events: events }).catch(() => {
+    // Popup not open, ignore error
+  });
+
+  // The badge tells the same when the popup is closed
+  if (!tabIds || tabIds.length > 0) {
+    refreshBadges(tabIds).catch(error => console.error('Error updating the badge:', error));
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * Settings Files
+ *
+ * Wraps settings in a versioned JSON file that can be shared between
+ * browsers, and validates imported files against the settings schema.
+ */
+
+import {
+  DEFAULT_SETTINGS, MAX_TOKENS_LIMIT, PROFILE_FIELDS, SETTINGS_FILE_FORMAT, SETTINGS_FILE_VERSION
+} from './constants.js';
+import { migrateSettings } from './settings.js';
+
+// ============================================================================
+// SETTINGS SCHEMA
+// ============================================================================
+
+// HTTP header name characters (RFC 7230 token)
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// Expected shape of every setting; fields missing from a file get their defaults
+const SETTINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    detectionRules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'header'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          enabled: { type: 'boolean' },
+          label: { type: 'string' },
+          location: { type: 'string', enum: ['header', 'query', 'body'] },
+          // Query parameter and body field names are not limited to header characters
+          header: {
+            type: 'string',
+            minLength: 1,
+            pattern: HEADER_NAME_PATTERN,
+            patternName: 'a valid header name',
+            patternApplies: rule => (rule.location || 'header') === 'header'
+          },
+          pattern: { type: 'string', format: 'token-regex' },
+          urlPattern: { type: 'string', format: 'url-pattern' },
+          notify: { type: 'boolean' }
+        }
+      }
+    },
+    tokenSources: {
+      type: 'object',
+      properties: Object.fromEntries(Object.keys(DEFAULT_SETTINGS.tokenSources).map(key => [key, { type: 'boolean' }]))
+    },
+    urlScope: {
+      type: 'object',
+      properties: {
+        allow: { type: 'array', items: { type: 'string', format: 'url-pattern' } },
+        deny: { type: 'array', items: { type: 'string', format: 'url-pattern' } },
+        firstPartyOnly: { type: 'boolean' }
+      }
+    },
+    maxTokens: { type: 'integer', minimum: 1, maximum: MAX_TOKENS_LIMIT },
+    minConfidence: { type: 'integer', minimum: 0, maximum: 100 },
+    evictionPolicy: { type: 'string', enum: ['keep-first', 'keep-latest', 'rotate-per-rule'] },
+    sessionScope: { type: 'string', enum: ['tab', 'origin'] },
+    keepOnNavigation: { type: 'boolean' },
+    autoCleanup: { type: 'boolean' },
+    vaultAutoLockMinutes: { type: 'integer', minimum: 0, maximum: 1440 },
+    showBadge: { type: 'boolean' },
+    notifications: { type: 'boolean' },
+    probeUrls: { type: 'array', items: { type: 'string', format: 'probe-url' } }
+  }
+};
+
+// Expected shape of a named profile; its settings are limited to PROFILE_FIELDS
+const PROFILE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    origins: { type: 'array', items: { type: 'string', format: 'url-pattern' } },
+    settings: {
+      type: 'object',
+      properties: Object.fromEntries(PROFILE_FIELDS.map(field => [field, SETTINGS_SCHEMA.properties[field]]))
+    }
+  }
+};
+
+/**
+ * Check a string against a named format
+ * @param {string} value - Value to check
+ * @param {string} format - 'token-regex' | 'url-pattern' | 'probe-url'
+ * @returns {string|null} - Problem description, or null when valid
+ */
+function checkFormat(value, format) {
+  let source = null;
+
+  if (format === 'token-regex') {
+    source = value;
+  } else if (format === 'url-pattern') {
+    // Only slash-wrapped patterns are regexes, anything else is a glob
+    const regex = value.match(/^\/(.+)\/$/);
+    source = regex ? regex[1] : null;
+  } else if (format === 'probe-url' && !value.startsWith('/')) {
+    let url = null;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      // Reported below
+    }
+    return url && ['http:', 'https:'].includes(url.protocol) ? null : 'must be an http(s) URL or a /path';
+  }
+
+  if (!source) return null;
+
+  try {
+    new RegExp(source);
+  } catch (error) {
+    return `is not a valid regex (${error.message})`;
+  }
+
+  // The first capture group of a rule pattern is the token; matching the
+  // empty alternative reveals the number of groups
+  const groups = new RegExp(`${source}|`).exec('').length - 1;
+  return format === 'token-regex' && groups < 1 ? 'needs a capture group around the token' : null;
+}
+
+/**
+ * Describe the JSON type of a value
+ * @param {*} value - Any value
+ * @returns {string} - e.g. 'array', 'null', 'string'
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema node, collecting every problem
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Location of the value, e.g. "settings.detectionRules[2].pattern"
+ * @param {Array} errors - Collected error messages
+ * @param {Object} [parent] - Object holding the value, for checks depending on its siblings
+ */
+function validateNode(value, schema, path, errors, parent) {
+  const type = describeType(value);
+  const expected = schema.type === 'integer' ? 'number' : schema.type;
+
+  if (type !== expected || (schema.type === 'integer' && !Number.isInteger(value))) {
+    const article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+    errors.push(`${path}: expected ${schema.type === 'integer' ? 'a whole number' : `${article} ${schema.type}`}, got ${type}`);
+    return;
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`);
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = `${path}.${key}`;
+      if (!schema.properties[key]) {
+        errors.push(`${childPath}: is not a known field`);
+      } else {
+        validateNode(child, schema.properties[key], childPath, errors, value);
+      }
+    });
+  } else if (schema.type === 'array') {
+    value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+  } else if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  } else if (schema.minimum !== undefined && (value < schema.minimum || value > schema.maximum)) {
+    errors.push(`${path}: must be between ${schema.minimum} and ${schema.maximum}`);
+  } else if (schema.minLength && value.length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  } else if (schema.pattern && (!schema.patternApplies || schema.patternApplies(parent)) && !schema.pattern.test(value)) {
+    errors.push(`${path}: "${value}" is not ${schema.patternName}`);
+  } else if (schema.format) {
+    const problem = checkFormat(value, schema.format);
+    if (problem) errors.push(`${path}: "${value}" ${problem}`);
+  }
+}
+
+/**
+ * Report IDs used by more than one item of a list
+ * @param {Array} items - Objects with an id
+ * @param {string} path - Location of the list
+ * @param {string} kind - What the items are, e.g. 'rule'
+ * @param {Array} errors - Collected error messages
+ */
+function checkUniqueIds(items, path, kind, errors) {
+  const ids = items.map(item => item.id);
+  ids.forEach((id, index) => {
+    if (ids.indexOf(id) !== index) {
+      errors.push(`${path}[${index}].id: "${id}" is used by another ${kind}`);
+    }
+  });
+}
+
+/**
+ * Validate settings against the schema
+ * @param {Object} settings - Settings to check
+ * @param {string} [path] - Location of the settings, for error messages
+ * @returns {Array} - Error messages, empty when valid
+ */
+export function validateSettings(settings, path = 'settings') {
+  const errors = [];
+  validateNode(settings, SETTINGS_SCHEMA, path, errors);
+
+  if (errors.length === 0 && settings.detectionRules) {
+    checkUniqueIds(settings.detectionRules, `${path}.detectionRules`, 'rule', errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list of named profiles against the schema
+ * @param {Array} profiles - Profiles to check
+ * @returns {Array} - Error messages, empty when valid
+ */
+function validateProfiles(profiles) {
+  const errors = [];
+  validateNode(profiles, { type: 'array', items: PROFILE_SCHEMA }, 'profiles', errors);
+
+  if (errors.length === 0) {
+    checkUniqueIds(profiles, 'profiles', 'profile', errors);
+    profiles.forEach((profile, index) => {
+      if (profile.settings?.detectionRules) {
+        checkUniqueIds(profile.settings.detectionRules, `profiles[${index}].settings.detectionRules`, 'rule', errors);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// SETTINGS FILES
+// ============================================================================
+
+/**
+ * Wrap settings in an export file
+ * @param {Object} settings - Settings of the default profile
+ * @param {Array} profiles - Named profiles
+ * @returns {Object} - { format, version, exportedAt, settings, profiles }
+ */
+export function buildSettingsFile(settings, profiles) {
+  return {
+    format: SETTINGS_FILE_FORMAT,
+    version: SETTINGS_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: settings,
+    profiles: profiles
+  };
+}
+
+/**
+ * Read the settings out of an imported file
+ * Settings of older versions are upgraded before they are validated.
+ * @param {*} file - Parsed JSON file contents
+ * @returns {Object} - { settings, profiles, errors } where settings is null if there are
+ *                     errors and profiles is null if the file has none
+ */
+export function parseSettingsFile(file) {
+  if (describeType(file) !== 'object' || file.format !== SETTINGS_FILE_FORMAT) {
+    return { settings: null, profiles: null, errors: [`Not a settings file (expected "format": "${SETTINGS_FILE_FORMAT}")`] };
+  }
+
+  if (!Number.isInteger(file.version) || file.version < 1 || file.version > SETTINGS_FILE_VERSION) {
+    return {
+      settings: null,
+      profiles: null,
+      errors: [`Unsupported settings file version ${JSON.stringify(file.version)} (this extension reads version ${SETTINGS_FILE_VERSION})`]
+    };
+  }
+
+  if (describeType(file.settings) !== 'object') {
+    return { settings: null, profiles: null, errors: [`settings: expected an object, got ${describeType(file.settings)}`] };
+  }
+
+  const settings = migrateSettings(file.settings);
+  const hasProfiles = file.profiles !== undefined;
+  const errors = [...validateSettings(settings), ...(hasProfiles ? validateProfiles(file.profiles) : [])];
+
+  return {
+    settings: errors.length === 0 ? settings : null,
+    profiles: hasProfiles ? file.profiles : null,
+    errors: errors
+  };
+}
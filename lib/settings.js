@@ -0,0 +1,170 @@
+/**
+ * Settings
+ *
+ * Reads settings from chrome.storage.local, upgrading the shapes saved by
+ * older versions, applying the active profile and filling in defaults.
+ */
+
+import { DEFAULT_PROFILE_ID, DEFAULT_SETTINGS, MAX_TOKENS_LIMIT, PROFILE_FIELDS, RULE_PRESETS } from './constants.js';
+import { getProfileStatus, loadProfiles, matchProfile, pickProfileFields, updateProfile } from './profiles.js';
+
+// ============================================================================
+// SETTINGS HELPERS
+// ============================================================================
+
+/**
+ * Convert a legacy tokenType / customHeaderName pair into detection rules
+ * @param {Object} stored - Settings saved before detection rules existed
+ * @returns {Object} - Settings with an equivalent rule list
+ */
+function migrateTokenType(stored) {
+  const { tokenType, customHeaderName, ...rest } = stored;
+  let presets;
+
+  switch (tokenType) {
+    case 'session':
+      presets = ['sessionToken', 'sessionTokenPlain', 'sessionId'];
+      break;
+
+    case 'custom':
+      if (customHeaderName) {
+        return {
+          ...rest,
+          detectionRules: [{
+            id: 'custom',
+            enabled: true,
+            label: customHeaderName,
+            header: customHeaderName,
+            pattern: '(.+)',
+            urlPattern: ''
+          }]
+        };
+      }
+      presets = ['bearer'];
+      break;
+
+    default:
+      presets = ['bearer'];
+  }
+
+  return {
+    ...rest,
+    detectionRules: presets.map(id => ({ id, enabled: true, ...RULE_PRESETS[id] }))
+  };
+}
+
+/**
+ * Convert a legacy exclusive tokenSource into per-source toggles
+ * @param {Object} stored - Settings saved before source toggles existed
+ * @returns {Object} - Settings with tokenSources
+ */
+function migrateTokenSource(stored) {
+  const { tokenSource, ...rest } = stored;
+
+  return {
+    ...rest,
+    tokenSources: {
+      headers: tokenSource === 'headers',
+      localStorage: tokenSource === 'storage',
+      sessionStorage: tokenSource === 'storage',
+      cookies: tokenSource === 'cookies'
+    }
+  };
+}
+
+/**
+ * Upgrade settings saved by older versions to the current shape
+ * @param {Object} stored - Settings as read from storage
+ * @returns {Object} - Settings without legacy fields
+ */
+export function migrateSettings(stored) {
+  if (!stored) return stored;
+
+  let settings = stored;
+
+  if (!Array.isArray(settings.detectionRules)) {
+    settings = migrateTokenType(settings);
+  }
+
+  if ('tokenSource' in settings) {
+    settings = migrateTokenSource(settings);
+  }
+
+  return settings;
+}
+
+/**
+ * Fill in defaults and clamp the token limit
+ * @param {Object} stored - Settings as stored
+ * @returns {Object} - Complete settings
+ */
+function normalizeSettings(stored) {
+  const maxTokens = Number(stored.maxTokens) || DEFAULT_SETTINGS.maxTokens;
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    maxTokens: Math.min(MAX_TOKENS_LIMIT, Math.max(1, maxTokens)),
+    tokenSources: { ...DEFAULT_SETTINGS.tokenSources, ...stored.tokenSources },
+    urlScope: { ...DEFAULT_SETTINGS.urlScope, ...stored.urlScope }
+  };
+}
+
+/**
+ * Retrieve settings from storage, with a profile and defaults applied
+ * @param {string} [profileId] - Profile to apply; defaults to the active tab's profile
+ * @returns {Promise<Object>} - Settings
+ */
+export async function getSettings(profileId) {
+  try {
+    const result = await chrome.storage.local.get('settings');
+    const stored = migrateSettings(result.settings) || {};
+    const { profiles, activeId } = await getProfileStatus();
+    const profile = profiles.find(candidate => candidate.id === (profileId || activeId));
+
+    return normalizeSettings({ ...stored, ...profile?.settings });
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    return DEFAULT_SETTINGS;
+  }
+}
+
+/**
+ * Retrieve the settings that apply to a page, which need not be the active tab's
+ * A profile picked in the popup applies to every page, like on the active tab.
+ * @param {string|null} url - Page URL
+ * @returns {Promise<Object>} - Settings
+ */
+export async function getSettingsForUrl(url) {
+  const { profiles, selectedId } = await getProfileStatus();
+  return getSettings(selectedId || matchProfile(profiles, url));
+}
+
+/**
+ * Retrieve the settings of every profile, the default one first
+ * @returns {Promise<Array>} - Settings per profile
+ */
+export async function getAllProfileSettings() {
+  const { profiles } = await loadProfiles();
+  return Promise.all([DEFAULT_PROFILE_ID, ...profiles.map(profile => profile.id)].map(getSettings));
+}
+
+/**
+ * Save settings to storage
+ * Settings shared by all profiles always go to the top level; the profile
+ * fields go to the given profile.
+ * @param {Object} settings - Settings as edited
+ * @param {string} [profileId] - Profile being edited, the default profile if omitted
+ */
+export async function saveSettings(settings, profileId = DEFAULT_PROFILE_ID) {
+  if (profileId === DEFAULT_PROFILE_ID) {
+    await chrome.storage.local.set({ settings });
+    return;
+  }
+
+  const result = await chrome.storage.local.get('settings');
+  const shared = Object.fromEntries(Object.entries(settings).filter(([field]) => !PROFILE_FIELDS.includes(field)));
+
+  await updateProfile(profileId, { settings: pickProfileFields(settings) });
+  await chrome.storage.local.set({ settings: { ...migrateSettings(result.settings), ...shared } });
+}
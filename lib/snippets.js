@@ -0,0 +1,242 @@
+/**
+ * Request Snippets
+ *
+ * Rebuilds the request a captured token has to be sent in, and writes it
+ * out as curl, fetch, axios, HTTPie or PowerShell code. Shared by the
+ * worker's validity probe and the popup, so this module must not touch
+ * chrome.* or worker state.
+ */
+
+// ============================================================================
+// REQUEST HEADER
+// ============================================================================
+
+/**
+ * Build the header a token is sent in, the way it was captured
+ * Cookies go back into a Cookie header and tokens found in storage default
+ * to a Bearer header.
+ * @param {string} token - Token value
+ * @param {Object} data - Stored token data
+ * @returns {Object|null} - { name, value }, or null for query and body tokens
+ */
+export function getRequestHeader(token, data) {
+  if (data.source === 'query' || data.source === 'body') {
+    return null;
+  }
+
+  if (data.headerName) {
+    return { name: data.headerName, value: `${data.headerPrefix || ''}${token}` };
+  }
+
+  if (data.source === 'cookie') {
+    return { name: 'Cookie', value: `${data.url.replace(/^cookie:/, '')}=${token}` };
+  }
+
+  return { name: 'Authorization', value: `Bearer ${token}` };
+}
+
+// ============================================================================
+// SNIPPETS
+// ============================================================================
+
+// Snippet formats offered in each token card's copy menu, in menu order
+export const SNIPPET_FORMATS = {
+  curl: { label: 'curl', build: buildCurlSnippet },
+  fetch: { label: 'fetch', build: buildFetchSnippet },
+  axios: { label: 'axios', build: buildAxiosSnippet },
+  httpie: { label: 'HTTPie', build: buildHttpieSnippet },
+  powershell: { label: 'PowerShell', build: buildPowerShellSnippet },
+  env: { label: 'Env export', build: buildEnvSnippet }
+};
+
+/**
+ * Quote a string for POSIX shells
+ * @param {string} value - Raw value
+ * @returns {string} - Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Quote a string for PowerShell
+ * @param {string} value - Raw value
+ * @returns {string} - Single-quoted value
+ */
+function powerShellQuote(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Drop the query parameters whose values were masked when the URL was recorded
+ * @param {URL} url - Parsed request URL, changed in place
+ */
+function stripMaskedParams(url) {
+  // Recorded URLs mask credential values with bullets (see maskQueryParams)
+  const masked = Array.from(url.searchParams).filter(([, value]) => value.includes('•')).map(([name]) => name);
+  masked.forEach(name => url.searchParams.delete(name));
+}
+
+/**
+ * Check whether a recorded request went to the snippet's endpoint
+ * @param {string} url - Recorded request URL
+ * @param {URL} target - Snippet URL
+ * @returns {boolean} - Same origin and path
+ */
+function isSameEndpoint(url, target) {
+  try {
+    const parsed = new URL(url);
+    return parsed.origin === target.origin && parsed.pathname === target.pathname;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Build the request a snippet should reproduce
+ * Targets the URL the token was first seen at, like the validity probe: a
+ * later request may have carried it to another site. Query tokens go back
+ * into their parameter, other masked credentials are left out, and body
+ * tokens are sent as a JSON body.
+ * @param {Object} item - Token object
+ * @param {string|null} origin - Origin of the token's session, for tokens without a request URL
+ * @returns {Object} - { method, url, header, body } where header and body may be null
+ */
+function getSnippetRequest(item, origin) {
+  let url = item.url;
+
+  // Storage and cookie tokens have no request URL; target the page origin
+  if (!/^https?:\/\//i.test(url)) {
+    url = origin ? `${origin}/` : 'https://example.com/';
+  }
+
+  const target = new URL(url);
+  stripMaskedParams(target);
+  if (item.source === 'query' && item.paramName) {
+    target.searchParams.set(item.paramName, item.token);
+  }
+
+  // The method is only known when the latest request went to the same endpoint
+  const request = item.lastRequest;
+  const sameEndpoint = request && isSameEndpoint(request.url, target);
+  const hasBody = item.source === 'body' && item.paramName;
+
+  return {
+    method: ((sameEndpoint && request.method) || (hasBody ? 'POST' : 'GET')).toUpperCase(),
+    url: target.href,
+    header: getRequestHeader(item.token, item),
+    body: hasBody ? JSON.stringify({ [item.paramName]: item.token }) : null
+  };
+}
+
+/**
+ * Collect the headers of a snippet request
+ * @param {Object} request - Result of getSnippetRequest
+ * @returns {Object} - Header values by name
+ */
+function getSnippetHeaders(request) {
+  const headers = {};
+  if (request.header) headers[request.header.name] = request.header.value;
+  if (request.body) headers['Content-Type'] = 'application/json';
+  return headers;
+}
+
+/**
+ * Derive an environment variable name from the detection rule or header
+ * @param {Object} item - Token object
+ * @returns {string} - e.g. API_KEY, BEARER_TOKEN
+ */
+export function getEnvVarName(item) {
+  const base = (item.ruleLabel || item.headerName || 'API')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'API';
+
+  return /(TOKEN|KEY|SECRET|ID)$/.test(base) ? base : `${base}_TOKEN`;
+}
+
+/**
+ * Build a curl command
+ * @param {Object} item - Token object
+ * @param {string|null} origin - Origin of the token's session
+ * @returns {string} - Snippet text
+ */
+function buildCurlSnippet(item, origin) {
+  const request = getSnippetRequest(item, origin);
+  const methodFlag = request.method === 'GET' ? '' : ` -X ${request.method}`;
+  const flags = Object.entries(getSnippetHeaders(request))
+    .map(([name, value]) => ` \\\n  -H ${shellQuote(`${name}: ${value}`)}`);
+  if (request.body) flags.push(` \\\n  -d ${shellQuote(request.body)}`);
+  return `curl${methodFlag} ${shellQuote(request.url)}${flags.join('')}`;
+}
+
+/**
+ * Build a browser/Node fetch call
+ * @param {Object} item - Token object
+ * @param {string|null} origin - Origin of the token's session
+ * @returns {string} - Snippet text
+ */
+function buildFetchSnippet(item, origin) {
+  const request = getSnippetRequest(item, origin);
+  const options = { method: request.method, headers: getSnippetHeaders(request) };
+  if (request.body) options.body = request.body;
+  return `const response = await fetch(${JSON.stringify(request.url)}, ${JSON.stringify(options, null, 2)});`;
+}
+
+/**
+ * Build an axios request
+ * @param {Object} item - Token object
+ * @param {string|null} origin - Origin of the token's session
+ * @returns {string} - Snippet text
+ */
+function buildAxiosSnippet(item, origin) {
+  const request = getSnippetRequest(item, origin);
+  const config = { method: request.method.toLowerCase(), url: request.url, headers: getSnippetHeaders(request) };
+  if (request.body) config.data = JSON.parse(request.body);
+  return `const response = await axios(${JSON.stringify(config, null, 2)});`;
+}
+
+/**
+ * Build an HTTPie command
+ * @param {Object} item - Token object
+ * @param {string|null} origin - Origin of the token's session
+ * @returns {string} - Snippet text
+ */
+function buildHttpieSnippet(item, origin) {
+  const request = getSnippetRequest(item, origin);
+  const items = request.header ? [shellQuote(`${request.header.name}:${request.header.value}`)] : [];
+
+  // HTTPie sends "name=value" items as a JSON body
+  if (request.body) {
+    items.push(...Object.entries(JSON.parse(request.body)).map(([name, value]) => shellQuote(`${name}=${value}`)));
+  }
+  return [`http ${request.method} ${shellQuote(request.url)}`, ...items].join(' ');
+}
+
+/**
+ * Build a PowerShell Invoke-RestMethod command
+ * @param {Object} item - Token object
+ * @param {string|null} origin - Origin of the token's session
+ * @returns {string} - Snippet text
+ */
+function buildPowerShellSnippet(item, origin) {
+  const request = getSnippetRequest(item, origin);
+  let command = `Invoke-RestMethod -Method ${request.method} -Uri ${powerShellQuote(request.url)}`;
+
+  if (request.header) {
+    command += ` -Headers @{ ${powerShellQuote(request.header.name)} = ${powerShellQuote(request.header.value)} }`;
+  }
+  if (request.body) {
+    command += ` -ContentType 'application/json' -Body ${powerShellQuote(request.body)}`;
+  }
+  return command;
+}
+
+/**
+ * Build a shell export line holding the raw token
+ * @param {Object} item - Token object
+ * @returns {string} - Snippet text
+ */
+function buildEnvSnippet(item) {
+  return `export ${getEnvVarName(item)}=${shellQuote(item.token)}`;
+}
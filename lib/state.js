@@ -0,0 +1,67 @@
+/**
+ * Worker State
+ *
+ * In-memory state of the service worker, shared by every module. It lives
+ * in one object because ES module bindings cannot be reassigned by importers.
+ * Everything here is lost when MV3 stops the worker; see restoreState.
+ */
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+export const state = {
+  /**
+   * Token sessions, one per tab (or per tab + origin), mirrored to
+   * chrome.storage.session and rebuilt from it on worker restart
+   * Structure: Map<sessionKey, { key, tabId, origin, title, tokens, history, filtered, leaks }>
+   * - tokens: Map<token, data>, data being described below
+   * - history: replaced tokens, newest first
+   * - filtered: { [host]: { host, reason, fingerprints } } for out-of-scope tokens
+   * - leaks: tokens sent to sites they do not belong to, newest first (see recordLeak)
+   *
+   * Token data:
+   * - url, timestamp: where and when the token was first seen
+   * - source: 'header' | 'query' | 'body' | 'localStorage' | 'sessionStorage' | 'indexedDB'
+   *   | 'cookie' | 'token-response' | 'redirect' | 'set-cookie' | 'websocket'
+   * - ruleId, ruleLabel, headerName, headerPrefix: the rule and header it was detected by
+   * - paramName: query parameter or body field of 'query' and 'body' tokens
+   * - kind, kindLabel, confidence: the value shape (see classifyToken)
+   * - tokenRole, grantId, expiresAt: issued tokens only; role 'access' | 'refresh' | 'id',
+   *   the grant linking tokens issued together, and the expiry from expires_in
+   * - rotatedAt: when it replaced an earlier token, else null
+   * - lastRequest: the latest request that carried it (see buildRequestRecord)
+   * - probe: the latest validity check (see probeToken)
+   */
+  tokenSessions: new Map(),
+
+  // Last known URL and title of each tab, used to key and label sessions
+  // Structure: Map<tabId, { url: string, title: string }>
+  tabInfo: new Map(),
+
+  // Current active tab ID being monitored
+  activeTabId: null,
+
+  // Resolves once the state persisted before a worker restart has been restored;
+  // every listener touching the state awaits it first (see restoreState)
+  stateReady: null,
+
+  // Key of the unlocked vault, imported from chrome.storage.session (see getVaultKey)
+  vaultKey: null,
+
+  // Requests that carried tokens, awaiting their response status
+  // Structure: Map<requestId, { sessionKey: string, tokens: string[] }>
+  pendingRequests: new Map()
+};
+
+/**
+ * Reset the state to that of a freshly started worker
+ */
+export function resetState() {
+  state.tokenSessions = new Map();
+  state.tabInfo = new Map();
+  state.activeTabId = null;
+  state.stateReady = null;
+  state.vaultKey = null;
+  state.pendingRequests = new Map();
+}
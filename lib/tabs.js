@@ -0,0 +1,170 @@
+/**
+ * Tab & Window Tracking
+ *
+ * Follows the active tab, keeps session labels in sync with navigation,
+ * drops the sessions of closed tabs and cleans up when the browser closes.
+ */
+
+import { listInjections, revertInjections } from './injection.js';
+import { handleRedirectFragment } from './issued-tokens.js';
+import { getOrigin, getSessionKey, removeSessions, persistTokens, notifyPopup } from './sessions.js';
+import { getAllProfileSettings, getSettingsForUrl } from './settings.js';
+import { state } from './state.js';
+import { lockVault } from './vault.js';
+
+// ============================================================================
+// ACTIVE TAB TRACKING
+// ============================================================================
+
+/**
+ * Update the currently active tab
+ * Sessions of other tabs are kept so they can be browsed from the popup
+ */
+export async function updateActiveTab() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    if (tab && tab.id !== state.activeTabId) {
+      state.activeTabId = tab.id;
+      state.tabInfo.set(tab.id, { url: tab.url || '', title: tab.title || '' });
+      await persistTokens();
+      notifyPopup({ tabIds: [tab.id] });
+    }
+  } catch (error) {
+    console.error('Error updating active tab:', error);
+  }
+}
+
+/**
+ * Handler for tab activation changes
+ * @param {Object} activeInfo - tabs.onActivated details
+ */
+export async function handleTabActivated(activeInfo) {
+  await state.stateReady;
+  state.activeTabId = activeInfo.tabId;
+  await persistTokens();
+
+  // Show the new tab's session in an open popup
+  notifyPopup({ tabIds: [activeInfo.tabId] });
+}
+
+/**
+ * Handler for tab updates (e.g., navigation, title changes)
+ * @param {number} tabId - Updated tab
+ * @param {Object} changeInfo - What changed
+ * @param {Object} tab - Tab after the change
+ */
+export async function handleTabUpdated(tabId, changeInfo, tab) {
+  await state.stateReady;
+  state.tabInfo.set(tabId, { url: tab.url || '', title: tab.title || '' });
+
+  if (changeInfo.status !== 'loading' && !changeInfo.title && !changeInfo.url) {
+    return;
+  }
+
+  // The tab follows its own profile, not the active tab's
+  const settings = await getSettingsForUrl(tab.url);
+  const origin = getOrigin(tab.url);
+  const key = getSessionKey(tabId, origin, settings);
+  let changed = false;
+
+  if (changeInfo.status === 'loading' && !settings.keepOnNavigation) {
+    // Clear the session the navigated page records into
+    changed = state.tokenSessions.delete(key);
+  }
+
+  // Keep the session label in sync with the page
+  const session = state.tokenSessions.get(key);
+  if (session && (session.title !== tab.title || session.origin !== origin)) {
+    session.title = tab.title || '';
+    session.origin = origin;
+    changed = true;
+  }
+
+  if (changed) {
+    await persistTokens();
+    notifyPopup({ tabIds: [tabId] });
+  }
+
+  // Capture tokens handed over in the URL fragment of an OIDC redirect
+  if (changeInfo.url) {
+    await handleRedirectFragment(tabId, changeInfo.url);
+  }
+}
+
+/**
+ * Handler for closed tabs: drop the tab's sessions
+ * @param {number} tabId - Closed tab
+ */
+export async function handleTabRemoved(tabId) {
+  await state.stateReady;
+  state.tabInfo.delete(tabId);
+
+  if (removeSessions(session => session.tabId === tabId)) {
+    await persistTokens();
+    // A closed tab has no badge left to update
+    notifyPopup({ tabIds: [] });
+  }
+}
+
+// ============================================================================
+// BROWSER WINDOW CLOSE CLEANUP
+// ============================================================================
+
+/**
+ * Drop the sessions and injections of the profiles that clean up on browser close
+ * Sessions follow the profile of their origin, injections the profile of
+ * the page they were written into.
+ */
+async function cleanUpProfiles() {
+  const sessionKeys = new Set();
+  for (const session of state.tokenSessions.values()) {
+    if ((await getSettingsForUrl(session.origin)).autoCleanup) sessionKeys.add(session.key);
+  }
+
+  const injectionIds = new Set();
+  for (const injection of await listInjections()) {
+    if ((await getSettingsForUrl(injection.pageUrl)).autoCleanup) injectionIds.add(injection.id);
+  }
+
+  if (injectionIds.size > 0) {
+    await revertInjections(injection => injectionIds.has(injection.id));
+  }
+
+  if (removeSessions(session => sessionKeys.has(session.key))) {
+    await persistTokens();
+  }
+}
+
+/**
+ * Clear all data when browser windows close
+ * This ensures no data persists across browser restarts. Each profile has
+ * its own auto-cleanup setting; when all of them clean up, everything goes.
+ */
+export async function handleWindowRemoved() {
+  await state.stateReady;
+
+  try {
+    // Check if there are any remaining windows
+    const windows = await chrome.windows.getAll();
+    
+    if (windows.length === 0) {
+      // Last window closed - lock the vault and clear all data
+      await lockVault();
+      
+      if ((await getAllProfileSettings()).every(settings => settings.autoCleanup)) {
+        // The injection records are cleared below, so take the tokens back first
+        await revertInjections();
+        state.tokenSessions.clear();
+        state.tabInfo.clear();
+        await chrome.storage.session.clear();
+        await chrome.storage.local.remove('tokens');
+        console.log('Browser closed - all extension data cleared');
+      } else {
+        await cleanUpProfiles();
+      }
+    }
+  } catch (error) {
+    console.error('Error during cleanup:', error);
+  }
+}
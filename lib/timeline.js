@@ -0,0 +1,51 @@
+/**
+ * Token Timeline Events
+ *
+ * Describes what happened to a token (captured, sent, filtered, leaked) for
+ * the DevTools panel, which receives the events with the TOKENS_UPDATED
+ * messages the popup listens to.
+ */
+
+import { abbreviateToken } from './alerts.js';
+import { fingerprintToken } from './url-scope.js';
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Build a timeline event
+ * Filtered tokens were kept out of the session on purpose, so their events
+ * carry the fingerprint but not the value.
+ * @param {string} type - 'captured' | 'request' | 'filtered' | 'leak'
+ * @param {Object} session - Session the token belongs to
+ * @param {string} token - Token value
+ * @param {Object} data - Stored token data, or the detection details of a filtered token
+ * @param {Object} [details] - { url, request, detail } where url is where the token was
+ *                             seen, request the record of the request that carried it and
+ *                             detail a short note (e.g. the filter reason)
+ * @returns {Object} - { id, type, timestamp, tabId, sessionKey, token, fingerprint, preview,
+ *                     source, ruleLabel, kindLabel, url, method, statusCode, error, detail }
+ */
+export function buildTokenEvent(type, session, token, data, details = {}) {
+  const request = details.request || null;
+
+  return {
+    id: `event-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    type: type,
+    timestamp: Date.now(),
+    tabId: session.tabId,
+    sessionKey: session.key,
+    token: type === 'filtered' ? null : token,
+    fingerprint: fingerprintToken(token),
+    preview: abbreviateToken(token),
+    source: data.source || 'header',
+    ruleLabel: data.ruleLabel || null,
+    kindLabel: data.kindLabel || null,
+    url: request?.url || details.url || data.url || null,
+    method: request?.method || null,
+    statusCode: request?.statusCode ?? null,
+    error: request?.error || null,
+    detail: details.detail || null
+  };
+}
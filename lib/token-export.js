@@ -0,0 +1,139 @@
+/**
+ * Token Export
+ *
+ * Writes the tokens picked in the popup's export form as JSON, .env,
+ * Postman or Insomnia environment files, optionally with masked values.
+ */
+
+import { maskToken } from './page-utils.js';
+import { getEnvVarName, getRequestHeader } from './snippets.js';
+
+// ============================================================================
+// EXPORT FORMATS
+// ============================================================================
+
+// Token export formats, in menu order
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', suffix: '.json', mimeType: 'application/json', build: buildJsonExport },
+  env: { label: '.env', suffix: '.env', mimeType: 'text/plain', build: buildEnvExport },
+  postman: { label: 'Postman environment', suffix: '.postman_environment.json', mimeType: 'application/json', build: buildPostmanExport },
+  insomnia: { label: 'Insomnia environment', suffix: '.insomnia.json', mimeType: 'application/json', build: buildInsomniaExport }
+};
+
+/**
+ * Name the exported tokens, numbering names that would repeat
+ * @param {Array} tokens - Token objects to export
+ * @param {boolean} mask - Replace token values by their masked form
+ * @returns {Array} - { name, value, item } per token
+ */
+export function getExportVariables(tokens, mask) {
+  const used = new Map();
+
+  return tokens.map(item => {
+    const base = getEnvVarName(item);
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+
+    return {
+      name: count > 1 ? `${base}_${count}` : base,
+      value: mask ? maskToken(item.token) : item.token,
+      item: item
+    };
+  });
+}
+
+/**
+ * Describe where the exported tokens come from, for environment names
+ * @param {string|null} origin - Origin of the exported session
+ * @returns {string} - e.g. "Tokens · app.example.com"
+ */
+function getExportTitle(origin) {
+  return `Tokens · ${origin ? new URL(origin).host : 'unknown origin'}`;
+}
+
+/**
+ * Build a JSON export with each token's capture details
+ * @param {Array} variables - From getExportVariables
+ * @param {Object} options - { origin, mask } of the export
+ * @returns {string} - File contents
+ */
+function buildJsonExport(variables, { origin, mask }) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    origin: origin,
+    masked: mask,
+    tokens: variables.map(({ name, value, item }) => {
+      const header = getRequestHeader(item.token, item);
+      return {
+        name: name,
+        token: value,
+        header: header ? { name: header.name, value: `${header.value.slice(0, -item.token.length)}${value}` } : null,
+        paramName: item.paramName || null,
+        url: item.url,
+        source: item.source || 'header',
+        ruleLabel: item.ruleLabel || null,
+        tokenRole: item.tokenRole || null,
+        capturedAt: new Date(item.timestamp).toISOString(),
+        expiresAt: item.expiresAt ? new Date(item.expiresAt).toISOString() : null
+      };
+    })
+  }, null, 2);
+}
+
+/**
+ * Build a .env file
+ * @param {Array} variables - From getExportVariables
+ * @param {Object} options - { origin } of the export
+ * @returns {string} - File contents
+ */
+function buildEnvExport(variables, { origin }) {
+  const lines = variables.map(({ name, value }) =>
+    // Quote values dotenv would otherwise cut at spaces or comments
+    `${name}=${/^[\w.~+/=:-]*$/.test(value) ? value : JSON.stringify(value)}`);
+
+  return `# ${getExportTitle(origin)}, exported ${new Date().toISOString()}\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Build a Postman environment file
+ * @param {Array} variables - From getExportVariables
+ * @param {Object} options - { origin } of the export
+ * @returns {string} - File contents
+ */
+function buildPostmanExport(variables, { origin }) {
+  return JSON.stringify({
+    id: crypto.randomUUID(),
+    name: getExportTitle(origin),
+    values: variables.map(({ name, value }) => ({ key: name, value: value, type: 'secret', enabled: true })),
+    _postman_variable_scope: 'environment',
+    _postman_exported_at: new Date().toISOString(),
+    _postman_exported_using: 'API Token Extractor'
+  }, null, 2);
+}
+
+/**
+ * Build an Insomnia (v4 export) file holding one workspace environment
+ * @param {Array} variables - From getExportVariables
+ * @param {Object} options - { origin } of the export
+ * @returns {string} - File contents
+ */
+function buildInsomniaExport(variables, { origin }) {
+  const workspaceId = `wrk_${crypto.randomUUID().replace(/-/g, '')}`;
+
+  return JSON.stringify({
+    _type: 'export',
+    __export_format: 4,
+    __export_date: new Date().toISOString(),
+    __export_source: 'api-token-extractor',
+    resources: [
+      { _id: workspaceId, _type: 'workspace', name: getExportTitle(origin), scope: 'collection' },
+      {
+        _id: `env_${crypto.randomUUID().replace(/-/g, '')}`,
+        _type: 'environment',
+        parentId: workspaceId,
+        name: 'Base Environment',
+        data: Object.fromEntries(variables.map(({ name, value }) => [name, value]))
+      }
+    ]
+  }, null, 2);
+}
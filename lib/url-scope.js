@@ -0,0 +1,143 @@
+/**
+ * URL Scope
+ *
+ * Allow/deny lists and first-party checks deciding which URLs tokens are
+ * kept from, and the bookkeeping of the tokens kept out.
+ */
+
+import { MAX_FILTERED_PER_HOST, MULTI_PART_SUFFIXES } from './constants.js';
+import { matchesUrlPattern } from './detection.js';
+
+// ============================================================================
+// URL SCOPE
+// ============================================================================
+
+/**
+ * Get the hostname of a URL
+ * @param {string} url - URL
+ * @returns {string} - Lower-case hostname, or '' for invalid URLs
+ */
+export function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Get the registrable domain (eTLD+1) of a host
+ * e.g. api.example.co.uk -> example.co.uk, cdn.example.com -> example.com
+ * @param {string} hostname - Hostname
+ * @returns {string} - Registrable domain (IP addresses are returned as is)
+ */
+export function getRegistrableDomain(hostname) {
+  if (!hostname || /^[\d.]+$/.test(hostname) || hostname.includes(':')) {
+    return hostname;
+  }
+
+  const labels = hostname.split('.');
+  const suffixLength = MULTI_PART_SUFFIXES.has(labels.slice(-2).join('.')) ? 2 : 1;
+  return labels.slice(-(suffixLength + 1)).join('.');
+}
+
+/**
+ * Check a URL against an allow/deny list pattern
+ * Regexes (/.../) and globs containing '://' match the full URL, globs
+ * containing '/' match host + path (e.g. api.example.com/v1/*) and other
+ * globs match the hostname only (e.g. *.segment.io)
+ * @param {string} url - URL to check
+ * @param {string} pattern - Scope pattern
+ * @returns {boolean}
+ */
+export function matchesScopePattern(url, pattern) {
+  if (/^\/.+\/$/.test(pattern) || pattern.includes('://')) {
+    return matchesUrlPattern(url, pattern);
+  }
+
+  try {
+    const parsed = new URL(url);
+    const target = pattern.includes('/') ? `${parsed.host}${parsed.pathname}` : parsed.hostname;
+    return matchesUrlPattern(target, pattern);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Decide whether tokens seen at a URL are out of scope
+ * @param {string} url - Where the token was sent or received
+ * @param {string} pageUrl - URL of the tab's page
+ * @param {Object} settings - Current settings
+ * @returns {string|null} - 'deny' | 'allow' | 'third-party', or null if in scope
+ */
+export function getScopeRejection(url, pageUrl, settings) {
+  const { allow, deny, firstPartyOnly } = settings.urlScope;
+
+  if (deny.some(pattern => matchesScopePattern(url, pattern))) {
+    return 'deny';
+  }
+
+  if (allow.length > 0 && !allow.some(pattern => matchesScopePattern(url, pattern))) {
+    return 'allow';
+  }
+
+  const pageDomain = getRegistrableDomain(getHostname(pageUrl));
+  if (firstPartyOnly && pageDomain && getRegistrableDomain(getHostname(url)) !== pageDomain) {
+    return 'third-party';
+  }
+
+  return null;
+}
+
+/**
+ * Fingerprint a token so filtered tokens can be counted without storing them
+ * @param {string} token - Token value
+ * @returns {string} - FNV-1a hash as hex
+ */
+export function fingerprintToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Count a token that was kept out of a session by the URL scope
+ * @param {Object} session - Session the token would have been added to
+ * @param {string} token - Token value
+ * @param {string} url - Where the token was seen
+ * @param {string} reason - Rejection reason from getScopeRejection
+ * @returns {boolean} - Whether the token had not been counted yet
+ */
+export function recordFiltered(session, token, url, reason) {
+  const host = getHostname(url) || url;
+  const fingerprint = fingerprintToken(token);
+
+  if (!session.filtered[host]) {
+    session.filtered[host] = { host: host, reason: reason, fingerprints: [] };
+  }
+
+  const entry = session.filtered[host];
+  entry.reason = reason;
+  if (entry.fingerprints.includes(fingerprint)) {
+    return false;
+  }
+
+  entry.fingerprints.push(fingerprint);
+  entry.fingerprints.splice(0, entry.fingerprints.length - MAX_FILTERED_PER_HOST);
+  return true;
+}
+
+/**
+ * Summarize a session's filtered tokens for the popup
+ * @param {Object} session - Session
+ * @returns {Array} - { host, reason, count } per host, most filtered first
+ */
+export function getFilteredList(session) {
+  return Object.values(session.filtered)
+    .map(entry => ({ host: entry.host, reason: entry.reason, count: entry.fingerprints.length }))
+    .sort((a, b) => b.count - a.count);
+}
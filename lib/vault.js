@@ -0,0 +1,320 @@
+/**
+ * Secure Vault
+ *
+ * Pinned tokens encrypted with AES-GCM under a key derived from the user's
+ * passphrase (PBKDF2) and kept in chrome.storage.local. The unlocked key is
+ * kept in chrome.storage.session, which content scripts cannot read, so the
+ * vault stays unlocked across worker restarts until the auto-lock alarm or
+ * the browser closing locks it.
+ */
+
+import {
+  VAULT_STORAGE_KEY, VAULT_PBKDF2_ITERATIONS, VAULT_CHECK_VALUE,
+  VAULT_MIN_PASSPHRASE_LENGTH, VAULT_LOCK_ALARM, VAULT_KEY_STORAGE_KEY
+} from './constants.js';
+import { notifyPopup } from './sessions.js';
+import { getSettings } from './settings.js';
+import { state } from './state.js';
+
+// ============================================================================
+// SECURE VAULT
+// ============================================================================
+
+/**
+ * Encode bytes as base64 for storage
+ * @param {ArrayBuffer|Uint8Array} buffer - Raw bytes
+ * @returns {string} - base64 string
+ */
+function bytesToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 from storage into bytes
+ * @param {string} base64 - base64 string
+ * @returns {Uint8Array} - Raw bytes
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive the raw vault key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random per-vault salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<ArrayBuffer>} - 256 key bits
+ */
+async function deriveVaultKeyBits(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  return crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+    material,
+    256
+  );
+}
+
+/**
+ * Turn raw key bits into the key used for encryption
+ * @param {ArrayBuffer|Uint8Array} bits - Raw key bits
+ * @returns {Promise<CryptoKey>} - Non-extractable AES-GCM key
+ */
+function importVaultKey(bits) {
+  return crypto.subtle.importKey('raw', bits, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Keep the unlocked key for the rest of the browser session
+ * @param {ArrayBuffer} bits - Raw key bits
+ */
+async function storeVaultKey(bits) {
+  await chrome.storage.session.set({ [VAULT_KEY_STORAGE_KEY]: bytesToBase64(bits) });
+  state.vaultKey = await importVaultKey(bits);
+}
+
+/**
+ * Get the key of the unlocked vault
+ * A restarted worker picks the key up from session storage again.
+ * @returns {Promise<CryptoKey|null>} - Vault key, or null while locked
+ */
+async function getVaultKey() {
+  if (!state.vaultKey) {
+    const stored = await chrome.storage.session.get(VAULT_KEY_STORAGE_KEY);
+    if (stored[VAULT_KEY_STORAGE_KEY]) {
+      state.vaultKey = await importVaultKey(base64ToBytes(stored[VAULT_KEY_STORAGE_KEY]));
+    }
+  }
+  return state.vaultKey;
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {CryptoKey} key - Vault key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<Object>} - { iv, data } as base64
+ */
+async function encryptJson(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+/**
+ * Decrypt a value produced by encryptJson
+ * Throws if the key is wrong or the data was tampered with
+ * @param {CryptoKey} key - Vault key
+ * @param {Object} box - { iv, data } as base64
+ * @returns {Promise<*>} - Decrypted value
+ */
+async function decryptJson(key, box) {
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(box.iv) },
+    key,
+    base64ToBytes(box.data)
+  );
+
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/**
+ * Read the stored vault
+ * @returns {Promise<Object|null>} - { salt, iterations, check, entries } or null
+ */
+async function loadVault() {
+  const result = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+  return result[VAULT_STORAGE_KEY] || null;
+}
+
+/**
+ * Write the vault back to storage
+ * @param {Object} vault - Vault object
+ */
+async function storeVault(vault) {
+  await chrome.storage.local.set({ [VAULT_STORAGE_KEY]: vault });
+}
+
+/**
+ * Restart the inactivity timer of the unlocked vault
+ */
+export async function touchVault() {
+  const settings = await getSettings();
+  await chrome.alarms.clear(VAULT_LOCK_ALARM);
+
+  if (await getVaultKey() && settings.vaultAutoLockMinutes > 0) {
+    chrome.alarms.create(VAULT_LOCK_ALARM, { delayInMinutes: settings.vaultAutoLockMinutes });
+  }
+}
+
+/**
+ * Forget the vault key
+ */
+export async function lockVault() {
+  state.vaultKey = null;
+  await chrome.storage.session.remove(VAULT_KEY_STORAGE_KEY);
+  await chrome.alarms.clear(VAULT_LOCK_ALARM);
+  notifyPopup();
+}
+
+/**
+ * Create a new, empty vault and unlock it
+ * @param {string} passphrase - User passphrase
+ */
+export async function setupVault(passphrase) {
+  if (await loadVault()) {
+    throw new Error('A vault already exists');
+  }
+
+  if (!passphrase || passphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const bits = await deriveVaultKeyBits(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+
+  await storeVault({
+    version: 1,
+    salt: bytesToBase64(salt),
+    iterations: VAULT_PBKDF2_ITERATIONS,
+    check: await encryptJson(await importVaultKey(bits), VAULT_CHECK_VALUE),
+    entries: []
+  });
+
+  await storeVaultKey(bits);
+  await touchVault();
+}
+
+/**
+ * Unlock the vault with a passphrase
+ * @param {string} passphrase - User passphrase
+ */
+export async function unlockVault(passphrase) {
+  const vault = await loadVault();
+  if (!vault) {
+    throw new Error('No vault has been set up');
+  }
+
+  const bits = await deriveVaultKeyBits(passphrase || '', base64ToBytes(vault.salt), vault.iterations);
+
+  try {
+    if (await decryptJson(await importVaultKey(bits), vault.check) !== VAULT_CHECK_VALUE) {
+      throw new Error('Check value mismatch');
+    }
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+
+  await storeVaultKey(bits);
+  await touchVault();
+}
+
+/**
+ * Decrypt all vault entries
+ * @returns {Promise<Array>} - { id, createdAt, label, token, ... } per entry
+ */
+export async function listVaultEntries() {
+  const vault = await loadVault();
+  const key = await getVaultKey();
+  if (!vault || !key) {
+    throw new Error('Vault is locked');
+  }
+
+  const entries = [];
+  for (const entry of vault.entries) {
+    const data = await decryptJson(key, entry);
+    entries.push({ id: entry.id, createdAt: entry.createdAt, ...data });
+  }
+
+  await touchVault();
+  return entries;
+}
+
+/**
+ * Encrypt and store a token in the vault
+ * @param {Object} item - Token object from the popup
+ * @param {string} label - User label, e.g. "staging admin user"
+ */
+export async function pinToVault(item, label) {
+  const vault = await loadVault();
+  const key = await getVaultKey();
+  if (!vault || !key) {
+    throw new Error('Vault is locked');
+  }
+
+  if (!item || typeof item.token !== 'string' || !item.token) {
+    throw new Error('Nothing to pin');
+  }
+
+  const encrypted = await encryptJson(key, {
+    label: label || item.ruleLabel || 'Pinned token',
+    token: item.token,
+    url: item.url || '',
+    source: item.source || null,
+    headerName: item.headerName || null,
+    headerPrefix: item.headerPrefix || ''
+  });
+
+  vault.entries.push({
+    id: `vault-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    createdAt: Date.now(),
+    ...encrypted
+  });
+
+  await storeVault(vault);
+  await touchVault();
+}
+
+/**
+ * Remove a vault entry
+ * @param {string} id - Entry ID
+ */
+export async function removeVaultEntry(id) {
+  const vault = await loadVault();
+  const key = await getVaultKey();
+  if (!vault || !key) {
+    throw new Error('Vault is locked');
+  }
+
+  vault.entries = vault.entries.filter(entry => entry.id !== id);
+  await storeVault(vault);
+  await touchVault();
+}
+
+/**
+ * Describe the vault without revealing its contents
+ * @returns {Promise<Object>} - { exists, unlocked, count }
+ */
+export async function getVaultStatus() {
+  const vault = await loadVault();
+  return {
+    exists: Boolean(vault),
+    unlocked: Boolean(vault && await getVaultKey()),
+    count: vault ? vault.entries.length : 0
+  };
+}
+
+/**
+ * Handler for alarms: auto-lock the vault after inactivity
+ * @param {Object} alarm - Fired alarm
+ */
+export async function handleAlarm(alarm) {
+  if (alarm.name === VAULT_LOCK_ALARM) {
+    await lockVault();
+  }
+}
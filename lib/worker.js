@@ -0,0 +1,94 @@
+/**
+ * Worker Wiring
+ *
+ * Registers every chrome.* listener and restores the state of a previous
+ * worker instance. MV3 requires listeners to be registered synchronously
+ * when the worker starts, so startWorker must run at the top level of the
+ * service worker script.
+ */
+
+import { handleBadgeAlarm } from './alerts.js';
+import { handleCommand } from './commands.js';
+import { handleInjectedTabRemoved } from './injection.js';
+import { handleResponseHeaders, syncPageHooks } from './issued-tokens.js';
+import { handleRequestBody, handleRequestOutcome, handleWebRequest } from './requests.js';
+import { handleMessage } from './router.js';
+import { restoreState } from './sessions.js';
+import { state } from './state.js';
+import {
+  updateActiveTab, handleTabActivated, handleTabUpdated, handleTabRemoved, handleWindowRemoved
+} from './tabs.js';
+import { handleAlarm } from './vault.js';
+
+/**
+ * Register listeners and start restoring state
+ */
+export function startWorker() {
+  // Look for credentials in request bodies (forms and JSON)
+  chrome.webRequest.onBeforeRequest.addListener(
+    handleRequestBody,
+    { urls: ['<all_urls>'] },
+    ['requestBody']
+  );
+
+  // Listen to all web requests with request headers
+  chrome.webRequest.onBeforeSendHeaders.addListener(
+    handleWebRequest,
+    { urls: ['<all_urls>'] },
+    ['requestHeaders']
+  );
+
+  // Record the response status of requests that carried tokens
+  chrome.webRequest.onCompleted.addListener(
+    handleRequestOutcome,
+    { urls: ['<all_urls>'] }
+  );
+
+  chrome.webRequest.onErrorOccurred.addListener(
+    handleRequestOutcome,
+    { urls: ['<all_urls>'] }
+  );
+
+  // Capture token cookies from Set-Cookie response headers
+  // ('extraHeaders' is required for Set-Cookie to be visible)
+  chrome.webRequest.onHeadersReceived.addListener(
+    handleResponseHeaders,
+    { urls: ['<all_urls>'] },
+    ['responseHeaders', 'extraHeaders']
+  );
+
+  // Follow the active tab, navigations and closed tabs
+  chrome.tabs.onActivated.addListener(handleTabActivated);
+  chrome.tabs.onUpdated.addListener(handleTabUpdated);
+  chrome.tabs.onRemoved.addListener(handleTabRemoved);
+
+  // Take back tokens injected into closed tabs
+  chrome.tabs.onRemoved.addListener(handleInjectedTabRemoved);
+
+  // Clean up when the last window closes and auto-lock the vault
+  chrome.windows.onRemoved.addListener(handleWindowRemoved);
+  chrome.alarms.onAlarm.addListener(handleAlarm);
+
+  // Recolor the toolbar badge when a token expires
+  chrome.alarms.onAlarm.addListener(handleBadgeAlarm);
+
+  // Keyboard shortcuts declared in the manifest
+  chrome.commands.onCommand.addListener(handleCommand);
+
+  // Answer the popup, settings page and content scripts
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    handleMessage(message, sender).then(sendResponse);
+
+    // Return true to indicate async response
+    return true;
+  });
+
+  // Restore the state of a previous worker instance, then find the active tab
+  // (the stored one may be stale if the user switched tabs meanwhile)
+  state.stateReady = restoreState().then(updateActiveTab);
+
+  // Make sure the page hooks match the saved settings
+  syncPageHooks();
+
+  console.log('API Token Extractor: Background service worker initialized');
+}
@@ -0,0 +1,33 @@
+/**
+ * Offscreen Document Script
+ *
+ * Writes text to the clipboard for the service worker, which has no DOM of
+ * its own. The document belongs to the extension, so copied tokens never
+ * pass through a web page.
+ */
+
+/**
+ * Copy text through a selected text field
+ * Offscreen documents never have focus, which the Clipboard API requires.
+ * @param {string} text - Text to copy
+ * @returns {boolean} - Whether the text was copied
+ */
+function copyText(text) {
+    const field = document.createElement('textarea');
+    field.value = text;
+    document.body.appendChild(field);
+    field.select();
+
+    try {
+        return document.execCommand('copy');
+    } finally {
+        field.remove();
+    }
+}
+
+// Copy requests from the service worker
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target === 'offscreen' && message.type === 'COPY_TO_CLIPBOARD') {
+        sendResponse({ success: copyText(message.text) });
+    }
+});
@@ -0,0 +1,332 @@
+/**
+ * DevTools Panel Script
+ *
+ * Responsibilities:
+ * - Stream the token events the worker sends with its TOKENS_UPDATED messages
+ * - Show them as a timeline of the inspected tab (or all tabs)
+ * - Filter by text and event type, sort by any column
+ * - Pause and clear the timeline
+ * - Copy a row's token and export rows as JSON
+ */
+
+import { TOKEN_SOURCES, FILTER_REASONS, escapeHtml, copyToClipboard, downloadFile } from './lib/page-utils.js';
+
+// ============================================================================
+// DOM ELEMENTS
+// ============================================================================
+
+const timelineBodyEl = document.getElementById('timelineBody');
+const emptyStateEl = document.getElementById('emptyState');
+const statusTextEl = document.getElementById('statusText');
+const pauseBtn = document.getElementById('pauseBtn');
+const clearBtn = document.getElementById('clearBtn');
+const exportBtn = document.getElementById('exportBtn');
+const filterInputEl = document.getElementById('filterInput');
+const typeFilterEl = document.getElementById('typeFilter');
+const allTabsToggle = document.getElementById('allTabsToggle');
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// Oldest events are dropped beyond this many
+const MAX_EVENTS = 1000;
+
+// Display metadata for each event type
+const EVENT_TYPES = {
+    captured: { icon: '🆕', label: 'Captured' },
+    request: { icon: '📨', label: 'Sent' },
+    filtered: { icon: '🚫', label: 'Filtered' },
+    leak: { icon: '⚠️', label: 'Leak' }
+};
+
+// Tab whose events are shown unless "All tabs" is checked
+const inspectedTabId = chrome.devtools.inspectedWindow.tabId;
+
+// Received events, oldest first
+let events = [];
+
+// While paused, arriving events are counted but not kept
+let paused = false;
+let missedWhilePaused = 0;
+
+// Lower-cased filter box text; empty shows every event
+let filterQuery = '';
+
+// Column the rows are sorted by, and the direction
+let sortKey = 'timestamp';
+let sortDirection = 'desc';
+
+// Events of the rendered rows, in row order, for the row buttons
+let renderedEvents = [];
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Format a timestamp as a local time of day with milliseconds
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} - e.g. "14:05:09.123"
+ */
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.toLocaleTimeString()}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+}
+
+/**
+ * Show temporary feedback on a button
+ * @param {HTMLElement} element - Button
+ * @param {string} message - Feedback text
+ */
+function showFeedback(element, message) {
+    const originalText = element.textContent;
+    element.textContent = message;
+
+    setTimeout(() => {
+        element.textContent = originalText;
+    }, 1500);
+}
+
+/**
+ * Describe the status of an event's request
+ * @param {Object} event - Timeline event
+ * @returns {string} - Status code, network error, "pending" or "—" without a request
+ */
+function describeStatus(event) {
+    if (event.statusCode) return String(event.statusCode);
+    if (event.error) return event.error;
+    return event.method ? 'pending' : '—';
+}
+
+/**
+ * Strip an event down to what is exported
+ * Exports identify tokens by fingerprint, not by value.
+ * @param {Object} event - Timeline event
+ * @returns {Object} - Event without its token value
+ */
+function toExportedEvent(event) {
+    const { token, ...exported } = event;
+    return { ...exported, timestamp: new Date(event.timestamp).toISOString() };
+}
+
+// ============================================================================
+// FILTERING & SORTING
+// ============================================================================
+
+/**
+ * Whether an event passes the tab, type and text filters
+ * @param {Object} event - Timeline event
+ * @returns {boolean}
+ */
+function matchesFilters(event) {
+    if (!allTabsToggle.checked && event.tabId !== inspectedTabId) return false;
+    if (typeFilterEl.value && event.type !== typeFilterEl.value) return false;
+    if (!filterQuery) return true;
+
+    return [event.url, event.ruleLabel, event.source, event.kindLabel, event.method, event.fingerprint,
+        event.preview, event.detail, describeStatus(event)]
+        .some(value => value && String(value).toLowerCase().includes(filterQuery));
+}
+
+/**
+ * Compare two events by the sort column
+ * Events without a value sort last in either direction.
+ * @param {Object} a - Timeline event
+ * @param {Object} b - Timeline event
+ * @returns {number}
+ */
+function compareEvents(a, b) {
+    const first = a[sortKey];
+    const second = b[sortKey];
+
+    if (first === second) return b.timestamp - a.timestamp;
+    if (first === null || first === undefined) return 1;
+    if (second === null || second === undefined) return -1;
+
+    const order = typeof first === 'number' && typeof second === 'number'
+        ? first - second
+        : String(first).localeCompare(String(second));
+    return sortDirection === 'asc' ? order : -order;
+}
+
+/**
+ * List the events shown with the current filters, in row order
+ * @returns {Array} - Timeline events
+ */
+function getVisibleEvents() {
+    return events.filter(matchesFilters).sort(compareEvents);
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render one timeline row
+ * @param {Object} event - Timeline event
+ * @param {number} index - Row index in renderedEvents
+ * @returns {string} - Row HTML
+ */
+function renderRow(event, index) {
+    const type = EVENT_TYPES[event.type] || { icon: '•', label: event.type };
+    const source = TOKEN_SOURCES[event.source] || { icon: '•', label: event.source };
+    const status = describeStatus(event);
+    const failed = event.error || event.statusCode >= 400;
+    const detail = event.type === 'filtered' ? FILTER_REASONS[event.detail] || event.detail : event.detail;
+
+    return `
+        <tr class="event-row ${escapeHtml(event.type)}">
+            <td class="time-cell">${escapeHtml(formatTime(event.timestamp))}</td>
+            <td>
+                <span class="event-tag ${escapeHtml(event.type)}"${detail ? ` title="${escapeHtml(detail)}"` : ''}>
+                    ${type.icon} ${escapeHtml(type.label)}
+                </span>
+            </td>
+            <td>${source.icon} ${escapeHtml(source.label)}</td>
+            <td>${escapeHtml(event.ruleLabel || event.kindLabel || '—')}</td>
+            <td>${escapeHtml(event.method || '—')}</td>
+            <td class="url-cell" title="${escapeHtml(event.url || '')}">${escapeHtml(event.url || '—')}</td>
+            <td class="status-cell${failed ? ' failed' : ''}">${escapeHtml(status)}</td>
+            <td class="token-cell" title="Fingerprint ${escapeHtml(event.fingerprint)}">
+                <code>${escapeHtml(event.preview)}</code>
+                <span class="fingerprint">#${escapeHtml(event.fingerprint)}</span>
+            </td>
+            <td class="actions-cell">
+                <button class="row-btn copy-btn" data-index="${index}" title="${event.token ? 'Copy token' : 'Filtered tokens are not kept'}"
+                    ${event.token ? '' : 'disabled'}>📋</button>
+                <button class="row-btn export-row-btn" data-index="${index}" title="Export event as JSON">📤</button>
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Render the toolbar status: event counts and pause state
+ * @param {number} shown - Number of rendered rows
+ */
+function renderStatus(shown) {
+    const counts = shown === events.length ? `${events.length} events` : `${shown} of ${events.length} events`;
+    statusTextEl.textContent = paused
+        ? `⏸️ Paused${missedWhilePaused ? ` (${missedWhilePaused} missed)` : ''} · ${counts}`
+        : counts;
+}
+
+/**
+ * Render the timeline rows and the sort indicators
+ */
+function renderTimeline() {
+    renderedEvents = getVisibleEvents();
+    timelineBodyEl.innerHTML = renderedEvents.map(renderRow).join('');
+
+    emptyStateEl.classList.toggle('hidden', renderedEvents.length > 0);
+    emptyStateEl.textContent = events.length > 0
+        ? 'No events match the filters.'
+        : `Waiting for token detections in ${allTabsToggle.checked ? 'any tab' : 'this tab'}...`;
+
+    document.querySelectorAll('th[data-sort]').forEach(header => {
+        header.classList.toggle('sorted', header.dataset.sort === sortKey);
+        header.dataset.direction = header.dataset.sort === sortKey ? sortDirection : '';
+    });
+
+    renderStatus(renderedEvents.length);
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Add events received from the worker
+ * @param {Array} received - Timeline events
+ */
+function receiveEvents(received) {
+    if (paused) {
+        missedWhilePaused += received.length;
+        renderStatus(renderedEvents.length);
+        return;
+    }
+
+    events.push(...received);
+    events.splice(0, events.length - MAX_EVENTS);
+    renderTimeline();
+}
+
+// Pause button - stop or resume recording
+pauseBtn.addEventListener('click', () => {
+    paused = !paused;
+    missedWhilePaused = 0;
+    pauseBtn.textContent = paused ? '▶️ Resume' : '⏸️ Pause';
+    pauseBtn.classList.toggle('active', paused);
+    renderStatus(renderedEvents.length);
+});
+
+// Clear button - forget the recorded events
+clearBtn.addEventListener('click', () => {
+    events = [];
+    missedWhilePaused = 0;
+    renderTimeline();
+});
+
+// Export button - download the shown rows
+exportBtn.addEventListener('click', () => {
+    const visible = getVisibleEvents();
+    if (visible.length === 0) {
+        showFeedback(exportBtn, '⚠️ Nothing to export');
+        return;
+    }
+
+    downloadFile(
+        `token-timeline-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`,
+        JSON.stringify(visible.map(toExportedEvent), null, 2),
+        'application/json'
+    );
+});
+
+// Row buttons - copy the token or export the event
+timelineBodyEl.addEventListener('click', async (e) => {
+    const button = e.target.closest('.row-btn');
+    const event = button && renderedEvents[Number(button.dataset.index)];
+    if (!event) return;
+
+    if (button.classList.contains('copy-btn')) {
+        showFeedback(button, await copyToClipboard(event.token) ? '✅' : '❌');
+    } else {
+        downloadFile(`token-event-${event.fingerprint}-${event.timestamp}.json`,
+            JSON.stringify(toExportedEvent(event), null, 2), 'application/json');
+    }
+});
+
+// Column headers - sort by the column, toggling the direction on repeat clicks
+document.querySelectorAll('th[data-sort]').forEach(header => {
+    header.addEventListener('click', () => {
+        if (sortKey === header.dataset.sort) {
+            sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            sortKey = header.dataset.sort;
+            sortDirection = sortKey === 'timestamp' ? 'desc' : 'asc';
+        }
+        renderTimeline();
+    });
+});
+
+// Filters - re-render as they change
+filterInputEl.addEventListener('input', () => {
+    filterQuery = filterInputEl.value.trim().toLowerCase();
+    renderTimeline();
+});
+typeFilterEl.addEventListener('change', renderTimeline);
+allTabsToggle.addEventListener('change', renderTimeline);
+
+// Listen for the token events the popup updates are sent with
+chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'TOKENS_UPDATED' && message.events?.length) {
+        receiveEvents(message.events);
+    }
+});
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+renderTimeline();
@@ -3,144 +3,1522 @@
  * 
  * Responsibilities:
  * - Display detected tokens with partial masking
- * - Allow user to select and copy a specific token
+ * - Switch between the token sessions of open tabs
+ * - Switch the settings profile used for the active tab
+ * - Allow user to select and copy a specific token, raw or as a request snippet
+ * - Test tokens against a configured health URL
+ * - Export selected tokens as JSON, .env, Postman or Insomnia environments
  * - Provide access to settings
  * - Allow manual data clearing
  */
 
+import {
+    TOKEN_SOURCES, FILTER_REASONS, maskToken, escapeHtml, copyToClipboard, downloadFile
+} from './lib/page-utils.js';
+import { decodeJwt } from './lib/jwt.js';
+import { SNIPPET_FORMATS } from './lib/snippets.js';
+import { EXPORT_FORMATS, getExportVariables } from './lib/token-export.js';
+
+// ============================================================================
+// DOM ELEMENTS
+// ============================================================================
+
+const tokenListEl = document.getElementById('tokenList');
+const statusTextEl = document.getElementById('statusText');
+const tokenCountEl = document.getElementById('tokenCount');
+const filteredCountEl = document.getElementById('filteredCount');
+const settingsBtn = document.getElementById('settingsBtn');
+const scanBtn = document.getElementById('scanBtn');
+const clearBtn = document.getElementById('clearBtn');
+const sourceFilterEl = document.getElementById('sourceFilter');
+const sessionBarEl = document.getElementById('sessionBar');
+const sessionSelectEl = document.getElementById('sessionSelect');
+const profileBarEl = document.getElementById('profileBar');
+const profileSelectEl = document.getElementById('profileSelect');
+const historyBtn = document.getElementById('historyBtn');
+const vaultBtn = document.getElementById('vaultBtn');
+const exportBtn = document.getElementById('exportBtn');
+const cookiesBtn = document.getElementById('cookiesBtn');
+const injectionBarEl = document.getElementById('injectionBar');
+const leakBarEl = document.getElementById('leakBar');
+const searchBarEl = document.getElementById('searchBar');
+const tokenSearchEl = document.getElementById('tokenSearch');
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// How a token validity probe classified the token
+const PROBE_VERDICTS = {
+    valid: '✅ Valid',
+    invalid: '⛔ Invalid',
+    unknown: '❔ Unknown'
+};
+
+// Last rendered token list and limit, kept so filters can re-render
+let currentTokens = [];
+let currentMaxTokens = 5;
+
+// Origin of the displayed session, used for snippets of non-request tokens
+let currentOrigin = null;
+
+// Tokens of the displayed session sent to sites they do not belong to
+let currentLeaks = [];
+
+// Key of the displayed session, used to address its tokens in the worker
+let currentSessionKey = null;
+
+// Selected source filter ('all' or a TOKEN_SOURCES key)
+let activeSourceFilter = 'all';
+
+// Lower-cased search box text; empty shows every token
+let searchQuery = '';
+
+// Tokens of the rendered cards, in card order, for keyboard copying
+let renderedTokens = [];
+
+// Tokens scored below this confidence are hidden unless the user shows them
+let currentMinConfidence = 0;
+let showLowConfidence = false;
+
+// Session picked in the switcher (null follows the active tab)
+let selectedSessionKey = null;
+
+// What the list shows: 'tokens', 'history' (replaced tokens), 'vault' or 'export'
+let currentView = 'tokens';
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Truncate URL for display
+ * @param {string} url - Full URL
+ * @param {number} maxLength - Maximum characters
+ * @returns {string} - Truncated URL
+ */
+function truncateUrl(url, maxLength = 40) {
+    if (url.length <= maxLength) return url;
+    return url.slice(0, maxLength - 3) + '...';
+}
+
+/**
+ * Format a timestamp as a local time of day
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} - e.g. "14:05:09"
+ */
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString();
+}
+
+/**
+ * Show temporary feedback message
+ * @param {HTMLElement} element - Element to show feedback on
+ * @param {string} message - Feedback message
+ */
+function showFeedback(element, message) {
+    const originalText = element.textContent;
+    element.textContent = message;
+    element.classList.add('feedback');
+
+    setTimeout(() => {
+        element.textContent = originalText;
+        element.classList.remove('feedback');
+    }, 1500);
+}
+
+// ============================================================================
+// JWT DECODING
+// ============================================================================
+
+// Claims shown on the token card, in display order
+const JWT_DISPLAY_CLAIMS = ['iss', 'sub', 'aud', 'exp', 'iat', 'scope'];
+
+// Claims holding NumericDate values (seconds since epoch)
+const JWT_DATE_CLAIMS = ['exp', 'iat', 'nbf'];
+
+// Remaining lifetime (seconds) below which a token is flagged as expiring
+const EXPIRY_WARNING_SECONDS = 5 * 60;
+
+/**
+ * Decode HTTP Basic credentials into the user name and password
+ * @param {Object} item - Token object
+ * @returns {Object|null} - { username, password } or null if the token is not Basic credentials
+ */
+function decodeBasicCredentials(item) {
+    if (item.kind !== 'basic' && !/^Basic\s+$/i.test(item.headerPrefix || '')) return null;
+
+    try {
+        const decoded = atob(item.token);
+        const separator = decoded.indexOf(':');
+        if (separator < 1) return null;
+        return { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Format a duration in seconds as a short human readable string
+ * @param {number} seconds - Duration in seconds (non-negative)
+ * @returns {string} - e.g. "45 sec", "12 min", "3 h 5 min", "2 d"
+ */
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds} sec`;
+
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) {
+        const rest = minutes % 60;
+        return rest ? `${hours} h ${rest} min` : `${hours} h`;
+    }
+
+    return `${Math.floor(hours / 24)} d`;
+}
+
+/**
+ * Describe the expiry state of a token relative to now
+ * @param {number} exp - JWT exp claim (seconds since epoch)
+ * @returns {Object} - { state: 'valid' | 'expiring' | 'expired', label }
+ */
+function getExpiryStatus(exp) {
+    const remaining = Math.round(exp - Date.now() / 1000);
+
+    if (remaining <= 0) {
+        return { state: 'expired', label: `Expired ${formatDuration(-remaining)} ago` };
+    }
+
+    return {
+        state: remaining <= EXPIRY_WARNING_SECONDS ? 'expiring' : 'valid',
+        label: `Expires in ${formatDuration(remaining)}`
+    };
+}
+
+/**
+ * Format a claim value for display
+ * @param {string} name - Claim name
+ * @param {*} value - Claim value
+ * @returns {string} - Display string
+ */
+function formatClaim(name, value) {
+    if (JWT_DATE_CLAIMS.includes(name) && typeof value === 'number') {
+        return new Date(value * 1000).toLocaleString();
+    }
+
+    if (Array.isArray(value)) return value.join(', ');
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Look up display metadata for a token's source
+ * @param {Object} item - Token object
+ * @returns {Object} - { icon, label }
+ */
+function getSourceInfo(item) {
+    return TOKEN_SOURCES[item.source] || TOKEN_SOURCES.header;
+}
+
+/**
+ * Build the tag line for a token card (source, detection rule, header, ...)
+ * @param {Object} item - Token object
+ * @returns {string} - HTML markup
+ */
+function renderTokenTags(item) {
+    const tags = [`<span class="token-tag source">${getSourceInfo(item).label}</span>`];
+
+    if (item.kind) {
+        const level = item.confidence >= 80 ? 'high' : item.confidence >= 50 ? 'medium' : 'low';
+        tags.push(`<span class="token-tag kind ${level}" title="Value looks like: ${escapeHtml(item.kindLabel)} (${item.confidence}% confidence)">${escapeHtml(item.kindLabel)} · ${item.confidence}%</span>`);
+    }
+
+    if (item.ruleLabel) {
+        tags.push(`<span class="token-tag rule" title="Detected by rule">🏷️ ${escapeHtml(item.ruleLabel)}</span>`);
+    }
+
+    if (item.headerName) {
+        tags.push(`<span class="token-tag">${escapeHtml(item.headerName)}</span>`);
+    }
+
+    if (item.grantId) {
+        // Tokens issued by the same response are shown as a linked set
+        const linked = currentTokens
+            .filter(other => other.grantId === item.grantId)
+            .map(other => other.tokenRole);
+        if (linked.length > 1) {
+            tags.push(`<span class="token-tag linked" title="Issued together">🔗 ${linked.map(escapeHtml).join(' + ')}</span>`);
+        }
+    }
+
+    if (item.rotatedAt) {
+        tags.push(`<span class="token-tag rotated" title="Replaced an older token at ${formatTime(item.rotatedAt)}">🔄 Rotated</span>`);
+    }
+
+    const leakedTo = currentLeaks.filter(leak => leak.token === item.token).map(leak => leak.toSite);
+    if (leakedTo.length > 0) {
+        tags.push(`<span class="token-tag leaked" title="Also sent to ${escapeHtml(leakedTo.join(', '))}">⚠️ Sent to ${escapeHtml(leakedTo[0])}${leakedTo.length > 1 ? ` +${leakedTo.length - 1}` : ''}</span>`);
+    }
+
+    return `<div class="token-tags">${tags.join('')}</div>`;
+}
+
+/**
+ * Shorten a request URL to its path and query for display
+ * @param {string} url - Request URL
+ * @returns {string} - e.g. "/api/orders?page=2"
+ */
+function getRequestPath(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.pathname + parsed.search;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Build the request summary for a token card, e.g. "GET /api/orders → 401"
+ * @param {Object} item - Token object
+ * @returns {string} - HTML markup, empty if no request was captured
+ */
+function renderRequestSummary(item) {
+    const request = item.lastRequest;
+    if (!request) return '';
+
+    let status = '<span class="request-status pending">pending</span>';
+    if (request.error) {
+        status = `<span class="request-status error" title="${escapeHtml(request.error)}">failed</span>`;
+    } else if (request.statusCode) {
+        const statusClass = request.statusCode >= 400 ? 'error' : request.statusCode >= 300 ? 'redirect' : 'ok';
+        status = `<span class="request-status ${statusClass}">${request.statusCode}</span>`;
+    }
+
+    const headerRows = (request.headers || [])
+        .map(header => `
+          <dt>${escapeHtml(header.name)}</dt>
+          <dd class="${header.masked ? 'masked' : ''}">${escapeHtml(header.value)}</dd>
+        `)
+        .join('');
+
+    return `
+      <div class="request-summary" title="${escapeHtml(request.url)}">
+        <span class="request-method">${escapeHtml(request.method)}</span>
+        <span class="request-path">${escapeHtml(truncateUrl(getRequestPath(request.url), 28))}</span>
+        → ${status}
+        ${request.type ? `<span class="request-type">${escapeHtml(request.type)}</span>` : ''}
+      </div>
+      ${headerRows ? `
+      <details class="request-headers">
+        <summary>Request headers (${request.headers.length})</summary>
+        <dl>${headerRows}</dl>
+      </details>` : ''}
+    `;
+}
+
+/**
+ * Build the validity probe result of a token card
+ * @param {Object|null} probe - { url, verdict, status, latency, preview, error, checkedAt }
+ * @returns {string} - HTML markup, empty if the token was never tested
+ */
+function renderProbeResult(probe) {
+    if (!probe) return '';
+
+    const details = [
+        probe.status ? String(probe.status) : null,
+        probe.error,
+        probe.latency !== null && probe.latency !== undefined ? `${probe.latency} ms` : null,
+        probe.checkedAt ? formatTime(probe.checkedAt) : null
+    ].filter(Boolean);
+
+    return `
+      <div class="probe-result ${escapeHtml(probe.verdict)}" title="${escapeHtml(probe.url || '')}">
+        <span class="probe-verdict">${PROBE_VERDICTS[probe.verdict] || PROBE_VERDICTS.unknown}</span>
+        <span class="probe-details">${escapeHtml(details.join(' · '))}</span>
+        ${probe.preview ? `<pre class="probe-preview">${escapeHtml(probe.preview)}</pre>` : ''}
+      </div>
+    `;
+}
+
+/**
+ * Build the JWT details section for a token card
+ * @param {string} token - Token value
+ * @param {number|null} [expiresAt] - Expiry reported by the issuer (ms since epoch)
+ * @returns {string} - HTML markup, empty if the token is not a JWT and has no known expiry
+ */
+function renderJwtDetails(token, expiresAt = null) {
+    const jwt = decodeJwt(token);
+
+    if (!jwt) {
+        // Opaque tokens can still expire, when the issuing response said so
+        if (!expiresAt) return '';
+
+        const exp = Math.floor(expiresAt / 1000);
+        const status = getExpiryStatus(exp);
+        return `
+      <div class="jwt-info">
+        <span class="jwt-badge expiry ${status.state}" data-exp="${exp}">${status.label}</span>
+      </div>
+    `;
+    }
+
+    if (jwt.error) {
+        return `
+      <div class="jwt-info">
+        <span class="jwt-badge invalid">⚠️ ${escapeHtml(jwt.error)}</span>
+      </div>
+    `;
+    }
+
+    const { header, payload } = jwt;
+    let expiryBadge = '<span class="jwt-badge">No expiry</span>';
+
+    if (typeof payload.exp === 'number') {
+        const status = getExpiryStatus(payload.exp);
+        expiryBadge = `<span class="jwt-badge expiry ${status.state}" data-exp="${payload.exp}">${status.label}</span>`;
+    }
+
+    const claimRows = JWT_DISPLAY_CLAIMS
+        .filter((name) => payload[name] !== undefined)
+        .map((name) => `
+          <dt>${name}</dt>
+          <dd>${escapeHtml(formatClaim(name, payload[name]))}</dd>
+        `)
+        .join('');
+
+    return `
+      <div class="jwt-info">
+        <span class="jwt-badge">JWT${header.alg ? ` · ${escapeHtml(header.alg)}` : ''}</span>
+        ${expiryBadge}
+      </div>
+      ${claimRows ? `
+      <details class="jwt-claims">
+        <summary>Claims</summary>
+        <dl>${claimRows}</dl>
+      </details>` : ''}
+    `;
+}
+
+/**
+ * Build the Basic credentials section for a token card
+ * The password stays masked like the token itself.
+ * @param {Object} item - Token object
+ * @returns {string} - HTML markup, empty if the token is not Basic credentials
+ */
+function renderBasicDetails(item) {
+    const credentials = decodeBasicCredentials(item);
+    if (!credentials) return '';
+
+    return `
+      <div class="jwt-info">
+        <span class="jwt-badge">👤 ${escapeHtml(credentials.username)}</span>
+        <span class="jwt-badge">🔒 ${escapeHtml(maskToken(credentials.password))}</span>
+      </div>
+    `;
+}
+
+/**
+ * Refresh the live expiry badges of all rendered token cards
+ */
+function updateExpiryBadges() {
+    document.querySelectorAll('.jwt-badge.expiry').forEach((badge) => {
+        const status = getExpiryStatus(Number(badge.dataset.exp));
+        badge.textContent = status.label;
+        badge.className = `jwt-badge expiry ${status.state}`;
+    });
+}
+
+// ============================================================================
+// REQUEST SNIPPETS
+// ============================================================================
+
+/**
+ * Build the copy menu markup for a token card
+ * @returns {string} - HTML markup
+ */
+function renderCopyMenu() {
+    const items = Object.entries(SNIPPET_FORMATS)
+        .map(([format, { label }]) => `<button class="copy-menu-item" data-format="${format}">${label}</button>`)
+        .join('');
+
+    return `
+      <div class="copy-menu hidden" role="menu">
+        <span class="copy-menu-title">Copy as…</span>
+        ${items}
+      </div>
+    `;
+}
+
+/**
+ * Hide every open copy menu
+ */
+function closeCopyMenus() {
+    tokenListEl.querySelectorAll('.copy-menu').forEach(menu => menu.classList.add('hidden'));
+}
+
+// ============================================================================
+// TOKEN RENDERING
+// ============================================================================
+
+/**
+ * Render the source filter chips for the sources present in the list
+ * @param {Array} tokens - Array of token objects
+ */
+function renderSourceFilter(tokens) {
+    const counts = {};
+    tokens.forEach(item => {
+        const source = item.source || 'header';
+        counts[source] = (counts[source] || 0) + 1;
+    });
+
+    const sources = Object.keys(TOKEN_SOURCES).filter(source => counts[source]);
+
+    // Fall back to all sources when the filtered source has no tokens left
+    if (activeSourceFilter !== 'all' && !counts[activeSourceFilter]) {
+        activeSourceFilter = 'all';
+    }
+
+    // A filter is only useful once tokens come from more than one source
+    if (sources.length < 2) {
+        sourceFilterEl.classList.add('hidden');
+        sourceFilterEl.innerHTML = '';
+        return;
+    }
+
+    const chips = [{ key: 'all', text: `All (${tokens.length})` }].concat(
+        sources.map(source => ({
+            key: source,
+            text: `${TOKEN_SOURCES[source].icon} ${TOKEN_SOURCES[source].label} (${counts[source]})`
+        }))
+    );
+
+    sourceFilterEl.innerHTML = chips.map(chip => `
+      <button class="filter-chip${chip.key === activeSourceFilter ? ' active' : ''}" data-source="${chip.key}">
+        ${chip.text}
+      </button>
+    `).join('');
+    sourceFilterEl.classList.remove('hidden');
+
+    sourceFilterEl.querySelectorAll('.filter-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            activeSourceFilter = chip.dataset.source;
+            renderTokens(currentTokens, currentMaxTokens);
+        });
+    });
+}
+
+/**
+ * Check whether a token matches the search box
+ * Looks at where and how the token was found and at its JWT claims, never
+ * at the token value itself.
+ * @param {Object} item - Token object
+ * @param {string} query - Lower-cased search text
+ * @returns {boolean}
+ */
+function matchesSearch(item, query) {
+    if (!query) return true;
+
+    const jwt = decodeJwt(item.token);
+    const fields = [
+        item.url,
+        item.lastRequest?.url,
+        getSourceInfo(item).label,
+        item.ruleLabel,
+        item.kindLabel,
+        item.tokenRole,
+        item.headerName,
+        item.paramName,
+        jwt?.payload ? JSON.stringify(jwt.payload) : null
+    ];
+
+    return fields.some(field => field && field.toLowerCase().includes(query));
+}
+
+/**
+ * Render the list of detected tokens
+ * @param {Array} tokens - Array of token objects
+ * @param {number} maxTokens - Maximum tokens allowed
+ */
+function renderTokens(tokens, maxTokens) {
+    // Keep the keyboard focus on the same card across re-renders
+    const focusedIndex = document.activeElement?.classList.contains('token-card')
+        ? document.activeElement.dataset.index
+        : null;
+
+    currentTokens = tokens;
+    currentMaxTokens = maxTokens;
+    renderedTokens = [];
+    tokenListEl.innerHTML = '';
+
+    // Update token count display
+    tokenCountEl.textContent = `${tokens.length} / ${maxTokens} tokens`;
+
+    renderSourceFilter(tokens);
+    searchBarEl.classList.toggle('hidden', tokens.length === 0);
+
+    if (tokens.length === 0) {
+        tokenListEl.innerHTML = `
+      <div class="empty-state">
+        <p>No tokens detected yet.</p>
+        <p class="hint">Make API calls on the active tab to detect tokens.</p>
+      </div>
+    `;
+        return;
+    }
+
+    const sourceTokens = activeSourceFilter === 'all'
+        ? tokens
+        : tokens.filter(item => (item.source || 'header') === activeSourceFilter);
+
+    // Tokens stored before they were classified have no confidence and stay visible
+    const lowConfidence = sourceTokens.filter(item => item.confidence < currentMinConfidence);
+    const visibleTokens = (showLowConfidence
+        ? sourceTokens
+        : sourceTokens.filter(item => !lowConfidence.includes(item)))
+        .filter(item => matchesSearch(item, searchQuery));
+
+    if (searchQuery && visibleTokens.length === 0) {
+        tokenListEl.innerHTML = `
+      <div class="empty-state">
+        <p>No tokens match “${escapeHtml(tokenSearchEl.value.trim())}”.</p>
+        <p class="hint">Search looks at URLs, sources, labels and JWT claims.</p>
+      </div>
+    `;
+    }
+
+    renderedTokens = visibleTokens;
+
+    // Create token cards
+    visibleTokens.forEach((item, index) => {
+        const card = document.createElement('div');
+        card.className = 'token-card';
+        card.dataset.index = index;
+        card.tabIndex = 0;
+
+        card.innerHTML = `
+      <div class="token-url" title="${escapeHtml(item.url)}">
+        ${index < 9 ? `<kbd class="card-key" title="Press ${index + 1} to copy">${index + 1}</kbd>` : ''}
+        ${getSourceInfo(item).icon} ${escapeHtml(truncateUrl(item.url))}
+      </div>
+      ${renderTokenTags(item)}
+      <div class="token-value">
+        <code>${escapeHtml(maskToken(item.token))}</code>
+      </div>
+      ${renderRequestSummary(item)}
+      ${renderJwtDetails(item.token, item.expiresAt)}
+      ${renderBasicDetails(item)}
+      <div class="probe-slot">${renderProbeResult(item.probe)}</div>
+      <div class="copy-actions">
+        <button class="copy-btn" data-token="${encodeURIComponent(item.token)}">
+          📋 Copy Token
+        </button>
+        <button class="copy-menu-btn" title="Copy as request snippet">▾</button>
+        ${renderCopyMenu()}
+        <button class="test-btn" title="Test against the health URL">🩺</button>
+        <button class="pin-btn" title="Pin to vault">📌</button>
+        <button class="inject-btn" title="Inject into another tab">💉</button>
+      </div>
+      <form class="pin-form hidden">
+        <input type="text" class="pin-label" placeholder="Label, e.g. staging admin user" maxlength="80">
+        <button type="submit" class="pin-save">Save</button>
+      </form>
+      ${renderInjectForm()}
+    `;
+
+        tokenListEl.appendChild(card);
+        bindCopyMenu(card, item);
+        bindTestButton(card, item);
+        bindPinForm(card, item);
+        bindInjectForm(card, item);
+    });
+
+    renderLowConfidenceToggle(lowConfidence.length);
+    bindCopyButtons();
+
+    if (focusedIndex !== null) {
+        (tokenListEl.querySelector(`.token-card[data-index="${focusedIndex}"]`) ||
+            tokenListEl.querySelector('.token-card:last-of-type'))?.focus();
+    }
+}
+
+/**
+ * Add the button showing or hiding the low-confidence tokens
+ * @param {number} count - Tokens below the minimum confidence (0 adds nothing)
+ */
+function renderLowConfidenceToggle(count) {
+    if (count === 0) return;
+
+    const button = document.createElement('button');
+    button.className = 'filter-chip low-confidence-toggle';
+    button.textContent = showLowConfidence
+        ? `🙈 Hide ${count} below ${currentMinConfidence}% confidence`
+        : `👁️ Show ${count} below ${currentMinConfidence}% confidence`;
+    button.addEventListener('click', () => {
+        showLowConfidence = !showLowConfidence;
+        renderTokens(currentTokens, currentMaxTokens);
+    });
+
+    tokenListEl.appendChild(button);
+}
+
+/**
+ * Attach the snippet copy menu handlers of a token card
+ * @param {HTMLElement} card - Token card
+ * @param {Object} item - Token object
+ */
+function bindCopyMenu(card, item) {
+    const menuBtn = card.querySelector('.copy-menu-btn');
+    const menu = card.querySelector('.copy-menu');
+
+    menuBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const wasHidden = menu.classList.contains('hidden');
+        closeCopyMenus();
+        menu.classList.toggle('hidden', !wasHidden);
+    });
+
+    menu.querySelectorAll('.copy-menu-item').forEach(menuItem => {
+        menuItem.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const format = SNIPPET_FORMATS[menuItem.dataset.format];
+            const success = await copyToClipboard(format.build(item, currentOrigin));
+
+            closeCopyMenus();
+            showFeedback(card.querySelector('.copy-btn'), success ? `✅ Copied ${format.label}!` : '❌ Failed');
+        });
+    });
+}
+
+/**
+ * Attach the validity probe handler of a token card
+ * @param {HTMLElement} card - Token card
+ * @param {Object} item - Token object
+ */
+function bindTestButton(card, item) {
+    const testBtn = card.querySelector('.test-btn');
+    const slot = card.querySelector('.probe-slot');
+
+    testBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        testBtn.disabled = true;
+        testBtn.textContent = '⏳';
+
+        const response = await chrome.runtime.sendMessage({
+            type: 'PROBE_TOKEN',
+            sessionKey: currentSessionKey,
+            token: item.token
+        });
+
+        // Configuration problems are shown like an inconclusive probe
+        slot.innerHTML = renderProbeResult(response.success
+            ? response.probe
+            : { verdict: 'unknown', error: response.error });
+        testBtn.disabled = false;
+        testBtn.textContent = '🩺';
+    });
+}
+
+/**
+ * Attach the pin-to-vault handlers of a token card
+ * @param {HTMLElement} card - Token card
+ * @param {Object} item - Token object
+ */
+function bindPinForm(card, item) {
+    const pinBtn = card.querySelector('.pin-btn');
+    const form = card.querySelector('.pin-form');
+    const labelInput = form.querySelector('.pin-label');
+
+    pinBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const status = await chrome.runtime.sendMessage({ type: 'VAULT_STATUS' });
+
+        // Pinning needs an unlocked vault, so send the user there first
+        if (!status.unlocked) {
+            currentView = 'vault';
+            loadTokens();
+            return;
+        }
+
+        form.classList.toggle('hidden');
+        if (!form.classList.contains('hidden')) {
+            labelInput.value = item.ruleLabel || '';
+            labelInput.focus();
+            labelInput.select();
+        }
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const response = await chrome.runtime.sendMessage({
+            type: 'VAULT_PIN',
+            item: item,
+            label: labelInput.value.trim()
+        });
+
+        form.classList.add('hidden');
+        showFeedback(pinBtn, response.success ? '✅' : '❌');
+        updateVaultButton(response);
+    });
+}
+
+/**
+ * Render the replaced tokens of the selected session
+ * @param {Array} history - History entries, newest first
+ */
+function renderHistory(history) {
+    tokenListEl.innerHTML = '';
+    tokenCountEl.textContent = `${history.length} replaced`;
+    sourceFilterEl.classList.add('hidden');
+
+    if (history.length === 0) {
+        tokenListEl.innerHTML = `
+      <div class="empty-state">
+        <p>No token history yet.</p>
+        <p class="hint">Tokens appear here once a newer value replaces them.</p>
+      </div>
+    `;
+        return;
+    }
+
+    history.forEach(item => {
+        const card = document.createElement('div');
+        card.className = 'token-card history';
+
+        card.innerHTML = `
+      <div class="token-url" title="${escapeHtml(item.url)}">
+        ${getSourceInfo(item).icon} ${escapeHtml(truncateUrl(item.url))}
+      </div>
+      ${renderTokenTags(item)}
+      <div class="token-value">
+        <code>${escapeHtml(maskToken(item.token))}</code>
+      </div>
+      <div class="history-timeline">
+        <span>First seen ${formatTime(item.timestamp)}</span>
+        <span>Replaced ${formatTime(item.replacedAt)} by <code>${escapeHtml(maskToken(item.replacedBy))}</code></span>
+      </div>
+      <button class="copy-btn" data-token="${encodeURIComponent(item.token)}">
+        📋 Copy Old Token
+      </button>
+    `;
+
+        tokenListEl.appendChild(card);
+    });
+
+    bindCopyButtons();
+}
+
+/**
+ * Attach click handlers to the rendered copy buttons
+ */
+function bindCopyButtons() {
+    tokenListEl.querySelectorAll('.copy-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const token = decodeURIComponent(btn.dataset.token);
+            const success = await copyToClipboard(token);
+
+            if (success) {
+                showFeedback(btn, '✅ Copied!');
+            } else {
+                showFeedback(btn, '❌ Failed');
+            }
+        });
+    });
+}
+
+// ============================================================================
+// KEYBOARD NAVIGATION
+// ============================================================================
+
+/**
+ * Copy the token of a rendered card, showing the result on its copy button
+ * @param {number} index - Card position in the list
+ */
+async function copyCardToken(index) {
+    const item = renderedTokens[index];
+    const card = tokenListEl.querySelector(`.token-card[data-index="${index}"]`);
+    if (!item || !card) return;
+
+    const success = await copyToClipboard(item.token);
+    showFeedback(card.querySelector('.copy-btn'), success ? '✅ Copied!' : '❌ Failed');
+}
+
+/**
+ * Move the keyboard focus to the previous or next token card
+ * @param {number} step - -1 for the previous card, 1 for the next one
+ */
+function focusCard(step) {
+    const cards = Array.from(tokenListEl.querySelectorAll('.token-card[data-index]'));
+    if (cards.length === 0) return;
+
+    const current = cards.indexOf(document.activeElement);
+    const next = current === -1
+        ? (step > 0 ? 0 : cards.length - 1)
+        : Math.min(Math.max(current + step, 0), cards.length - 1);
+
+    cards[next].focus();
+    cards[next].scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Handle the token list shortcuts
+ * "/" focuses the search box, arrows move between cards, Enter copies the
+ * focused card (or the first match from the search box) and 1-9 copy the
+ * card with that number.
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleListShortcut(e) {
+    if (currentView !== 'tokens' || !confirmModal.classList.contains('hidden')) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.target === tokenSearchEl) {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            focusCard(1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            copyCardToken(0);
+        } else if (e.key === 'Escape' && tokenSearchEl.value) {
+            // Clear the search instead of closing the popup
+            e.preventDefault();
+            tokenSearchEl.value = '';
+            searchQuery = '';
+            renderTokens(currentTokens, currentMaxTokens);
+        }
+        return;
+    }
+
+    // Leave typing in other fields (pin labels, selects) alone
+    if (e.target.matches('input, textarea, select')) return;
+
+    if (e.key === '/') {
+        e.preventDefault();
+        tokenSearchEl.focus();
+    } else if (/^[1-9]$/.test(e.key)) {
+        copyCardToken(Number(e.key) - 1);
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        focusCard(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter' && e.target.classList.contains('token-card')) {
+        e.preventDefault();
+        copyCardToken(Number(e.target.dataset.index));
+    }
+}
+
+// ============================================================================
+// SESSION SWITCHER
+// ============================================================================
+
+/**
+ * Describe a session for the switcher
+ * @param {Object} session - Session summary from the background worker
+ * @returns {string} - Option text
+ */
+function describeSession(session) {
+    const name = session.title || session.origin || `Tab ${session.tabId}`;
+    return `${truncateUrl(name, 36)} (${session.count})`;
+}
+
+/**
+ * Render the session switcher
+ * @param {Array} sessions - Session summaries
+ * @param {string|null} currentKey - Session the active tab records into
+ */
+function renderSessionSwitcher(sessions, currentKey) {
+    const current = sessions.find(session => session.key === currentKey);
+    const others = sessions.filter(session => session.key !== currentKey && session.count > 0);
+
+    // Forget a selection whose tab has since been closed or cleared
+    if (selectedSessionKey && !others.some(session => session.key === selectedSessionKey)) {
+        selectedSessionKey = null;
+    }
+
+    // The switcher is only shown when other tabs have captured tokens
+    if (others.length === 0) {
+        sessionBarEl.classList.add('hidden');
+        sessionSelectEl.innerHTML = '';
+        return;
+    }
+
+    const currentText = current ? `This tab · ${describeSession(current)}` : 'This tab (0)';
+    sessionSelectEl.innerHTML = `<option value="">${escapeHtml(currentText)}</option>` + others
+        .map(session => `<option value="${escapeHtml(session.key)}">${escapeHtml(describeSession(session))}</option>`)
+        .join('');
+
+    sessionSelectEl.value = selectedSessionKey || '';
+    sessionBarEl.classList.remove('hidden');
+}
+
 // ============================================================================
-// DOM ELEMENTS
+// PROFILE SWITCHER
 // ============================================================================
 
-const tokenListEl = document.getElementById('tokenList');
-const statusTextEl = document.getElementById('statusText');
-const tokenCountEl = document.getElementById('tokenCount');
-const settingsBtn = document.getElementById('settingsBtn');
-const scanBtn = document.getElementById('scanBtn');
-const clearBtn = document.getElementById('clearBtn');
+/**
+ * Render the profile switcher
+ * @param {Object} status - { profiles, selectedId, matchedId } from the background worker
+ */
+function renderProfileSwitcher(status) {
+    const profiles = status.profiles || [];
+
+    // The switcher is only shown once named profiles exist
+    if (profiles.length === 0) {
+        profileBarEl.classList.add('hidden');
+        profileSelectEl.innerHTML = '';
+        return;
+    }
+
+    const matched = profiles.find(profile => profile.id === status.matchedId);
+    const autoText = `Auto · ${matched ? matched.name : 'Default'}`;
+    profileSelectEl.innerHTML = `<option value="">${escapeHtml(autoText)}</option>` +
+        '<option value="default">Default</option>' + profiles
+        .map(profile => `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`)
+        .join('');
+
+    profileSelectEl.value = status.selectedId || '';
+    profileBarEl.classList.remove('hidden');
+}
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// VAULT
+// ============================================================================
+
+/**
+ * Render the vault passphrase form
+ * @param {Object} status - Vault status from the background worker
+ * @param {string} error - Error from the last attempt
+ */
+function renderVaultForm(status, error = '') {
+    const setup = !status.exists;
+
+    tokenListEl.innerHTML = `
+      <form class="vault-form">
+        <p class="vault-intro">
+          ${setup
+            ? 'Create a passphrase to encrypt pinned tokens. It cannot be recovered if forgotten.'
+            : `🔒 Vault is locked (${status.count} token${status.count === 1 ? '' : 's'}).`}
+        </p>
+        <input type="password" class="vault-passphrase" placeholder="Passphrase" autocomplete="off">
+        ${setup ? '<input type="password" class="vault-confirm" placeholder="Confirm passphrase" autocomplete="off">' : ''}
+        <p class="vault-error">${escapeHtml(error)}</p>
+        <button type="submit" class="vault-submit">${setup ? 'Create Vault' : 'Unlock'}</button>
+      </form>
+    `;
+
+    const form = tokenListEl.querySelector('.vault-form');
+    const passphraseInput = form.querySelector('.vault-passphrase');
+    const confirmInput = form.querySelector('.vault-confirm');
+    passphraseInput.focus();
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        if (setup && passphraseInput.value !== confirmInput.value) {
+            form.querySelector('.vault-error').textContent = 'Passphrases do not match';
+            return;
+        }
+
+        const submitBtn = form.querySelector('.vault-submit');
+        submitBtn.disabled = true;
+        submitBtn.textContent = '⏳ Deriving key...';
+
+        const response = await chrome.runtime.sendMessage({
+            type: setup ? 'VAULT_SETUP' : 'VAULT_UNLOCK',
+            passphrase: passphraseInput.value
+        });
+
+        if (response.success) {
+            loadTokens();
+        } else {
+            renderVaultForm(response, response.error);
+        }
+    });
+}
+
+/**
+ * Render the decrypted vault entries
+ * @param {Array} entries - Vault entries, oldest first
+ */
+function renderVaultEntries(entries) {
+    tokenListEl.innerHTML = `
+      <div class="vault-toolbar">
+        <span>🔓 Vault unlocked</span>
+        <button class="vault-lock-btn">🔒 Lock</button>
+      </div>
+    `;
+
+    if (entries.length === 0) {
+        tokenListEl.insertAdjacentHTML('beforeend', `
+      <div class="empty-state">
+        <p>The vault is empty.</p>
+        <p class="hint">Use 📌 on a token card to pin it here.</p>
+      </div>
+    `);
+    }
+
+    entries.slice().reverse().forEach(item => {
+        const card = document.createElement('div');
+        card.className = 'token-card vault';
+
+        card.innerHTML = `
+      <div class="vault-label">${escapeHtml(item.label)}</div>
+      <div class="token-url" title="${escapeHtml(item.url)}">
+        ${getSourceInfo(item).icon} ${escapeHtml(truncateUrl(item.url))}
+      </div>
+      <div class="token-value">
+        <code>${escapeHtml(maskToken(item.token))}</code>
+      </div>
+      <div class="history-timeline">
+        <span>Pinned ${new Date(item.createdAt).toLocaleString()}</span>
+      </div>
+      <div class="copy-actions">
+        <button class="copy-btn" data-token="${encodeURIComponent(item.token)}">
+          📋 Copy Token
+        </button>
+        <button class="copy-menu-btn" title="Copy as request snippet">▾</button>
+        ${renderCopyMenu()}
+        <button class="vault-remove-btn" title="Remove from vault">🗑️</button>
+      </div>
+    `;
+
+        tokenListEl.appendChild(card);
+        bindCopyMenu(card, item);
+
+        card.querySelector('.vault-remove-btn').addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await chrome.runtime.sendMessage({ type: 'VAULT_REMOVE', id: item.id });
+            loadTokens();
+        });
+    });
+
+    tokenListEl.querySelector('.vault-lock-btn').addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ type: 'VAULT_LOCK' });
+        loadTokens();
+    });
+
+    bindCopyButtons();
+}
+
+/**
+ * Show the vault: its passphrase form when locked, its entries when unlocked
+ */
+async function loadVault() {
+    sourceFilterEl.classList.add('hidden');
+
+    const status = await chrome.runtime.sendMessage({ type: 'VAULT_STATUS' });
+    updateVaultButton(status);
+    tokenCountEl.textContent = `${status.count} pinned`;
+
+    if (!status.unlocked) {
+        renderVaultForm(status);
+        return;
+    }
+
+    const response = await chrome.runtime.sendMessage({ type: 'VAULT_LIST' });
+    if (response.success) {
+        renderVaultEntries(response.entries || []);
+    } else {
+        renderVaultForm(response, response.error);
+    }
+}
+
+/**
+ * Update the vault toggle icon
+ * @param {Object} status - Vault status from the background worker
+ */
+function updateVaultButton(status) {
+    vaultBtn.textContent = status.unlocked ? '🔓' : '🔒';
+    vaultBtn.title = status.exists ? `Vault (${status.count} pinned)` : 'Set up token vault';
+    vaultBtn.classList.toggle('active', currentView === 'vault');
+}
+
+// ============================================================================
+// EXPORT
 // ============================================================================
 
 /**
- * Mask a token for display, showing only first and last few characters
- * @param {string} token - Full token value
- * @returns {string} - Masked token
+ * Render the export form for the tokens of the displayed session
+ * @param {Array} tokens - Token objects
  */
-function maskToken(token) {
-    if (!token || token.length < 12) {
-        return '••••••••••••';
+function renderExportForm(tokens) {
+    sourceFilterEl.classList.add('hidden');
+    tokenCountEl.textContent = `${tokens.length} to export`;
+
+    if (tokens.length === 0) {
+        tokenListEl.innerHTML = `
+      <div class="empty-state">
+        <p>Nothing to export yet.</p>
+        <p class="hint">Tokens of the selected tab can be exported once detected.</p>
+      </div>
+    `;
+        return;
     }
 
-    const visibleStart = 4;
-    const visibleEnd = 4;
-    const masked = '•'.repeat(Math.min(20, token.length - visibleStart - visibleEnd));
+    const formatOptions = Object.entries(EXPORT_FORMATS)
+        .map(([format, { label }]) => `<option value="${format}">${label}</option>`)
+        .join('');
+    const tokenOptions = tokens
+        .map((item, index) => `
+        <label class="export-token">
+          <input type="checkbox" value="${index}" checked>
+          <span>${escapeHtml(item.ruleLabel || getSourceInfo(item).label)}</span>
+          <code>${escapeHtml(maskToken(item.token))}</code>
+        </label>
+      `)
+        .join('');
 
-    return token.slice(0, visibleStart) + masked + token.slice(-visibleEnd);
+    tokenListEl.innerHTML = `
+      <form class="export-form">
+        <label class="export-token export-all">
+          <input type="checkbox" class="export-all-input" checked>
+          <span>All tokens</span>
+        </label>
+        <div class="export-tokens">${tokenOptions}</div>
+        <select class="export-format" title="Export format">${formatOptions}</select>
+        <label class="export-token">
+          <input type="checkbox" class="export-mask">
+          <span>Mask token values</span>
+        </label>
+        <button type="submit" class="export-submit">⬇️ Download</button>
+      </form>
+    `;
+
+    const form = tokenListEl.querySelector('.export-form');
+    const allInput = form.querySelector('.export-all-input');
+    const tokenInputs = Array.from(form.querySelectorAll('.export-tokens input'));
+
+    allInput.addEventListener('change', () => {
+        tokenInputs.forEach(input => {
+            input.checked = allInput.checked;
+        });
+    });
+
+    tokenInputs.forEach(input => input.addEventListener('change', () => {
+        allInput.checked = tokenInputs.every(other => other.checked);
+    }));
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const selected = tokenInputs.filter(input => input.checked).map(input => tokens[input.value]);
+        const submitBtn = form.querySelector('.export-submit');
+
+        if (selected.length === 0) {
+            showFeedback(submitBtn, 'Select a token first');
+            return;
+        }
+
+        const mask = form.querySelector('.export-mask').checked;
+        const format = EXPORT_FORMATS[form.querySelector('.export-format').value];
+        const host = currentOrigin ? new URL(currentOrigin).hostname : 'tokens';
+
+        downloadFile(
+            `${host}-tokens-${new Date().toISOString().slice(0, 10)}${format.suffix}`,
+            format.build(getExportVariables(selected, mask), { origin: currentOrigin, mask: mask }),
+            format.mimeType
+        );
+        showFeedback(submitBtn, `✅ Exported ${selected.length}`);
+    });
 }
 
+// ============================================================================
+// TOKEN INJECTION
+// ============================================================================
+
+// Where a token can be written in the target tab, in menu order
+const INJECTION_TYPES = {
+    localStorage: { label: 'localStorage key', keyCaption: 'Storage key' },
+    sessionStorage: { label: 'sessionStorage key', keyCaption: 'Storage key' },
+    cookie: { label: 'Cookie', keyCaption: 'Cookie name' },
+    header: { label: 'Request header (until reverted)', keyCaption: 'Header name' }
+};
+
 /**
- * Truncate URL for display
- * @param {string} url - Full URL
- * @param {number} maxLength - Maximum characters
- * @returns {string} - Truncated URL
+ * Render the hidden injection form of a token card
+ * @returns {string} - HTML
  */
-function truncateUrl(url, maxLength = 40) {
-    if (url.length <= maxLength) return url;
-    return url.slice(0, maxLength - 3) + '...';
+function renderInjectForm() {
+    const typeOptions = Object.entries(INJECTION_TYPES)
+        .map(([type, { label }]) => `<option value="${type}">${label}</option>`)
+        .join('');
+
+    return `
+      <form class="inject-form hidden">
+        <select class="inject-tab session-select" title="Tab to inject into"></select>
+        <select class="inject-type session-select" title="Where to write the token">${typeOptions}</select>
+        <input type="text" class="inject-key pin-label" maxlength="200">
+        <input type="text" class="inject-urls pin-label hidden" title="declarativeNetRequest URL filter"
+          placeholder="Requests to, e.g. ||api.example.com/" maxlength="500">
+        <button type="submit" class="pin-save">💉 Inject</button>
+      </form>
+    `;
 }
 
 /**
- * Copy text to clipboard
- * @param {string} text - Text to copy
+ * Suggest where to write a token in another tab
+ * Storage and cookie tokens keep the key they came from, header tokens
+ * their header and scheme.
+ * @param {Object} item - Token object
+ * @param {string} type - Injection type
+ * @param {string} tabUrl - URL of the target tab
+ * @returns {Object} - { key, prefix, urlFilter }
  */
-async function copyToClipboard(text) {
+function getInjectionDefaults(item, type, tabUrl) {
+    const stored = item.url.match(/^(localStorage|sessionStorage|cookie):([^→]+)$/);
+    let host = '';
     try {
-        await navigator.clipboard.writeText(text);
-        return true;
+        host = new URL(tabUrl).host;
     } catch (error) {
-        console.error('Failed to copy:', error);
-        return false;
+        // Browser pages have no host
     }
+
+    if (type === 'header') {
+        const name = item.headerName || 'Authorization';
+        const prefix = item.headerName ? item.headerPrefix || '' : 'Bearer ';
+        return { key: name, prefix: prefix, urlFilter: host ? `||${host}/` : '' };
+    }
+
+    const sameKind = stored && (stored[1] === 'cookie') === (type === 'cookie');
+    return { key: sameKind ? stored[2] : 'access_token', prefix: '', urlFilter: '' };
 }
 
 /**
- * Show temporary feedback message
- * @param {HTMLElement} element - Element to show feedback on
- * @param {string} message - Feedback message
+ * Attach the inject-into-tab handlers of a token card
+ * @param {HTMLElement} card - Token card
+ * @param {Object} item - Token object
  */
-function showFeedback(element, message) {
-    const originalText = element.textContent;
-    element.textContent = message;
-    element.classList.add('feedback');
+function bindInjectForm(card, item) {
+    const injectBtn = card.querySelector('.inject-btn');
+    const form = card.querySelector('.inject-form');
+    const tabSelect = form.querySelector('.inject-tab');
+    const typeSelect = form.querySelector('.inject-type');
+    const keyInput = form.querySelector('.inject-key');
+    const urlsInput = form.querySelector('.inject-urls');
 
-    setTimeout(() => {
-        element.textContent = originalText;
-        element.classList.remove('feedback');
-    }, 1500);
+    const selectedTabUrl = () => tabSelect.selectedOptions[0]?.dataset.url || '';
+    const fillDefaults = () => {
+        const defaults = getInjectionDefaults(item, typeSelect.value, selectedTabUrl());
+        keyInput.value = defaults.key;
+        keyInput.placeholder = INJECTION_TYPES[typeSelect.value].keyCaption;
+        urlsInput.value = defaults.urlFilter;
+        urlsInput.classList.toggle('hidden', typeSelect.value !== 'header');
+    };
+
+    injectBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        form.classList.toggle('hidden');
+        if (form.classList.contains('hidden')) return;
+
+        // Other tabs first: injecting is meant for a different tab or environment
+        const { tabId: activeTabId } = await chrome.runtime.sendMessage({ type: 'GET_ACTIVE_TAB_ID' });
+        const tabs = (await chrome.tabs.query({}))
+            .filter(tab => /^https?:/.test(tab.url || ''))
+            .sort((a, b) => (a.id === activeTabId) - (b.id === activeTabId));
+        tabSelect.innerHTML = tabs
+            .map(tab => `<option value="${tab.id}" data-url="${escapeHtml(tab.url)}">${escapeHtml(truncateUrl(tab.title || tab.url, 50))}${tab.id === activeTabId ? ' (this tab)' : ''}</option>`)
+            .join('');
+        fillDefaults();
+    });
+
+    typeSelect.addEventListener('change', fillDefaults);
+    tabSelect.addEventListener('change', () => {
+        if (typeSelect.value === 'header') fillDefaults();
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const submitBtn = form.querySelector('.pin-save');
+        if (!tabSelect.value) {
+            showFeedback(submitBtn, 'No web page tab');
+            return;
+        }
+
+        const type = typeSelect.value;
+        const defaults = getInjectionDefaults(item, type, selectedTabUrl());
+        const response = await chrome.runtime.sendMessage({
+            type: 'INJECT_TOKEN',
+            sessionKey: currentSessionKey,
+            token: item.token,
+            target: {
+                type: type,
+                tabId: Number(tabSelect.value),
+                key: keyInput.value,
+                urlFilter: urlsInput.value,
+                // The scheme (e.g. "Bearer ") only belongs to the suggested header
+                prefix: defaults.key === keyInput.value.trim() ? defaults.prefix : ''
+            }
+        });
+
+        if (response.success) {
+            form.classList.add('hidden');
+            showFeedback(injectBtn, '✅');
+        } else {
+            showFeedback(submitBtn, `❌ ${response.error}`);
+        }
+        renderInjectionBar(response.injections || []);
+    });
+}
+
+/**
+ * Describe where an injection wrote its token
+ * @param {Object} injection - Injection record
+ * @returns {string} - e.g. "Authorization header for ||api.example.com/"
+ */
+function describeInjectionTarget(injection) {
+    if (injection.type === 'header') return `${injection.key} header for ${injection.urlFilter}`;
+    if (injection.type === 'cookie') return `cookie ${injection.key}`;
+    return `${injection.type} ${injection.key}`;
+}
+
+/**
+ * Show the active injections with their revert buttons
+ * @param {Array} injections - Injection records
+ * @param {Array} [errors] - Why the last revert failed; the bar hides when both are empty
+ */
+function renderInjectionBar(injections, errors = []) {
+    injectionBarEl.classList.toggle('hidden', injections.length === 0 && errors.length === 0);
+
+    injectionBarEl.innerHTML = errors.map(error => `
+      <p class="injection-error">⚠️ Could not revert ${escapeHtml(error)}</p>
+    `).join('') + injections.map(injection => `
+      <div class="injection-row">
+        <span title="${escapeHtml(injection.pageUrl)}">💉 <code>${escapeHtml(injection.preview)}</code> →
+          ${escapeHtml(describeInjectionTarget(injection))} in ${escapeHtml(truncateUrl(injection.tabTitle || injection.pageUrl, 30))}</span>
+        <button class="revert-btn" data-id="${escapeHtml(injection.id)}" title="Revert">↩️</button>
+      </div>
+    `).join('') + (injections.length > 1 ? '<button class="revert-btn revert-all">↩️ Revert all</button>' : '');
+
+    injectionBarEl.querySelectorAll('.revert-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const response = await chrome.runtime.sendMessage({ type: 'REVERT_INJECTION', id: btn.dataset.id });
+            renderInjectionBar(response.injections || [], response.errors || []);
+        });
+    });
 }
 
 // ============================================================================
-// TOKEN RENDERING
+// COOKIE INSPECTOR
 // ============================================================================
 
+// chrome.cookies SameSite values as written in a Set-Cookie header
+const SAME_SITE_LABELS = {
+    no_restriction: 'SameSite=None',
+    lax: 'SameSite=Lax',
+    strict: 'SameSite=Strict',
+    unspecified: 'SameSite unset'
+};
+
 /**
- * Render the list of detected tokens
- * @param {Array} tokens - Array of token objects
- * @param {number} maxTokens - Maximum tokens allowed
+ * Join cookies into a Cookie request header value
+ * @param {Array} cookies - Inspected cookies
+ * @returns {string} - e.g. "sid=abc; csrf_token=def"
  */
-function renderTokens(tokens, maxTokens) {
-    tokenListEl.innerHTML = '';
+function buildCookieHeader(cookies) {
+    return cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+}
 
-    // Update token count display
-    tokenCountEl.textContent = `${tokens.length} / ${maxTokens} tokens`;
+/**
+ * Render the attribute tags of an inspected cookie
+ * @param {Object} cookie - Inspected cookie
+ * @returns {string} - HTML
+ */
+function renderCookieAttributes(cookie) {
+    const tags = [
+        `<span class="token-tag" title="Domain">${escapeHtml(cookie.hostOnly ? cookie.domain : `.${cookie.domain.replace(/^\./, '')}`)}</span>`,
+        `<span class="token-tag" title="Path">${escapeHtml(cookie.path)}</span>`,
+        `<span class="token-tag" title="Expires">${cookie.expiresAt ? `⏱️ ${escapeHtml(new Date(cookie.expiresAt).toLocaleString())}` : '⏱️ Session'}</span>`,
+        `<span class="token-tag ${cookie.httpOnly ? 'linked' : 'warning'}">HttpOnly ${cookie.httpOnly ? '✓' : '✗'}</span>`,
+        `<span class="token-tag ${cookie.secure ? 'linked' : 'warning'}">Secure ${cookie.secure ? '✓' : '✗'}</span>`,
+        `<span class="token-tag ${cookie.sameSite === 'no_restriction' ? 'warning' : ''}">${SAME_SITE_LABELS[cookie.sameSite] || escapeHtml(cookie.sameSite)}</span>`
+    ];
 
-    if (tokens.length === 0) {
+    if (cookie.partitionKey) {
+        tags.push(`<span class="token-tag rule" title="Partitioned (CHIPS) cookie">🧩 ${escapeHtml(cookie.partitionKey)}</span>`);
+    }
+
+    return `<div class="token-tags">${tags.join('')}</div>`;
+}
+
+/**
+ * Render the token and session cookies of the active page
+ * @param {Object} response - INSPECT_COOKIES response: { success, url, cookies, error }
+ */
+function renderCookieInspector(response) {
+    sourceFilterEl.classList.add('hidden');
+    const cookies = response.cookies || [];
+    const warned = cookies.filter(cookie => cookie.warnings.length > 0).length;
+    tokenCountEl.textContent = `${cookies.length} cookies${warned ? ` · ⚠️ ${warned}` : ''}`;
+
+    if (!response.success || cookies.length === 0) {
         tokenListEl.innerHTML = `
       <div class="empty-state">
-        <p>No tokens detected yet.</p>
-        <p class="hint">Make API calls on the active tab to detect tokens.</p>
+        <p>${response.success ? 'No token or session cookies on this page.' : escapeHtml(response.error || 'Cookies unavailable.')}</p>
+        <p class="hint">Cookies are picked by name like in cookie scans (session, token, sid, …).</p>
       </div>
     `;
         return;
     }
 
-    // Create token cards
-    tokens.forEach((item, index) => {
-        const card = document.createElement('div');
-        card.className = 'token-card';
-        card.dataset.index = index;
-
-        card.innerHTML = `
-      <div class="token-url" title="${item.url}">
-        📡 ${truncateUrl(item.url)}
-      </div>
-      <div class="token-value">
-        <code>${maskToken(item.token)}</code>
+    const cards = cookies.map((cookie, index) => `
+      <div class="token-card cookie${cookie.warnings.length > 0 ? ' warned' : ''}">
+        <label class="cookie-select cookie-name">
+          <input type="checkbox" value="${index}">
+          <strong>🍪 ${escapeHtml(cookie.name)}</strong>
+        </label>
+        ${renderCookieAttributes(cookie)}
+        ${cookie.warnings.length > 0 ? `
+        <ul class="cookie-warnings">
+          ${cookie.warnings.map(warning => `<li>⚠️ ${escapeHtml(warning.message)}</li>`).join('')}
+        </ul>` : ''}
+        <div class="token-value">
+          <code>${escapeHtml(maskToken(cookie.value))}</code>
+        </div>
+        <button type="button" class="copy-btn" data-token="${encodeURIComponent(cookie.value)}">
+          📋 Copy Value
+        </button>
       </div>
-      <button class="copy-btn" data-token="${encodeURIComponent(item.token)}">
-        📋 Copy Token
-      </button>
+    `).join('');
+
+    tokenListEl.innerHTML = `
+      <form class="cookie-inspector">
+        <div class="token-url" title="${escapeHtml(response.url)}">${escapeHtml(truncateUrl(response.url))}</div>
+        <label class="cookie-select cookie-select-all">
+          <input type="checkbox" class="cookie-select-all-input">
+          <span>Select all</span>
+        </label>
+        ${cards}
+        <button type="submit" class="cookie-copy-header">📋 Copy as Cookie header</button>
+      </form>
     `;
 
-        tokenListEl.appendChild(card);
+    const form = tokenListEl.querySelector('.cookie-inspector');
+    const allInput = form.querySelector('.cookie-select-all-input');
+    const cookieInputs = Array.from(form.querySelectorAll('.cookie-name input'));
+
+    allInput.addEventListener('change', () => {
+        cookieInputs.forEach(input => {
+            input.checked = allInput.checked;
+        });
     });
 
-    // Add copy event listeners
-    document.querySelectorAll('.copy-btn').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-            e.stopPropagation();
-            const token = decodeURIComponent(btn.dataset.token);
-            const success = await copyToClipboard(token);
+    cookieInputs.forEach(input => input.addEventListener('change', () => {
+        allInput.checked = cookieInputs.every(other => other.checked);
+    }));
 
-            if (success) {
-                showFeedback(btn, '✅ Copied!');
-            } else {
-                showFeedback(btn, '❌ Failed');
-            }
-        });
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const selected = cookieInputs.filter(input => input.checked).map(input => cookies[input.value]);
+        const submitBtn = form.querySelector('.cookie-copy-header');
+
+        if (selected.length === 0) {
+            showFeedback(submitBtn, 'Select a cookie first');
+            return;
+        }
+
+        const copied = await copyToClipboard(`Cookie: ${buildCookieHeader(selected)}`);
+        showFeedback(submitBtn, copied ? `✅ Copied ${selected.length}` : '❌ Failed');
     });
+
+    bindCopyButtons();
 }
 
 // ============================================================================
@@ -152,19 +1530,69 @@ function renderTokens(tokens, maxTokens) {
  */
 async function loadTokens() {
     try {
-        // Get current settings for maxTokens
+        // Get current settings for maxTokens and minConfidence
         const settingsResponse = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
         const maxTokens = settingsResponse.settings?.maxTokens || 5;
+        currentMinConfidence = settingsResponse.settings?.minConfidence || 0;
 
-        // Get current tokens
-        const response = await chrome.runtime.sendMessage({ type: 'GET_TOKENS' });
-        const tokens = response.tokens || [];
+        // Get profiles for the switcher
+        renderProfileSwitcher(await chrome.runtime.sendMessage({ type: 'GET_PROFILES' }));
 
-        renderTokens(tokens, maxTokens);
+        // Injected tokens stay in sight whatever the view
+        renderInjectionBar((await chrome.runtime.sendMessage({ type: 'GET_INJECTIONS' })).injections || []);
 
-        // Update status based on token source
-        const source = settingsResponse.settings?.tokenSource || 'headers';
-        updateStatusText(source);
+        // Get sessions for the switcher
+        const sessionsResponse = await chrome.runtime.sendMessage({ type: 'GET_SESSIONS' });
+        renderSessionSwitcher(sessionsResponse.sessions || [], sessionsResponse.currentKey);
+
+        const currentSession = (sessionsResponse.sessions || []).find(session =>
+            session.key === (selectedSessionKey || sessionsResponse.currentKey));
+        updateHistoryButton(currentSession?.historyCount || 0);
+        exportBtn.classList.toggle('active', currentView === 'export');
+        cookiesBtn.classList.toggle('active', currentView === 'cookies');
+
+        if (currentView !== 'tokens') {
+            renderFilteredCount([]);
+            renderLeakBar([]);
+            searchBarEl.classList.add('hidden');
+        }
+
+        if (currentView === 'vault') {
+            await loadVault();
+        } else if (currentView === 'export') {
+            // Export the tokens of the selected session
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_TOKENS',
+                sessionKey: selectedSessionKey || undefined
+            });
+            currentOrigin = response.origin || null;
+            renderExportForm(response.tokens || []);
+        } else if (currentView === 'cookies') {
+            renderCookieInspector(await chrome.runtime.sendMessage({ type: 'INSPECT_COOKIES' }));
+        } else if (currentView === 'history') {
+            // Get replaced tokens of the selected session
+            const historyResponse = await chrome.runtime.sendMessage({
+                type: 'GET_HISTORY',
+                sessionKey: selectedSessionKey || undefined
+            });
+            renderHistory(historyResponse.history || []);
+        } else {
+            // Get tokens of the selected session (active tab by default)
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_TOKENS',
+                sessionKey: selectedSessionKey || undefined
+            });
+            currentOrigin = response.origin || null;
+            currentSessionKey = response.sessionKey || null;
+            currentLeaks = response.leaks || [];
+            renderLeakBar(currentLeaks);
+            renderTokens(response.tokens || [], maxTokens);
+            renderFilteredCount(response.filtered || []);
+            updateVaultButton(await chrome.runtime.sendMessage({ type: 'VAULT_STATUS' }));
+        }
+
+        // Update status based on enabled token sources
+        updateStatusText(settingsResponse.settings?.tokenSources || { headers: true });
     } catch (error) {
         console.error('Error loading tokens:', error);
         tokenListEl.innerHTML = `
@@ -177,16 +1605,77 @@ async function loadTokens() {
 }
 
 /**
- * Update status text based on current source
+ * Warn about tokens of the displayed session sent to other sites
+ * @param {Array} leaks - Leak entries, newest first (empty hides the warning)
  */
-function updateStatusText(source) {
-    const sourceText = {
-        headers: 'Monitoring API request headers...',
-        storage: 'Click Scan to check browser storage...',
-        cookies: 'Click Scan to check cookies...'
-    };
+function renderLeakBar(leaks) {
+    leakBarEl.classList.toggle('hidden', leaks.length === 0);
+    if (leaks.length === 0) {
+        leakBarEl.innerHTML = '';
+        return;
+    }
+
+    const tokenCount = new Set(leaks.map(leak => leak.token)).size;
+    const rows = leaks.map(leak => `
+        <li title="${escapeHtml(`${leak.method || ''} ${leak.toUrl}`.trim())}">
+          <strong>${escapeHtml(leak.ruleLabel || getSourceInfo(leak).label)}</strong>
+          <code>${escapeHtml(maskToken(leak.token))}</code>
+          from ${escapeHtml(leak.fromSite)} → <strong>${escapeHtml(leak.toSite)}</strong>
+          <span class="leak-request">${escapeHtml(leak.method || '')} ${escapeHtml(getRequestPath(leak.toUrl))}</span>
+          ${leak.count > 1 ? `×${leak.count}` : ''} · ${formatTime(leak.lastSeen)}
+        </li>
+      `).join('');
+
+    leakBarEl.innerHTML = `
+      <div class="leak-title">⚠️ ${tokenCount} token${tokenCount === 1 ? '' : 's'} sent to other sites</div>
+      <ul class="leak-list">${rows}</ul>
+    `;
+}
+
+/**
+ * Show how many tokens the URL scope kept out of the displayed session
+ * @param {Array} filtered - { host, reason, count } per host (empty hides the indicator)
+ */
+function renderFilteredCount(filtered) {
+    const total = filtered.reduce((sum, entry) => sum + entry.count, 0);
+
+    filteredCountEl.classList.toggle('hidden', total === 0);
+    filteredCountEl.textContent = `🚫 ${total} filtered`;
+    filteredCountEl.title = filtered
+        .map(entry => `${entry.host} (${FILTER_REASONS[entry.reason] || entry.reason}): ${entry.count}`)
+        .join('\n');
+}
 
-    statusTextEl.textContent = sourceText[source] || 'Monitoring active tab...';
+/**
+ * Update the history toggle label
+ * @param {number} count - Replaced tokens in the selected session
+ */
+function updateHistoryButton(count) {
+    historyBtn.textContent = currentView === 'history' ? '📋 Current' : `🕘 History (${count})`;
+    historyBtn.classList.toggle('active', currentView === 'history');
+}
+
+/**
+ * Update status text based on the enabled sources
+ * @param {Object} tokenSources - Source toggles from settings
+ */
+function updateStatusText(tokenSources) {
+    const scanned = ['localStorage', 'sessionStorage', 'indexedDB', 'cookies'].filter(source => tokenSources[source]);
+    const parts = [];
+
+    if (tokenSources.headers) {
+        parts.push('Monitoring API request headers');
+    }
+
+    if (tokenSources.responses) {
+        parts.push('Watching token responses');
+    }
+
+    if (scanned.length > 0) {
+        parts.push(`Scan checks ${scanned.join(', ')}`);
+    }
+
+    statusTextEl.textContent = parts.length ? `${parts.join(' · ')}...` : 'No token sources enabled';
 }
 
 // ============================================================================
@@ -204,11 +1693,12 @@ scanBtn.addEventListener('click', async () => {
     scanBtn.textContent = '⏳ Scanning...';
 
     try {
-        const response = await chrome.runtime.sendMessage({ type: 'SCAN_STORAGE' });
-        const settingsResponse = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
-        const maxTokens = settingsResponse.settings?.maxTokens || 5;
+        await chrome.runtime.sendMessage({ type: 'SCAN_STORAGE' });
 
-        renderTokens(response.tokens || [], maxTokens);
+        // Scans always run on the active tab, so show its session
+        selectedSessionKey = null;
+        currentView = 'tokens';
+        await loadTokens();
     } catch (error) {
         console.error('Scan error:', error);
     }
@@ -217,14 +1707,67 @@ scanBtn.addEventListener('click', async () => {
     scanBtn.textContent = '🔍 Scan';
 });
 
+// Session switcher - browse tokens captured in another tab
+sessionSelectEl.addEventListener('change', () => {
+    selectedSessionKey = sessionSelectEl.value || null;
+    activeSourceFilter = 'all';
+    loadTokens();
+});
+
+// Profile switcher - pick the settings profile by hand; captured tokens are kept
+profileSelectEl.addEventListener('change', async () => {
+    await chrome.runtime.sendMessage({ type: 'SELECT_PROFILE', profileId: profileSelectEl.value || null });
+    loadTokens();
+});
+
+// History button - toggle between current and replaced tokens
+historyBtn.addEventListener('click', () => {
+    currentView = currentView === 'history' ? 'tokens' : 'history';
+    loadTokens();
+});
+
+// Vault button - toggle between current tokens and the vault
+vaultBtn.addEventListener('click', () => {
+    currentView = currentView === 'vault' ? 'tokens' : 'vault';
+    loadTokens();
+});
+
+// Export button - toggle between current tokens and the export form
+exportBtn.addEventListener('click', () => {
+    currentView = currentView === 'export' ? 'tokens' : 'export';
+    loadTokens();
+});
+
+// Cookie button - toggle between current tokens and the cookie inspector
+cookiesBtn.addEventListener('click', () => {
+    currentView = currentView === 'cookies' ? 'tokens' : 'cookies';
+    loadTokens();
+});
+
 // Clear button - clear all data
 clearBtn.addEventListener('click', () => {
     showConfirmModal();
 });
 
+// Close open copy menus when clicking elsewhere
+document.addEventListener('click', closeCopyMenus);
+
+// Search box - filter the token cards as you type
+tokenSearchEl.addEventListener('input', () => {
+    searchQuery = tokenSearchEl.value.trim().toLowerCase();
+    renderTokens(currentTokens, currentMaxTokens);
+});
+
+// Keyboard navigation of the token list
+document.addEventListener('keydown', handleListShortcut);
+
 // Listen for token updates from background
 chrome.runtime.onMessage.addListener((message) => {
-    if (message.type === 'TOKENS_UPDATED') {
+    // Re-rendering the passphrase, pin, export, cookie or injection form would discard what is being entered
+    const editing = tokenListEl.querySelector(
+        '.vault-form, .pin-form:not(.hidden), .export-form, .cookie-inspector, .inject-form:not(.hidden)'
+    );
+    if (message.type === 'TOKENS_UPDATED' && !editing) {
         loadTokens();
     }
 });
@@ -263,7 +1806,14 @@ modalConfirm.addEventListener('click', async () => {
         const settingsResponse = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
         const maxTokens = settingsResponse.settings?.maxTokens || 5;
 
+        selectedSessionKey = null;
+        currentView = 'tokens';
+        updateHistoryButton(0);
+        renderSessionSwitcher([], null);
+        currentLeaks = [];
+        renderLeakBar([]);
         renderTokens([], maxTokens);
+        renderFilteredCount([]);
         showFeedback(clearBtn, '✅ Cleared!');
     } catch (error) {
         console.error('Clear error:', error);
@@ -284,3 +1834,6 @@ confirmModal.addEventListener('click', (e) => {
 
 // Load tokens when popup opens
 document.addEventListener('DOMContentLoaded', loadTokens);
+
+// Keep JWT expiry badges live while the popup is open
+setInterval(updateExpiryBadges, 1000);
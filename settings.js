@@ -3,24 +3,115 @@
  * 
  * Responsibilities:
  * - Load and display current settings
+ * - Create, edit and delete named settings profiles
  * - Handle settings form submission
- * - Validate user inputs (especially max tokens 1-5)
- * - Provide manual data clearing
+ * - Edit the ordered list of detection rules
+ * - Edit the URL allow/deny lists
+ * - Edit the health URLs tokens are tested against
+ * - Validate user inputs (especially max tokens 1-50)
+ * - Export and import settings files
+ * - Provide manual data clearing and vault deletion
  */
 
+import { downloadFile } from './lib/page-utils.js';
+
 // ============================================================================
 // DOM ELEMENTS
 // ============================================================================
 
 const settingsForm = document.getElementById('settingsForm');
-const customHeaderGroup = document.getElementById('customHeaderGroup');
-const customHeaderInput = document.getElementById('customHeaderName');
+const profileSelect = document.getElementById('profileSelect');
+const newProfileBtn = document.getElementById('newProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const profileMeta = document.getElementById('profileMeta');
+const profileNameInput = document.getElementById('profileName');
+const profileOriginsInput = document.getElementById('profileOrigins');
+const rulesList = document.getElementById('rulesList');
+const addRuleBtn = document.getElementById('addRuleBtn');
+const rulePresetSelect = document.getElementById('rulePresetSelect');
+const scopeAllowInput = document.getElementById('scopeAllow');
+const scopeDenyInput = document.getElementById('scopeDeny');
+const firstPartyOnlyCheckbox = document.getElementById('firstPartyOnly');
+const probeUrlsInput = document.getElementById('probeUrls');
+const minConfidenceSlider = document.getElementById('minConfidence');
+const minConfidenceValue = document.getElementById('minConfidenceValue');
 const maxTokensSlider = document.getElementById('maxTokens');
 const maxTokensValue = document.getElementById('maxTokensValue');
 const autoCleanupCheckbox = document.getElementById('autoCleanup');
+const showBadgeCheckbox = document.getElementById('showBadge');
+const notificationsCheckbox = document.getElementById('notifications');
+const keepOnNavigationCheckbox = document.getElementById('keepOnNavigation');
+const vaultAutoLockInput = document.getElementById('vaultAutoLock');
 const clearNowBtn = document.getElementById('clearNowBtn');
+const deleteVaultBtn = document.getElementById('deleteVaultBtn');
+const exportSettingsBtn = document.getElementById('exportSettingsBtn');
+const importSettingsBtn = document.getElementById('importSettingsBtn');
+const importSettingsFile = document.getElementById('importSettingsFile');
+const importErrors = document.getElementById('importErrors');
 const saveStatus = document.getElementById('saveStatus');
 
+// ============================================================================
+// STATE
+// ============================================================================
+
+// Upper bound for the max tokens setting, provided by the background worker
+let maxTokensLimit = Number(maxTokensSlider.max);
+
+// ID of the default profile (the top-level settings), provided by the background worker
+let defaultProfileId = null;
+
+// Profile being edited
+let currentProfileId = null;
+
+// Named profiles provided by the background worker ({ id, name, origins })
+let profiles = [];
+
+// Detection rules being edited, in evaluation order
+let detectionRules = [];
+
+// Rule presets provided by the background worker
+let rulePresets = {};
+
+// Parts of a request a rule can look in, and what its name field names there
+const RULE_LOCATIONS = {
+    header: { label: 'Header', nameCaption: 'Header', placeholder: 'e.g., X-API-Key' },
+    query: { label: 'Query parameter', nameCaption: 'Parameter', placeholder: 'e.g., api_key' },
+    body: { label: 'Request body', nameCaption: 'Form or JSON field', placeholder: 'e.g., access_token' }
+};
+
+// Upper bound for the vault auto-lock delay, in minutes
+const MAX_VAULT_AUTO_LOCK_MINUTES = 1440;
+
+// Confirmation texts and message for each destructive action
+const CONFIRM_ACTIONS = {
+    clear: {
+        title: 'Clear All Data?',
+        message: 'This will remove all detected tokens and stored data. Pinned tokens stay in the vault. This action cannot be undone.',
+        confirmLabel: 'Clear All',
+        messageType: 'CLEAR_DATA',
+        done: '✅ All data cleared!'
+    },
+    deleteVault: {
+        title: 'Delete Vault?',
+        message: 'This will permanently delete the vault and every token pinned in it. This action cannot be undone.',
+        confirmLabel: 'Delete Vault',
+        messageType: 'VAULT_RESET',
+        done: '✅ Vault deleted!'
+    },
+    deleteProfile: {
+        title: 'Delete Profile?',
+        message: 'This will delete the profile and its settings. Tabs it was used on fall back to the default profile.',
+        confirmLabel: 'Delete Profile',
+        messageType: 'DELETE_PROFILE',
+        payload: () => ({ profileId: currentProfileId }),
+        done: '✅ Profile deleted!',
+        after: () => selectProfileToEdit(defaultProfileId)
+    }
+};
+
+// Action awaiting confirmation in the modal
+let pendingConfirmAction = null;
+
 // ============================================================================
 // SETTINGS LOADING
 // ============================================================================
@@ -30,41 +121,78 @@ const saveStatus = document.getElementById('saveStatus');
  */
 async function loadSettings() {
     try {
-        const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+        // Edit the default profile until another one is picked
+        if (defaultProfileId === null) {
+            defaultProfileId = (await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' })).defaultProfileId;
+            currentProfileId = defaultProfileId;
+        }
+
+        await loadProfiles();
+
+        const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS', profileId: currentProfileId });
         const settings = response.settings;
 
+        rulePresets = response.rulePresets || {};
+        populatePresetSelect();
+
+        maxTokensLimit = response.maxTokensLimit || maxTokensLimit;
+        maxTokensSlider.max = maxTokensLimit;
+
         if (settings) {
-            // Token type
-            const tokenTypeRadio = document.querySelector(
-                `input[name="tokenType"][value="${settings.tokenType}"]`
-            );
-            if (tokenTypeRadio) {
-                tokenTypeRadio.checked = true;
-            }
+            // Detection rules
+            detectionRules = (settings.detectionRules || []).map(rule => ({ ...rule }));
+            renderRules();
+
+            // Token sources
+            const tokenSources = settings.tokenSources || {};
+            document.querySelectorAll('input[name="tokenSources"]').forEach(checkbox => {
+                checkbox.checked = tokenSources[checkbox.value] !== false;
+            });
+
+            // Minimum confidence
+            minConfidenceSlider.value = settings.minConfidence || 0;
+            minConfidenceValue.textContent = `${minConfidenceSlider.value}%`;
+
+            // URL scope
+            const urlScope = settings.urlScope || {};
+            scopeAllowInput.value = (urlScope.allow || []).join('\n');
+            scopeDenyInput.value = (urlScope.deny || []).join('\n');
+            firstPartyOnlyCheckbox.checked = urlScope.firstPartyOnly === true;
+
+            // Token test health URLs
+            probeUrlsInput.value = (settings.probeUrls || []).join('\n');
+
+            // Max tokens (enforce the supported range)
+            const maxTokens = clampMaxTokens(settings.maxTokens || 5);
+            maxTokensSlider.value = maxTokens;
+            maxTokensValue.textContent = maxTokens;
 
-            // Custom header name
-            if (settings.customHeaderName) {
-                customHeaderInput.value = settings.customHeaderName;
+            // Eviction policy
+            const evictionRadio = document.querySelector(
+                `input[name="evictionPolicy"][value="${settings.evictionPolicy}"]`
+            );
+            if (evictionRadio) {
+                evictionRadio.checked = true;
             }
 
-            // Show/hide custom header input
-            toggleCustomHeader(settings.tokenType === 'custom');
-
-            // Token source
-            const tokenSourceRadio = document.querySelector(
-                `input[name="tokenSource"][value="${settings.tokenSource}"]`
+            // Token sessions
+            const sessionScopeRadio = document.querySelector(
+                `input[name="sessionScope"][value="${settings.sessionScope}"]`
             );
-            if (tokenSourceRadio) {
-                tokenSourceRadio.checked = true;
+            if (sessionScopeRadio) {
+                sessionScopeRadio.checked = true;
             }
+            keepOnNavigationCheckbox.checked = settings.keepOnNavigation === true;
 
-            // Max tokens (enforce 1-5 range)
-            const maxTokens = Math.min(5, Math.max(1, settings.maxTokens || 5));
-            maxTokensSlider.value = maxTokens;
-            maxTokensValue.textContent = maxTokens;
+            // Badge & notifications
+            showBadgeCheckbox.checked = settings.showBadge !== false;
+            notificationsCheckbox.checked = settings.notifications === true;
 
             // Auto cleanup
             autoCleanupCheckbox.checked = settings.autoCleanup !== false;
+
+            // Vault auto-lock
+            vaultAutoLockInput.value = settings.vaultAutoLockMinutes ?? 15;
         }
     } catch (error) {
         console.error('Error loading settings:', error);
@@ -73,20 +201,401 @@ async function loadSettings() {
 }
 
 // ============================================================================
-// UI HELPERS
+// PROFILES
 // ============================================================================
 
 /**
- * Toggle visibility of custom header input
+ * Load the named profiles and show the one being edited
  */
-function toggleCustomHeader(show) {
-    if (show) {
-        customHeaderGroup.classList.remove('hidden');
-        customHeaderInput.required = true;
-    } else {
-        customHeaderGroup.classList.add('hidden');
-        customHeaderInput.required = false;
+async function loadProfiles() {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_PROFILES' });
+    profiles = response.profiles || [];
+
+    // The profile being edited may have been deleted elsewhere
+    const profile = profiles.find(candidate => candidate.id === currentProfileId);
+    if (!profile) {
+        currentProfileId = defaultProfileId;
     }
+
+    profileSelect.innerHTML = '';
+    [{ id: defaultProfileId, name: 'Default' }, ...profiles].forEach(candidate => {
+        const option = document.createElement('option');
+        option.value = candidate.id;
+        option.textContent = candidate.name;
+        profileSelect.appendChild(option);
+    });
+    profileSelect.value = currentProfileId;
+
+    // The default profile has no name and applies wherever no other one matches
+    profileMeta.classList.toggle('hidden', !profile);
+    deleteProfileBtn.disabled = !profile;
+    profileNameInput.value = profile ? profile.name : '';
+    profileOriginsInput.value = profile ? (profile.origins || []).join('\n') : '';
+}
+
+/**
+ * Switch the form to another profile
+ * @param {string} profileId - Profile to edit
+ */
+async function selectProfileToEdit(profileId) {
+    currentProfileId = profileId;
+    await loadSettings();
+}
+
+// ============================================================================
+// DETECTION RULES EDITOR
+// ============================================================================
+
+/**
+ * Generate a unique id for a new rule
+ */
+function createRuleId() {
+    return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Fill the preset dropdown with the presets provided by the background worker
+ */
+function populatePresetSelect() {
+    rulePresetSelect.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+
+    Object.entries(rulePresets).forEach(([id, preset]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        const location = preset.location || 'header';
+        option.textContent = location === 'header'
+            ? `${preset.label} (${preset.header})`
+            : `${preset.label} (${RULE_LOCATIONS[location].label.toLowerCase()})`;
+        rulePresetSelect.appendChild(option);
+    });
+}
+
+/**
+ * Create a labelled text input bound to a rule field
+ */
+function createRuleField(rule, field, labelText, placeholder) {
+    const label = document.createElement('label');
+    label.className = 'rule-field';
+
+    const caption = document.createElement('span');
+    caption.textContent = labelText;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = rule[field] || '';
+    input.placeholder = placeholder;
+    input.dataset.field = field;
+    input.addEventListener('input', () => {
+        rule[field] = input.value;
+    });
+
+    label.append(caption, input);
+    return label;
+}
+
+/**
+ * Create the select choosing where a rule looks, relabelling its name field
+ * @param {Object} rule - Rule being edited
+ * @param {HTMLElement} nameField - Label element made by createRuleField for the name
+ */
+function createRuleLocationField(rule, nameField) {
+    const label = document.createElement('label');
+    label.className = 'rule-field';
+
+    const caption = document.createElement('span');
+    caption.textContent = 'Look in';
+
+    const select = document.createElement('select');
+    select.dataset.field = 'location';
+    Object.entries(RULE_LOCATIONS).forEach(([value, location]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = location.label;
+        select.appendChild(option);
+    });
+    select.value = rule.location || 'header';
+
+    const updateNameField = () => {
+        const location = RULE_LOCATIONS[select.value];
+        nameField.querySelector('span').textContent = location.nameCaption;
+        nameField.querySelector('input').placeholder = location.placeholder;
+    };
+    select.addEventListener('change', () => {
+        rule.location = select.value;
+        updateNameField();
+    });
+    updateNameField();
+
+    label.append(caption, select);
+    return label;
+}
+
+/**
+ * Create a small icon button for a rule row
+ */
+function createRuleButton(text, title, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'rule-btn';
+    button.textContent = text;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Move a rule up or down in the evaluation order
+ */
+function moveRule(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= detectionRules.length) return;
+
+    [detectionRules[index], detectionRules[target]] = [detectionRules[target], detectionRules[index]];
+    renderRules();
+}
+
+/**
+ * Render the editable list of detection rules
+ */
+function renderRules() {
+    rulesList.innerHTML = '';
+
+    if (detectionRules.length === 0) {
+        rulesList.innerHTML = '<p class="rules-empty">No detection rules. Add one to start detecting tokens.</p>';
+        return;
+    }
+
+    detectionRules.forEach((rule, index) => {
+        const row = document.createElement('div');
+        row.className = 'rule-row';
+        row.dataset.ruleId = rule.id;
+
+        // Header line: enabled toggle, order and delete controls
+        const head = document.createElement('div');
+        head.className = 'rule-head';
+
+        const toggle = document.createElement('label');
+        toggle.className = 'rule-toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = rule.enabled !== false;
+        checkbox.addEventListener('change', () => {
+            rule.enabled = checkbox.checked;
+        });
+        const order = document.createElement('span');
+        order.textContent = `Rule ${index + 1}`;
+        toggle.append(checkbox, order);
+
+        const actions = document.createElement('div');
+        actions.className = 'rule-actions';
+        const notifyButton = createRuleButton(rule.notify ? '🔔' : '🔕', 'Notify about tokens of this rule', () => {
+            rule.notify = !rule.notify;
+            notifyButton.textContent = rule.notify ? '🔔' : '🔕';
+            notifyButton.classList.toggle('active', rule.notify);
+        });
+        notifyButton.classList.toggle('active', rule.notify === true);
+
+        actions.append(
+            notifyButton,
+            createRuleButton('▲', 'Move up', () => moveRule(index, -1), index === 0),
+            createRuleButton('▼', 'Move down', () => moveRule(index, 1), index === detectionRules.length - 1),
+            createRuleButton('✕', 'Delete rule', () => {
+                detectionRules.splice(index, 1);
+                renderRules();
+            })
+        );
+
+        head.append(toggle, actions);
+
+        // Rule fields
+        const fields = document.createElement('div');
+        fields.className = 'rule-fields';
+        const nameField = createRuleField(rule, 'header', 'Header', 'e.g., X-API-Key');
+        fields.append(
+            createRuleField(rule, 'label', 'Label', 'e.g., API Key'),
+            createRuleLocationField(rule, nameField),
+            nameField,
+            createRuleField(rule, 'pattern', 'Regex (capture group)', 'e.g., ^Bearer\\s+(.+)$'),
+            createRuleField(rule, 'urlPattern', 'URL pattern (optional)', 'e.g., https://api.example.com/*')
+        );
+
+        row.append(head, fields);
+        rulesList.appendChild(row);
+    });
+}
+
+/**
+ * Validate the edited rules
+ * @returns {string|null} - Error message for the first invalid rule, or null
+ */
+function validateRules() {
+    for (let i = 0; i < detectionRules.length; i++) {
+        const rule = detectionRules[i];
+        const name = `Rule ${i + 1}`;
+
+        const location = rule.location || 'header';
+
+        if (!rule.header || !rule.header.trim()) {
+            return `${name}: ${RULE_LOCATIONS[location].nameCaption.toLowerCase()} name is required`;
+        }
+
+        if (location === 'header' && !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(rule.header.trim())) {
+            return `${name}: "${rule.header}" is not a valid header name`;
+        }
+
+        if (rule.pattern) {
+            try {
+                // Matching the empty alternative reveals the number of groups
+                const groups = new RegExp(`${rule.pattern}|`).exec('').length - 1;
+                if (groups < 1) {
+                    return `${name}: regex needs a capture group around the token`;
+                }
+            } catch (error) {
+                return `${name}: invalid regex (${error.message})`;
+            }
+        }
+
+        const regexUrl = (rule.urlPattern || '').match(/^\/(.+)\/$/);
+        if (regexUrl) {
+            try {
+                new RegExp(regexUrl[1]);
+            } catch (error) {
+                return `${name}: invalid URL regex (${error.message})`;
+            }
+        }
+    }
+
+    return null;
+}
+
+// ============================================================================
+// URL SCOPE
+// ============================================================================
+
+/**
+ * Split a pattern list textarea into its non-empty lines
+ * @param {HTMLTextAreaElement} textarea - Pattern list input
+ * @returns {Array} - Trimmed patterns
+ */
+function parsePatternList(textarea) {
+    return textarea.value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Check the /regex/ entries of a pattern list
+ * @param {string} list - Name of the list, for the error message
+ * @param {Array} patterns - Host, path or regex patterns
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validatePatternList(list, patterns) {
+    for (const pattern of patterns) {
+        const regex = pattern.match(/^\/(.+)\/$/);
+        if (!regex) continue;
+
+        try {
+            new RegExp(regex[1]);
+        } catch (error) {
+            return `${list}: invalid regex ${pattern} (${error.message})`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate the allow and deny lists
+ * @param {Object} urlScope - { allow, deny, firstPartyOnly }
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateUrlScope(urlScope) {
+    return validatePatternList('Allow list', urlScope.allow) || validatePatternList('Deny list', urlScope.deny);
+}
+
+// ============================================================================
+// TOKEN TEST
+// ============================================================================
+
+/**
+ * Validate the token test health URLs
+ * @param {Array} probeUrls - Absolute http(s) URLs or paths starting with /
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateProbeUrls(probeUrls) {
+    for (const entry of probeUrls) {
+        if (entry.startsWith('/')) continue;
+
+        let url = null;
+        try {
+            url = new URL(entry);
+        } catch (error) {
+            // Reported below
+        }
+
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            return `Health URLs: ${entry} is neither an http(s) URL nor a /path`;
+        }
+    }
+
+    return null;
+}
+
+// ============================================================================
+// IMPORT & EXPORT
+// ============================================================================
+
+/**
+ * List the problems of a rejected settings file
+ * @param {Array} errors - Error messages (empty hides the list)
+ */
+function renderImportErrors(errors) {
+    importErrors.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        importErrors.appendChild(item);
+    });
+    importErrors.classList.toggle('hidden', errors.length === 0);
+}
+
+/**
+ * Import a settings file picked by the user
+ * @param {File} file - Selected file
+ */
+async function importSettings(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        renderImportErrors([`${file.name} is not valid JSON (${error.message})`]);
+        showSaveStatus(`${file.name} was not imported`, 'error');
+        return;
+    }
+
+    const response = await chrome.runtime.sendMessage({ type: 'IMPORT_SETTINGS', file: data });
+    if (!response.success) {
+        renderImportErrors(response.errors);
+        showSaveStatus(`${file.name} was not imported`, 'error');
+        return;
+    }
+
+    renderImportErrors([]);
+    await loadSettings();
+    showSaveStatus('✅ Settings imported!', 'success');
+}
+
+// ============================================================================
+// UI HELPERS
+// ============================================================================
+
+/**
+ * Clamp a max tokens value to the allowed range
+ */
+function clampMaxTokens(value) {
+    return Math.min(maxTokensLimit, Math.max(1, parseInt(value, 10) || 1));
 }
 
 /**
@@ -106,17 +615,65 @@ function showSaveStatus(message, type = 'success') {
 // EVENT HANDLERS
 // ============================================================================
 
-// Token type radio change - toggle custom header input
-document.querySelectorAll('input[name="tokenType"]').forEach(radio => {
-    radio.addEventListener('change', (e) => {
-        toggleCustomHeader(e.target.value === 'custom');
+// Add an empty rule
+addRuleBtn.addEventListener('click', () => {
+    detectionRules.push({
+        id: createRuleId(),
+        enabled: true,
+        label: '',
+        header: '',
+        pattern: '(.+)',
+        urlPattern: ''
     });
+    renderRules();
+    rulesList.querySelector('.rule-row:last-child input[data-field="label"]').focus();
+});
+
+// Add a rule from a preset
+rulePresetSelect.addEventListener('change', () => {
+    const preset = rulePresets[rulePresetSelect.value];
+    rulePresetSelect.value = '';
+    if (!preset) return;
+
+    detectionRules.push({ id: createRuleId(), enabled: true, ...preset });
+    renderRules();
+});
+
+// Profile select - edit another profile
+profileSelect.addEventListener('change', () => {
+    selectProfileToEdit(profileSelect.value);
+});
+
+// New profile button - copy the profile being edited
+newProfileBtn.addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({
+        type: 'CREATE_PROFILE',
+        name: `Profile ${profiles.length + 1}`,
+        fromProfileId: currentProfileId
+    });
+    if (!response.success) {
+        showSaveStatus(response.error, 'error');
+        return;
+    }
+
+    await selectProfileToEdit(response.profileId);
+    profileNameInput.select();
+});
+
+// Delete profile button
+deleteProfileBtn.addEventListener('click', () => {
+    showConfirmModal('deleteProfile');
+});
+
+// Minimum confidence slider change - update display value
+minConfidenceSlider.addEventListener('input', () => {
+    minConfidenceValue.textContent = `${minConfidenceSlider.value}%`;
 });
 
 // Max tokens slider change - update display value
 maxTokensSlider.addEventListener('input', (e) => {
-    // Enforce 1-5 range (redundant with HTML but explicit)
-    const value = Math.min(5, Math.max(1, parseInt(e.target.value, 10)));
+    // Enforce 1-50 range (redundant with HTML but explicit)
+    const value = clampMaxTokens(e.target.value);
     maxTokensValue.textContent = value;
 });
 
@@ -125,31 +682,105 @@ settingsForm.addEventListener('submit', async (e) => {
     e.preventDefault();
 
     // Gather form data
-    const tokenType = document.querySelector('input[name="tokenType"]:checked').value;
-    const tokenSource = document.querySelector('input[name="tokenSource"]:checked').value;
+    const tokenSources = {};
+    document.querySelectorAll('input[name="tokenSources"]').forEach(checkbox => {
+        tokenSources[checkbox.value] = checkbox.checked;
+    });
 
-    // Enforce max tokens range (1-5)
-    let maxTokens = parseInt(maxTokensSlider.value, 10);
-    if (maxTokens > 5) maxTokens = 5;
-    if (maxTokens < 1) maxTokens = 1;
+    // Enforce max tokens range (1-50)
+    const maxTokens = clampMaxTokens(maxTokensSlider.value);
 
     const settings = {
-        tokenType: tokenType,
-        customHeaderName: tokenType === 'custom' ? customHeaderInput.value.trim() : '',
-        tokenSource: tokenSource,
+        detectionRules: detectionRules.map(rule => ({
+            ...rule,
+            label: (rule.label || '').trim(),
+            header: (rule.header || '').trim(),
+            urlPattern: (rule.urlPattern || '').trim()
+        })),
+        tokenSources: tokenSources,
+        minConfidence: Number(minConfidenceSlider.value),
+        urlScope: {
+            allow: parsePatternList(scopeAllowInput),
+            deny: parsePatternList(scopeDenyInput),
+            firstPartyOnly: firstPartyOnlyCheckbox.checked
+        },
+        probeUrls: parsePatternList(probeUrlsInput),
         maxTokens: maxTokens,
-        autoCleanup: autoCleanupCheckbox.checked
+        evictionPolicy: document.querySelector('input[name="evictionPolicy"]:checked').value,
+        sessionScope: document.querySelector('input[name="sessionScope"]:checked').value,
+        keepOnNavigation: keepOnNavigationCheckbox.checked,
+        showBadge: showBadgeCheckbox.checked,
+        notifications: notificationsCheckbox.checked,
+        autoCleanup: autoCleanupCheckbox.checked,
+        vaultAutoLockMinutes: Number(vaultAutoLockInput.value)
     };
 
-    // Validate custom header name if custom type selected
-    if (tokenType === 'custom' && !settings.customHeaderName) {
-        showSaveStatus('Please enter a custom header name', 'error');
-        customHeaderInput.focus();
+    // Validate vault auto-lock delay
+    if (!Number.isInteger(settings.vaultAutoLockMinutes) ||
+        settings.vaultAutoLockMinutes < 0 ||
+        settings.vaultAutoLockMinutes > MAX_VAULT_AUTO_LOCK_MINUTES) {
+        showSaveStatus(`Auto-lock must be a whole number of minutes (0-${MAX_VAULT_AUTO_LOCK_MINUTES})`, 'error');
+        return;
+    }
+
+    // At least one source is needed to detect anything
+    if (!Object.values(tokenSources).some(Boolean)) {
+        showSaveStatus('Please enable at least one token source', 'error');
+        return;
+    }
+
+    // Validate detection rules
+    const ruleError = validateRules();
+    if (ruleError) {
+        showSaveStatus(ruleError, 'error');
         return;
     }
 
+    // Validate URL scope patterns
+    const scopeError = validateUrlScope(settings.urlScope);
+    if (scopeError) {
+        showSaveStatus(scopeError, 'error');
+        return;
+    }
+
+    // Validate token test health URLs
+    const probeError = validateProbeUrls(settings.probeUrls);
+    if (probeError) {
+        showSaveStatus(probeError, 'error');
+        return;
+    }
+
+    // Validate the name and origin patterns of a named profile
+    const profile = {
+        name: profileNameInput.value.trim(),
+        origins: parsePatternList(profileOriginsInput)
+    };
+    if (currentProfileId !== defaultProfileId) {
+        if (!profile.name) {
+            showSaveStatus('Please enter a profile name', 'error');
+            return;
+        }
+
+        const originsError = validatePatternList('Profile origins', profile.origins);
+        if (originsError) {
+            showSaveStatus(originsError, 'error');
+            return;
+        }
+    }
+
     try {
-        await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', settings: settings });
+        const response = await chrome.runtime.sendMessage({
+            type: 'SAVE_SETTINGS',
+            settings: settings,
+            profileId: currentProfileId,
+            profile: currentProfileId !== defaultProfileId ? profile : undefined
+        });
+        if (!response.success) {
+            showSaveStatus(response.error, 'error');
+            return;
+        }
+
+        await loadProfiles();
         showSaveStatus('✅ Settings saved!', 'success');
     } catch (error) {
         console.error('Error saving settings:', error);
@@ -157,9 +788,33 @@ settingsForm.addEventListener('submit', async (e) => {
     }
 });
 
+// Export settings button - download the saved settings
+exportSettingsBtn.addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ type: 'EXPORT_SETTINGS' });
+    downloadFile(`token-extractor-settings-${new Date().toISOString().slice(0, 10)}.json`,
+        JSON.stringify(response.file, null, 2), 'application/json');
+});
+
+// Import settings button - pick a settings file
+importSettingsBtn.addEventListener('click', () => {
+    importSettingsFile.value = '';
+    importSettingsFile.click();
+});
+
+importSettingsFile.addEventListener('change', () => {
+    if (importSettingsFile.files.length > 0) {
+        importSettings(importSettingsFile.files[0]);
+    }
+});
+
 // Clear data now button
 clearNowBtn.addEventListener('click', () => {
-    showConfirmModal();
+    showConfirmModal('clear');
+});
+
+// Delete vault button
+deleteVaultBtn.addEventListener('click', () => {
+    showConfirmModal('deleteVault');
 });
 
 // ============================================================================
@@ -172,8 +827,15 @@ const modalConfirm = document.getElementById('modalConfirm');
 
 /**
  * Show the custom confirmation modal
+ * @param {string} action - Key of CONFIRM_ACTIONS
  */
-function showConfirmModal() {
+function showConfirmModal(action) {
+    const { title, message, confirmLabel } = CONFIRM_ACTIONS[action];
+
+    pendingConfirmAction = action;
+    confirmModal.querySelector('.modal-title').textContent = title;
+    confirmModal.querySelector('.modal-message').textContent = message;
+    modalConfirm.textContent = confirmLabel;
     confirmModal.classList.remove('hidden');
 }
 
@@ -189,11 +851,16 @@ modalCancel.addEventListener('click', () => {
     hideConfirmModal();
 });
 
-// Confirm button - clear data and close modal
+// Confirm button - run the pending action and close modal
 modalConfirm.addEventListener('click', async () => {
+    const action = CONFIRM_ACTIONS[pendingConfirmAction];
+
     try {
-        await chrome.runtime.sendMessage({ type: 'CLEAR_DATA' });
-        showSaveStatus('✅ All data cleared!', 'success');
+        await chrome.runtime.sendMessage({ type: action.messageType, ...(action.payload ? action.payload() : {}) });
+        showSaveStatus(action.done, 'success');
+        if (action.after) {
+            await action.after();
+        }
     } catch (error) {
         console.error('Error clearing data:', error);
         showSaveStatus('Error clearing data', 'error');
@@ -0,0 +1,130 @@
+/**
+ * Toolbar badge and notifications about captured tokens
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails, updateSettings } from './helpers/chrome-mock.js';
+import { BADGE_COLORS, RULE_PRESETS } from '../lib/constants.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+
+/**
+ * Build an unsigned JWT expiring at the given time
+ */
+function jwtExpiringAt(seconds) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'none' })}.${encode({ sub: 'qa', exp: seconds })}.`;
+}
+
+/**
+ * Wait for the badge updates started by the worker
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Send a bearer token from the app tab
+ */
+async function sendBearer(worker, token, requestId = '1') {
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id, url: 'https://api.example.com/v1/me', value: `Bearer ${token}`, requestId
+  }));
+  await settle();
+}
+
+test('the badge counts the active tab tokens and turns red once one expires', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+
+  await sendBearer(worker, 'opaque-bearer-token');
+  assert.deepEqual(browser.badges.get(APP_TAB.id), {
+    text: '1', color: BADGE_COLORS.normal, title: 'API Token Extractor: 1 token'
+  });
+
+  await sendBearer(worker, jwtExpiringAt(Math.floor(Date.now() / 1000) - 60), '2');
+  assert.equal(browser.badges.get(APP_TAB.id).text, '2');
+  assert.equal(browser.badges.get(APP_TAB.id).color, BADGE_COLORS.expired);
+  assert.equal(browser.badges.get(APP_TAB.id).title, 'API Token Extractor: 2 tokens, 1 expired');
+});
+
+test('a rotated token colors the badge and a future expiry schedules a refresh', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  await updateSettings(worker, { maxTokens: 1, evictionPolicy: 'keep-latest' });
+  const expiry = Math.floor(Date.now() / 1000) + 3600;
+
+  await sendBearer(worker, 'first-bearer-token');
+  await sendBearer(worker, jwtExpiringAt(expiry), '2');
+
+  assert.equal(browser.badges.get(APP_TAB.id).color, BADGE_COLORS.rotated);
+  assert.equal(browser.alarms.get('badge-expiry').when, expiry * 1000 + 1000);
+});
+
+test('a captured token only updates the badge of its own tab', async () => {
+  const DOCS_TAB = { id: 2, url: 'https://docs.example.com/', title: 'Docs' };
+  const browser = createBrowser({ tabs: [APP_TAB, DOCS_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  await worker.chrome.tabs.onUpdated.dispatch(DOCS_TAB.id, { title: 'Docs' }, DOCS_TAB);
+  await settle();
+  browser.badges.delete(DOCS_TAB.id);
+
+  await sendBearer(worker, 'opaque-bearer-token');
+  await worker.chrome.webRequest.onCompleted.dispatch({ requestId: '1', statusCode: 200 });
+  await settle();
+
+  assert.equal(browser.badges.get(APP_TAB.id).text, '1');
+  assert.equal(browser.badges.has(DOCS_TAB.id), false);
+});
+
+test('the badge can be turned off', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  await updateSettings(worker, { showBadge: false });
+
+  await sendBearer(worker, 'opaque-bearer-token');
+
+  assert.equal(browser.badges.get(APP_TAB.id).text, '');
+});
+
+test('watched rules notify about new and changed tokens without revealing them', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  await updateSettings(worker, {
+    notifications: true,
+    detectionRules: [
+      { id: 'bearer', enabled: true, ...RULE_PRESETS.bearer, notify: true },
+      { id: 'apiKey', enabled: true, ...RULE_PRESETS.apiKey }
+    ]
+  });
+
+  await sendBearer(worker, 'first-bearer-token');
+  assert.deepEqual(browser.notifications.get('token-rule-bearer'), {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'New Bearer token',
+    message: 'firs…oken sent to api.example.com',
+    priority: 0
+  });
+
+  await sendBearer(worker, 'second-bearer-token', '2');
+  assert.equal(browser.notifications.get('token-rule-bearer').title, 'Bearer token changed');
+
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id, url: 'https://api.example.com/', header: 'X-API-Key', value: 'unwatched-api-key', requestId: '3'
+  }));
+  assert.deepEqual(Array.from(browser.notifications.keys()), ['token-rule-bearer']);
+});
+
+test('notifications stay off until enabled', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  await updateSettings(worker, {
+    detectionRules: [{ id: 'bearer', enabled: true, ...RULE_PRESETS.bearer, notify: true }]
+  });
+
+  await sendBearer(worker, 'first-bearer-token');
+
+  assert.equal(browser.notifications.size, 0);
+});
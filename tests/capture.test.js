@@ -0,0 +1,58 @@
+/**
+ * Issued token capture: Set-Cookie headers and OIDC redirect fragments
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker } from './helpers/chrome-mock.js';
+import { parseSetCookie } from '../lib/issued-tokens.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+
+/**
+ * Start a worker on a single-tab browser
+ */
+async function startAppWorker() {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  return { browser, worker: await startWorker(browser) };
+}
+
+test('Set-Cookie headers are split into name and value', () => {
+  assert.deepEqual(parseSetCookie('sid=abc=def; Path=/; HttpOnly'), { name: 'sid', value: 'abc=def' });
+  assert.equal(parseSetCookie('=novalue; Path=/'), null);
+});
+
+test('token cookies are captured as they are set', async () => {
+  const { worker } = await startAppWorker();
+
+  await worker.chrome.webRequest.onHeadersReceived.dispatch({
+    requestId: '1',
+    tabId: APP_TAB.id,
+    url: 'https://app.example.com/login',
+    responseHeaders: [
+      { name: 'Set-Cookie', value: 'session_token=set-cookie-session-value; Path=/; HttpOnly\ntheme=dark' },
+      { name: 'Content-Type', value: 'text/html' }
+    ]
+  });
+
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(tokens.map(item => [item.token, item.source, item.headerPrefix]), [
+    ['set-cookie-session-value', 'set-cookie', 'session_token=']
+  ]);
+});
+
+test('tokens in a redirect fragment are captured as one grant', async () => {
+  const { browser, worker } = await startAppWorker();
+  const url = 'https://app.example.com/callback#access_token=fragment-access&id_token=fragment-id&expires_in=300';
+  const tab = { ...APP_TAB, url: url };
+  browser.tabs.set(APP_TAB.id, tab);
+
+  await worker.chrome.tabs.onUpdated.dispatch(APP_TAB.id, { url: url }, tab);
+
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(tokens.map(item => [item.token, item.tokenRole, item.url]), [
+    ['fragment-access', 'access', 'https://app.example.com/callback'],
+    ['fragment-id', 'id', 'https://app.example.com/callback']
+  ]);
+  assert.equal(tokens[0].grantId, tokens[1].grantId);
+});
@@ -0,0 +1,68 @@
+/**
+ * Keyboard commands: copying the latest token without opening the popup
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails, updateSettings } from './helpers/chrome-mock.js';
+import { copyLatestToken } from '../lib/commands.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+
+/**
+ * Start a worker that captured two bearer tokens, the second one last
+ */
+async function startCapturingWorker() {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+
+  for (const [index, token] of ['first-token', 'second-token'].entries()) {
+    await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+      tabId: APP_TAB.id, url: 'https://api.example.com/', value: `Bearer ${token}`, requestId: String(index)
+    }));
+  }
+
+  return { browser, worker };
+}
+
+test('the copy command puts the latest token on the clipboard', async () => {
+  const { browser, worker } = await startCapturingWorker();
+
+  await worker.chrome.commands.onCommand.dispatch('copy-latest-token');
+  assert.equal(browser.clipboard, 'second-token');
+  // The copy happens in the extension's offscreen document, not in the page
+  assert.equal(browser.offscreenDocument, 'offscreen.html');
+  assert.equal(browser.pages.has(APP_TAB.id), false);
+
+  // Sending a token again, a moment later, makes it the latest one
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id, url: 'https://api.example.com/', value: 'Bearer first-token', requestId: '3'
+  }));
+  await worker.chrome.commands.onCommand.dispatch('copy-latest-token');
+  assert.equal(browser.clipboard, 'first-token');
+});
+
+test('tokens below the minimum confidence are not copied', async () => {
+  const { browser, worker } = await startCapturingWorker();
+  await updateSettings(worker, { minConfidence: 90 });
+
+  assert.deepEqual(await copyLatestToken(), { success: false, error: 'No token captured in the active tab' });
+  assert.equal(browser.clipboard, null);
+});
+
+test('a failed copy is reported in a notification', async () => {
+  const { browser, worker } = await startCapturingWorker();
+  browser.clipboardBlocked = true;
+
+  await worker.chrome.commands.onCommand.dispatch('copy-latest-token');
+  assert.equal(browser.clipboard, null);
+  assert.deepEqual(
+    [browser.notifications.get('copy-latest-token').title, browser.notifications.get('copy-latest-token').message],
+    ['Could not copy the latest token', 'The browser refused clipboard access']
+  );
+
+  await updateSettings(worker, { minConfidence: 90 });
+  await worker.chrome.commands.onCommand.dispatch('copy-latest-token');
+  assert.equal(browser.notifications.get('copy-latest-token').message, 'No token captured in the active tab');
+});
@@ -0,0 +1,53 @@
+/**
+ * Cookie inspector: attributes and security warnings of token cookies
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker } from './helpers/chrome-mock.js';
+import { describeCookie } from '../lib/cookies.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+
+// Attributes of a well-protected cookie, as chrome.cookies reports them
+const COOKIE = {
+  domain: 'app.example.com',
+  path: '/',
+  hostOnly: true,
+  httpOnly: true,
+  secure: true,
+  sameSite: 'lax',
+  session: false,
+  expirationDate: 1798675200.5
+};
+
+test('INSPECT_COOKIES lists token cookies with attributes, weakest first', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  browser.cookies.push(
+    { ...COOKIE, name: 'session_id', value: 'strong-session-value' },
+    { ...COOKIE, name: 'auth_token', value: 'weak-auth-token-value', httpOnly: false, sameSite: 'no_restriction', session: true },
+    { ...COOKIE, name: 'theme', value: 'dark-high-contrast' },
+    { ...COOKIE, name: 'embed_sid', value: 'partitioned-sid-value', partitionKey: { topLevelSite: 'https://example.com' } }
+  );
+  const worker = await startWorker(browser);
+
+  const response = await worker.sendMessage({ type: 'INSPECT_COOKIES' });
+
+  assert.equal(response.success, true);
+  assert.equal(response.url, APP_TAB.url);
+  assert.deepEqual(response.cookies.map(cookie => [cookie.name, cookie.warnings.map(warning => warning.id)]), [
+    ['auth_token', ['httpOnly', 'sameSite']],
+    ['embed_sid', []],
+    ['session_id', []]
+  ]);
+  assert.equal(response.cookies[0].expiresAt, null);
+  assert.equal(response.cookies[1].partitionKey, 'https://example.com');
+  assert.equal(response.cookies[2].expiresAt, 1798675200500);
+});
+
+test('session-like cookies without Secure are flagged', () => {
+  const cookie = describeCookie({ ...COOKIE, name: 'sid', value: 'plain-http-session', secure: false, sameSite: undefined });
+
+  assert.equal(cookie.sameSite, 'unspecified');
+  assert.deepEqual(cookie.warnings, [{ id: 'secure', message: 'Missing Secure: sent over plain HTTP' }]);
+});
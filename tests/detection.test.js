@@ -0,0 +1,81 @@
+/**
+ * Header detection rules
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyRule, extractTokensFromHeaders, matchesUrlPattern } from '../lib/detection.js';
+import { DEFAULT_SETTINGS, RULE_PRESETS } from '../lib/constants.js';
+
+/**
+ * Settings using the given detection rules
+ */
+function withRules(...rules) {
+  return { ...DEFAULT_SETTINGS, detectionRules: rules };
+}
+
+test('URL patterns are globs, slash-wrapped regexes or empty', () => {
+  assert.equal(matchesUrlPattern('https://api.example.com/v1/me', ''), true);
+  assert.equal(matchesUrlPattern('https://api.example.com/v1/me', 'https://api.example.com/*'), true);
+  assert.equal(matchesUrlPattern('https://cdn.example.com/v1/me', 'https://api.example.com/*'), false);
+  assert.equal(matchesUrlPattern('https://api.example.com/v2/me', '/\\/v[0-9]\\//'), true);
+  assert.equal(matchesUrlPattern('https://api.example.com/me', '/(unclosed/'), false);
+});
+
+test('a rule captures its first group, the whole match or the whole value', () => {
+  assert.equal(applyRule(RULE_PRESETS.bearer, 'Bearer abc.def'), 'abc.def');
+  assert.equal(applyRule(RULE_PRESETS.bearer, 'Basic dXNlcg=='), null);
+  assert.equal(applyRule({ pattern: 'sk_[a-z]+' }, 'key=sk_live'), 'sk_live');
+  assert.equal(applyRule({ pattern: '' }, 'raw-value'), 'raw-value');
+});
+
+test('headers are matched case-insensitively and keep their prefix', () => {
+  const settings = withRules({ id: 'bearer', enabled: true, ...RULE_PRESETS.bearer });
+  const matches = extractTokensFromHeaders(
+    [{ name: 'authorization', value: 'Bearer token-value' }],
+    'https://api.example.com/',
+    settings
+  );
+
+  assert.deepEqual(matches, [{
+    token: 'token-value',
+    ruleId: 'bearer',
+    ruleLabel: 'Bearer',
+    headerName: 'authorization',
+    headerPrefix: 'Bearer '
+  }]);
+});
+
+test('disabled rules and rules for other URLs are skipped', () => {
+  const settings = withRules(
+    { id: 'bearer', enabled: false, ...RULE_PRESETS.bearer },
+    { id: 'apiKey', enabled: true, ...RULE_PRESETS.apiKey, urlPattern: 'https://internal.example.com/*' }
+  );
+  const headers = [
+    { name: 'Authorization', value: 'Bearer token-value' },
+    { name: 'X-API-Key', value: 'key-value' }
+  ];
+
+  assert.deepEqual(extractTokensFromHeaders(headers, 'https://api.example.com/', settings), []);
+  assert.deepEqual(
+    extractTokensFromHeaders(headers, 'https://internal.example.com/x', settings).map(match => match.token),
+    ['key-value']
+  );
+});
+
+test('matches follow the configured rule order', () => {
+  const settings = withRules(
+    { id: 'apiKey', enabled: true, ...RULE_PRESETS.apiKey },
+    { id: 'bearer', enabled: true, ...RULE_PRESETS.bearer }
+  );
+  const headers = [
+    { name: 'Authorization', value: 'Bearer token-value' },
+    { name: 'X-API-Key', value: 'key-value' }
+  ];
+
+  assert.deepEqual(
+    extractTokensFromHeaders(headers, 'https://api.example.com/', settings).map(match => match.ruleId),
+    ['apiKey', 'bearer']
+  );
+  assert.deepEqual(extractTokensFromHeaders(undefined, 'https://api.example.com/', settings), []);
+});
@@ -0,0 +1,410 @@
+/**
+ * In-memory fake of the chrome.* APIs used by the background worker
+ *
+ * A "browser" holds everything that outlives a service worker (tabs,
+ * storage, cookies, page storage) and answers the worker's own fetch() calls. Each startWorker() call installs a fresh
+ * fake chrome namespace over that browser, resets the worker state and
+ * starts the worker again, so calling it twice simulates MV3 stopping an
+ * idle worker and starting a new one.
+ */
+
+import { state, resetState } from '../../lib/state.js';
+import { startWorker as startBackgroundWorker } from '../../lib/worker.js';
+
+// Extension ID in the URLs of the fake extension pages
+export const EXTENSION_ID = 'apitokenextractorfakeextensionid';
+
+// ============================================================================
+// PRIMITIVES
+// ============================================================================
+
+/**
+ * Create a chrome.events.Event lookalike
+ * @returns {Object} - Event with addListener and a dispatch helper for tests
+ */
+function createEvent() {
+  const listeners = [];
+
+  return {
+    listeners: listeners,
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => listeners.splice(listeners.indexOf(listener) >>> 0, 1),
+    hasListener: (listener) => listeners.includes(listener),
+    dispatch: (...args) => Promise.all(listeners.map(listener => listener(...args)))
+  };
+}
+
+/**
+ * Create a chrome.storage area backed by a plain object
+ * @param {Object} data - Backing object, shared across worker restarts
+ * @returns {Object} - StorageArea lookalike
+ */
+function createStorageArea(data) {
+  const clone = value => (value === undefined ? value : structuredClone(value));
+
+  return {
+    get: async (keys) => {
+      if (keys === null || keys === undefined) {
+        return clone({ ...data });
+      }
+
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+
+      names.forEach(name => {
+        if (name in data) {
+          result[name] = clone(data[name]);
+        } else if (name in defaults) {
+          result[name] = defaults[name];
+        }
+      });
+
+      return result;
+    },
+    set: async (items) => {
+      Object.entries(items).forEach(([name, value]) => {
+        data[name] = clone(value);
+      });
+    },
+    remove: async (keys) => {
+      (Array.isArray(keys) ? keys : [keys]).forEach(name => delete data[name]);
+    },
+    clear: async () => {
+      Object.keys(data).forEach(name => delete data[name]);
+    }
+  };
+}
+
+/**
+ * Build a Web Storage lookalike over a plain object
+ * @param {Object} items - key/value pairs, updated by setItem and removeItem
+ * @returns {Object} - Object with length, key(), getItem(), setItem() and removeItem()
+ */
+function createWebStorage(items) {
+  return {
+    get length() {
+      return Object.keys(items).length;
+    },
+    key: (index) => Object.keys(items)[index] ?? null,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete items[key];
+    }
+  };
+}
+
+/**
+ * Check whether a cookie is sent to a URL (domain match only)
+ * @param {Object} cookie - Fake cookie
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+function cookieMatchesUrl(cookie, url) {
+  const host = new URL(url).hostname;
+  const domain = (cookie.domain || host).replace(/^\./, '');
+  return host === domain || (!cookie.hostOnly && host.endsWith(`.${domain}`));
+}
+
+/**
+ * Create a read-only IndexedDB factory backed by plain objects
+ * @param {Object} databases - { [database]: { [store]: { [key]: value } } }
+ * @returns {Object} - IDBFactory lookalike (databases, open, getAll, getAllKeys)
+ */
+function createIndexedDB(databases) {
+  // IDBRequest lookalike answering on the next microtask
+  const request = (run) => {
+    const pending = {};
+    queueMicrotask(() => {
+      pending.result = run();
+      pending.onsuccess?.();
+    });
+    return pending;
+  };
+
+  const openDatabase = (stores) => ({
+    objectStoreNames: Object.keys(stores),
+    transaction: (storeName) => ({
+      objectStore: () => ({
+        getAllKeys: () => request(() => Object.keys(stores[storeName])),
+        getAll: () => request(() => structuredClone(Object.values(stores[storeName])))
+      })
+    }),
+    close: () => {}
+  });
+
+  return {
+    databases: async () => Object.keys(databases).map(name => ({ name: name, version: 1 })),
+    open: (name) => request(() => openDatabase(databases[name]))
+  };
+}
+
+// ============================================================================
+// BROWSER & WORKER
+// ============================================================================
+
+/**
+ * Create the state that survives service worker restarts
+ * @param {Object} options - { tabs: [{ id, url, title }], activeTabId }
+ * @returns {Object} - Browser state
+ */
+export function createBrowser({ tabs = [], activeTabId = null } = {}) {
+  return {
+    tabs: new Map(tabs.map(tab => [tab.id, { ...tab }])),
+    activeTabId: activeTabId,
+    windows: [{ id: 1 }],
+    storage: { local: {}, session: {} },
+    cookies: [],
+    // declarativeNetRequest session rules
+    sessionRules: [],
+    // Page storage per tab: { localStorage: {}, sessionStorage: {}, indexedDB: {} }
+    pages: new Map(),
+    contentScripts: [],
+    alarms: new Map(),
+    sentMessages: [],
+    // Last text the offscreen document wrote to the clipboard
+    clipboard: null,
+    // URL of the open offscreen document, or null
+    offscreenDocument: null,
+    // Whether the offscreen document's copy command fails
+    clipboardBlocked: false,
+    // Toolbar badge per tab: Map<tabId, { text, color, title }>
+    badges: new Map(),
+    // Shown notifications, by notification ID
+    notifications: new Map(),
+    // Answers fetch() calls of the worker: (url, init) => Promise<Response>
+    fetch: async () => {
+      throw new TypeError('Failed to fetch');
+    }
+  };
+}
+
+/**
+ * Create a fake chrome namespace operating on a browser
+ * @param {Object} browser - Browser state from createBrowser
+ * @returns {Object} - chrome lookalike
+ */
+function createChrome(browser) {
+  return {
+    runtime: {
+      onMessage: createEvent(),
+      // Messages to the (never open) popup are recorded, then fail like
+      // a real sendMessage without receivers; the offscreen document answers
+      // its copy requests
+      sendMessage: async (message) => {
+        browser.sentMessages.push(message);
+        if (message.target === 'offscreen' && browser.offscreenDocument) {
+          if (!browser.clipboardBlocked) browser.clipboard = message.text;
+          return { success: !browser.clipboardBlocked };
+        }
+        throw new Error('Could not establish connection. Receiving end does not exist.');
+      },
+      getURL: (path = '') => `chrome-extension://${EXTENSION_ID}/${path}`,
+      getContexts: async ({ contextTypes = [] } = {}) => browser.offscreenDocument && contextTypes.includes('OFFSCREEN_DOCUMENT')
+        ? [{ contextType: 'OFFSCREEN_DOCUMENT', documentUrl: browser.offscreenDocument }]
+        : []
+    },
+    storage: {
+      local: createStorageArea(browser.storage.local),
+      session: createStorageArea(browser.storage.session)
+    },
+    tabs: {
+      onActivated: createEvent(),
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      get: async (tabId) => {
+        if (!browser.tabs.has(tabId)) {
+          throw new Error(`No tab with id: ${tabId}.`);
+        }
+        return { ...browser.tabs.get(tabId) };
+      },
+      query: async (queryInfo = {}) => {
+        const tabs = Array.from(browser.tabs.values());
+        return (queryInfo.active ? tabs.filter(tab => tab.id === browser.activeTabId) : tabs)
+          .map(tab => ({ ...tab }));
+      }
+    },
+    windows: {
+      onRemoved: createEvent(),
+      getAll: async () => browser.windows.map(win => ({ ...win }))
+    },
+    webRequest: {
+      onBeforeRequest: createEvent(),
+      onBeforeSendHeaders: createEvent(),
+      onCompleted: createEvent(),
+      onErrorOccurred: createEvent(),
+      onHeadersReceived: createEvent()
+    },
+    cookies: {
+      // Partitioned cookies are only listed when a partition key is given
+      getAll: async ({ partitionKey } = {}) => browser.cookies
+        .filter(cookie => Boolean(cookie.partitionKey) === Boolean(partitionKey))
+        .map(cookie => ({ ...cookie })),
+      get: async ({ url, name }) => {
+        const cookie = browser.cookies.find(candidate => candidate.name === name && cookieMatchesUrl(candidate, url));
+        return cookie ? { ...cookie } : null;
+      },
+      set: async ({ url, domain, ...details }) => {
+        const cookie = {
+          ...details,
+          domain: domain || new URL(url).hostname,
+          hostOnly: !domain,
+          session: !details.expirationDate
+        };
+        browser.cookies = browser.cookies
+          .filter(other => !(other.name === cookie.name && other.domain === cookie.domain && other.path === cookie.path));
+        browser.cookies.push(cookie);
+        return { ...cookie };
+      },
+      remove: async ({ url, name }) => {
+        browser.cookies = browser.cookies.filter(cookie => !(cookie.name === name && cookieMatchesUrl(cookie, url)));
+        return { url, name };
+      }
+    },
+    declarativeNetRequest: {
+      getSessionRules: async () => structuredClone(browser.sessionRules),
+      updateSessionRules: async ({ addRules = [], removeRuleIds = [] }) => {
+        browser.sessionRules = browser.sessionRules
+          .filter(rule => !removeRuleIds.includes(rule.id))
+          .concat(structuredClone(addRules));
+      }
+    },
+    scripting: {
+      // Run the injected function against the tab's fake page storage
+      executeScript: async ({ target, func, args = [] }) => {
+        const page = browser.pages.get(target.tabId) || {};
+        page.localStorage = page.localStorage || {};
+        page.sessionStorage = page.sessionStorage || {};
+        browser.pages.set(target.tabId, page);
+
+        globalThis.window = {
+          localStorage: createWebStorage(page.localStorage || {}),
+          sessionStorage: createWebStorage(page.sessionStorage || {}),
+          indexedDB: createIndexedDB(page.indexedDB || {})
+        };
+
+        // Like Chrome, wait for scripts that return a promise
+        try {
+          return [{ result: await func(...args) }];
+        } finally {
+          delete globalThis.window;
+        }
+      },
+      getRegisteredContentScripts: async ({ ids } = {}) => browser.contentScripts
+        .filter(script => !ids || ids.includes(script.id)),
+      registerContentScripts: async (scripts) => {
+        browser.contentScripts.push(...scripts);
+      },
+      unregisterContentScripts: async ({ ids } = {}) => {
+        browser.contentScripts = browser.contentScripts.filter(script => ids && !ids.includes(script.id));
+      }
+    },
+    commands: {
+      onCommand: createEvent()
+    },
+    action: {
+      setBadgeText: async ({ tabId, text }) => {
+        browser.badges.set(tabId, { ...browser.badges.get(tabId), text });
+      },
+      setBadgeBackgroundColor: async ({ tabId, color }) => {
+        browser.badges.set(tabId, { ...browser.badges.get(tabId), color });
+      },
+      setTitle: async ({ tabId, title }) => {
+        browser.badges.set(tabId, { ...browser.badges.get(tabId), title });
+      }
+    },
+    offscreen: {
+      createDocument: async ({ url }) => {
+        if (browser.offscreenDocument) {
+          throw new Error('Only a single offscreen document may be created.');
+        }
+        browser.offscreenDocument = url;
+      }
+    },
+    notifications: {
+      create: async (notificationId, options) => {
+        browser.notifications.set(notificationId, { ...options });
+        return notificationId;
+      }
+    },
+    alarms: {
+      onAlarm: createEvent(),
+      create: (name, info) => {
+        browser.alarms.set(name, info);
+      },
+      get: async (name) => browser.alarms.has(name)
+        ? { name: name, scheduledTime: browser.alarms.get(name).when }
+        : undefined,
+      clear: async (name) => browser.alarms.delete(name)
+    }
+  };
+}
+
+/**
+ * Start a background worker against a browser
+ * @param {Object} browser - Browser state from createBrowser
+ * @returns {Promise<Object>} - { chrome, sendMessage }
+ */
+export async function startWorker(browser) {
+  const chrome = createChrome(browser);
+
+  globalThis.chrome = chrome;
+  globalThis.fetch = (url, init) => browser.fetch(url, init);
+  resetState();
+
+  // Keep the worker's startup log out of the test output
+  const log = console.log;
+  console.log = () => {};
+  try {
+    startBackgroundWorker();
+  } finally {
+    console.log = log;
+  }
+
+  // Wait for the state restore the worker starts with
+  await state.stateReady;
+
+  return {
+    chrome: chrome,
+    // Responses are JSON-serialized like real extension messages
+    sendMessage: (message, sender = {}) => new Promise(resolve => {
+      chrome.runtime.onMessage.dispatch(message, sender, response => {
+        resolve(response === undefined ? undefined : JSON.parse(JSON.stringify(response)));
+      });
+    })
+  };
+}
+
+/**
+ * Save settings through the worker, starting from the current ones
+ * @param {Object} worker - Worker from startWorker
+ * @param {Object} changes - Settings fields to change
+ * @returns {Promise<Object>} - Saved settings
+ */
+export async function updateSettings(worker, changes) {
+  const { settings } = await worker.sendMessage({ type: 'GET_SETTINGS' });
+  const updated = { ...settings, ...changes };
+
+  await worker.sendMessage({ type: 'SAVE_SETTINGS', settings: updated });
+  return updated;
+}
+
+/**
+ * Build onBeforeSendHeaders details for a request carrying a header
+ * @param {Object} options - { tabId, url, header, value, requestId, method }
+ * @returns {Object} - webRequest details
+ */
+export function requestDetails({ tabId, url, header = 'Authorization', value, requestId = '1', method = 'GET' }) {
+  return {
+    requestId: requestId,
+    tabId: tabId,
+    url: url,
+    method: method,
+    type: 'xmlhttprequest',
+    timeStamp: Date.now(),
+    requestHeaders: [{ name: header, value: value }]
+  };
+}
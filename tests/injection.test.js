@@ -0,0 +1,125 @@
+/**
+ * Injecting captured tokens into other tabs and reverting them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails } from './helpers/chrome-mock.js';
+import { BADGE_COLORS } from '../lib/constants.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+const DOCS_TAB = { id: 2, url: 'http://localhost:8080/swagger', title: 'Swagger UI' };
+
+/**
+ * Start a worker that captured a bearer token in the app tab
+ */
+async function startWithToken() {
+  const browser = createBrowser({ tabs: [APP_TAB, DOCS_TAB], activeTabId: APP_TAB.id });
+  browser.pages.set(DOCS_TAB.id, { localStorage: { access_token: 'old-docs-token' }, sessionStorage: {} });
+  const worker = await startWorker(browser);
+
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id, url: 'https://api.example.com/v1/me', value: 'Bearer captured-app-token'
+  }));
+  const { sessionKey } = await worker.sendMessage({ type: 'GET_TOKENS' });
+
+  return { browser, worker, sessionKey };
+}
+
+/**
+ * Inject the captured token into the docs tab
+ */
+function inject(worker, sessionKey, target) {
+  return worker.sendMessage({
+    type: 'INJECT_TOKEN', sessionKey: sessionKey, token: 'captured-app-token', target: { tabId: DOCS_TAB.id, ...target }
+  });
+}
+
+test('a storage injection is shown on the badge and reverted to the old value', async () => {
+  const { browser, worker, sessionKey } = await startWithToken();
+
+  const response = await inject(worker, sessionKey, { type: 'localStorage', key: 'access_token' });
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert.equal(response.success, true);
+  assert.equal(browser.pages.get(DOCS_TAB.id).localStorage.access_token, 'captured-app-token');
+  assert.deepEqual(response.injections.map(item => [item.type, item.key, item.preview, item.tabTitle]), [
+    ['localStorage', 'access_token', 'capt…oken', 'Swagger UI']
+  ]);
+  assert.equal(response.injections[0].previous, undefined);
+  assert.deepEqual(browser.badges.get(DOCS_TAB.id), {
+    text: '💉', color: BADGE_COLORS.injected, title: 'API Token Extractor: 1 token injected'
+  });
+
+  // Injecting twice still reverts to the page's own value
+  await inject(worker, sessionKey, { type: 'localStorage', key: 'access_token' });
+  const reverted = await worker.sendMessage({ type: 'REVERT_INJECTION', id: response.injection.id });
+  const { injections } = await worker.sendMessage({ type: 'GET_INJECTIONS' });
+
+  assert.equal(reverted.success, true);
+  assert.equal(injections.length, 1);
+  await worker.sendMessage({ type: 'REVERT_INJECTION', id: injections[0].id });
+  assert.equal(browser.pages.get(DOCS_TAB.id).localStorage.access_token, 'old-docs-token');
+  assert.deepEqual((await worker.sendMessage({ type: 'GET_INJECTIONS' })).injections, []);
+});
+
+test('header injections add a session rule for the tab until reverted', async () => {
+  const { browser, worker, sessionKey } = await startWithToken();
+
+  await inject(worker, sessionKey, {
+    type: 'header', key: 'Authorization', prefix: 'Bearer ', urlFilter: '||localhost:8080/'
+  });
+
+  assert.equal(browser.sessionRules.length, 1);
+  assert.deepEqual(browser.sessionRules[0].action.requestHeaders, [
+    { header: 'Authorization', operation: 'set', value: 'Bearer captured-app-token' }
+  ]);
+  assert.deepEqual(browser.sessionRules[0].condition.tabIds, [DOCS_TAB.id]);
+  assert.equal(browser.sessionRules[0].condition.urlFilter, '||localhost:8080/');
+
+  await worker.sendMessage({ type: 'REVERT_INJECTION' });
+  assert.deepEqual(browser.sessionRules, []);
+});
+
+test('cookie injections are removed again when their tab closes', async () => {
+  const { browser, worker, sessionKey } = await startWithToken();
+
+  await inject(worker, sessionKey, { type: 'cookie', key: 'session_token' });
+  assert.deepEqual(browser.cookies.map(cookie => [cookie.name, cookie.value, cookie.domain, cookie.secure]), [
+    ['session_token', 'captured-app-token', 'localhost', false]
+  ]);
+
+  browser.tabs.delete(DOCS_TAB.id);
+  await worker.chrome.tabs.onRemoved.dispatch(DOCS_TAB.id, { windowId: 1, isWindowClosing: false });
+
+  assert.deepEqual(browser.cookies, []);
+  assert.deepEqual((await worker.sendMessage({ type: 'GET_INJECTIONS' })).injections, []);
+});
+
+test('injections are reverted when the last window closes', async () => {
+  const { browser, worker, sessionKey } = await startWithToken();
+
+  await inject(worker, sessionKey, { type: 'cookie', key: 'session_token' });
+  await inject(worker, sessionKey, { type: 'header', key: 'Authorization', urlFilter: '||localhost:8080/' });
+
+  browser.windows = [];
+  await worker.chrome.windows.onRemoved.dispatch(1);
+
+  assert.deepEqual(browser.cookies, []);
+  assert.deepEqual(browser.sessionRules, []);
+  assert.deepEqual(browser.storage.session, {});
+});
+
+test('only captured tokens can be injected, and not on behalf of pages', async () => {
+  const { worker, sessionKey } = await startWithToken();
+
+  const unknown = await worker.sendMessage({
+    type: 'INJECT_TOKEN', sessionKey: sessionKey, token: 'made-up-token', target: { type: 'cookie', tabId: DOCS_TAB.id, key: 'sid' }
+  });
+  const fromPage = await worker.sendMessage({
+    type: 'INJECT_TOKEN', sessionKey: sessionKey, token: 'captured-app-token', target: { type: 'cookie', tabId: DOCS_TAB.id, key: 'sid' }
+  }, { tab: { id: APP_TAB.id } });
+  const noKey = await inject(worker, sessionKey, { type: 'sessionStorage', key: ' ' });
+
+  assert.deepEqual([unknown.error, fromPage.error, noKey.error], ['Token not found', 'Not allowed from a web page', 'Enter a storage key']);
+});
@@ -0,0 +1,43 @@
+/**
+ * JWT decoding shared by the classifier, the badge expiry and the popup
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeJwtPart, decodeJwt } from '../lib/jwt.js';
+import { getTokenExpiry } from '../lib/alerts.js';
+import { classifyToken } from '../lib/classifier.js';
+
+/**
+ * Encode a JSON value as an unpadded base64url segment
+ */
+function segment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+test('segments using the URL alphabet and no padding decode', () => {
+  // "??>" and "?>>" encode to "-" and "_" in base64url
+  const payload = { sub: '??>?>>', name: 'Zoë', exp: 1893456000 };
+  const encoded = segment(payload);
+  assert.match(encoded, /[-_]/);
+  assert.doesNotMatch(encoded, /=/);
+
+  assert.deepEqual(decodeJwtPart(encoded), payload);
+});
+
+test('malformed segments and non-object values decode to null', () => {
+  assert.equal(decodeJwtPart(''), null);
+  assert.equal(decodeJwtPart('not base64!'), null);
+  assert.equal(decodeJwtPart(Buffer.from('not json').toString('base64url')), null);
+  assert.equal(decodeJwtPart(segment([1, 2])), null);
+});
+
+test('the classifier, badge expiry and popup read the same URL-alphabet JWT', () => {
+  const header = { alg: 'HS256', typ: 'JWT', kid: '??>?>>' };
+  const token = `${segment(header)}.${segment({ sub: '?>>', exp: 1893456000 })}.c2lnbmF0dXJl`;
+
+  assert.equal(classifyToken(token).kind, 'jwt');
+  assert.equal(getTokenExpiry(token, {}), 1893456000 * 1000);
+  assert.deepEqual(decodeJwt(token).header, header);
+  assert.equal(decodeJwt(`${segment(header)}.bad!.sig`).error, 'Malformed JWT payload');
+});
@@ -0,0 +1,62 @@
+/**
+ * Leak detection: captured tokens sent to other registrable domains
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails, updateSettings } from './helpers/chrome-mock.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+
+/**
+ * Send the app's bearer token to a URL
+ */
+function sendToken(worker, url, requestId) {
+  return worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id, url: url, value: 'Bearer internal-api-token', requestId: requestId, method: 'POST'
+  }));
+}
+
+test('a token sent to another site is recorded once per destination', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+
+  await sendToken(worker, 'https://api.example.com/v1/me', '1');
+  await sendToken(worker, 'https://cdn.example.com/assets', '2');
+  await sendToken(worker, 'https://collect.tracker.net/v1/events', '3');
+  await sendToken(worker, 'https://collect.tracker.net/v1/batch', '4');
+
+  const { leaks, tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.equal(tokens.length, 1);
+  assert.deepEqual(leaks.map(leak => [leak.token, leak.fromSite, leak.toSite, leak.method, leak.count, leak.toUrl]), [
+    ['internal-api-token', 'example.com', 'tracker.net', 'POST', 2, 'https://collect.tracker.net/v1/batch']
+  ]);
+  assert.equal(leaks[0].fromUrl, 'https://api.example.com/v1/me');
+
+  const { sessions } = await worker.sendMessage({ type: 'GET_SESSIONS' });
+  assert.equal(sessions[0].leakCount, 1);
+});
+
+test('leaks to sites kept out by the URL scope are still recorded and survive a restart', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  let worker = await startWorker(browser);
+  await updateSettings(worker, { urlScope: { allow: [], deny: ['*.tracker.net'], firstPartyOnly: false } });
+
+  await sendToken(worker, 'https://api.example.com/v1/me', '1');
+  await sendToken(worker, 'https://collect.tracker.net/v1/events', '2');
+
+  worker = await startWorker(browser);
+  const { leaks, filtered } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(leaks.map(leak => leak.toSite), ['tracker.net']);
+  assert.deepEqual(filtered.map(entry => entry.host), ['collect.tracker.net']);
+});
+
+test('tokens first seen on a third-party API may be sent back to the page site', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+
+  await sendToken(worker, 'https://tenant.auth0.com/userinfo', '1');
+  await sendToken(worker, 'https://api.example.com/v1/me', '2');
+
+  assert.deepEqual((await worker.sendMessage({ type: 'GET_TOKENS' })).leaks, []);
+});
@@ -0,0 +1,137 @@
+/**
+ * Calls reported from inside the page: WebSocket credentials, page-set
+ * request bodies and service worker requests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails, updateSettings } from './helpers/chrome-mock.js';
+import { DEFAULT_SETTINGS, RULE_PRESETS } from '../lib/constants.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+const SENDER = { tab: { id: APP_TAB.id } };
+
+// Long random value the classifier scores as an opaque token
+const SOCKET_TOKEN = 'q8Zt3LmX0vB7nR2kW5yP9cH4jD6fG1sA';
+
+/**
+ * Start a worker with page requests enabled
+ */
+async function startPageWorker(settings = {}) {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  await updateSettings(worker, {
+    tokenSources: { ...DEFAULT_SETTINGS.tokenSources, pageRequests: true },
+    ...settings
+  });
+  return { browser, worker };
+}
+
+/**
+ * Report a call from the app tab
+ */
+function reportRequest(worker, request, sender = SENDER) {
+  return worker.sendMessage({ type: 'PAGE_REQUEST', request: request }, sender);
+}
+
+test('WebSocket subprotocols and connection_init payloads carry tokens', async () => {
+  const { worker } = await startPageWorker();
+
+  await reportRequest(worker, {
+    kind: 'websocket', method: 'GET', url: 'wss://rt.example.com/socket', protocols: ['graphql-ws', `bearer.${SOCKET_TOKEN}`]
+  });
+  await reportRequest(worker, {
+    kind: 'websocket-message',
+    method: 'SEND',
+    url: 'wss://rt.example.com/graphql',
+    body: JSON.stringify({ type: 'connection_init', payload: { authorization: 'Bearer gql-ws-token-123' } })
+  });
+  await reportRequest(worker, {
+    kind: 'websocket-message', method: 'SEND', url: 'wss://rt.example.com/graphql', body: '{"type":"subscribe","id":"1"}'
+  });
+
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(tokens.map(item => [item.token, item.source, item.ruleLabel]), [
+    [SOCKET_TOKEN, 'websocket', 'WebSocket protocol'],
+    ['gql-ws-token-123', 'websocket', 'WebSocket connection_init']
+  ]);
+  assert.equal(tokens[1].paramName, 'payload.authorization');
+  assert.equal(tokens[1].headerPrefix, 'Bearer ');
+});
+
+test('page-set headers and JSON bodies are checked against the detection rules', async () => {
+  const { worker } = await startPageWorker({
+    detectionRules: [
+      { id: 'bearer', enabled: true, ...RULE_PRESETS.bearer },
+      { id: 'body', enabled: true, ...RULE_PRESETS.accessTokenBody }
+    ]
+  });
+
+  await reportRequest(worker, {
+    kind: 'fetch',
+    method: 'POST',
+    url: 'https://api.example.com/graphql',
+    headers: [{ name: 'Authorization', value: 'Bearer fetch-header-token' }],
+    body: '{"variables":{"access_token":"fetch-body-token"}}'
+  });
+
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(tokens.map(item => [item.token, item.source]), [
+    ['fetch-header-token', 'header'],
+    ['fetch-body-token', 'body']
+  ]);
+});
+
+test('reports are ignored unless page requests are enabled for the active tab', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  const request = { kind: 'websocket', method: 'GET', url: 'wss://rt.example.com/', protocols: [`bearer.${SOCKET_TOKEN}`] };
+
+  await reportRequest(worker, request);
+  assert.deepEqual((await worker.sendMessage({ type: 'GET_TOKENS' })).tokens, []);
+  assert.ok(!browser.contentScripts.some(script => script.id === 'request-hook'));
+
+  await updateSettings(worker, { tokenSources: { ...DEFAULT_SETTINGS.tokenSources, pageRequests: true } });
+  await reportRequest(worker, request, { tab: { id: 2 } });
+  assert.deepEqual((await worker.sendMessage({ type: 'GET_TOKENS' })).tokens, []);
+  // The request hook is registered once a profile enables page requests
+  assert.ok(browser.contentScripts.some(script => script.id === 'request-hook'));
+});
+
+test('service worker requests count for the active tab of the same origin', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch({
+    ...requestDetails({ tabId: -1, url: 'https://api.example.com/sync', value: 'Bearer sw-token' }),
+    initiator: 'https://app.example.com'
+  });
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch({
+    ...requestDetails({ tabId: -1, url: 'https://api.other.com/sync', value: 'Bearer foreign-sw-token', requestId: '2' }),
+    initiator: 'https://other.com'
+  });
+
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(tokens.map(item => item.token), ['sw-token']);
+});
+
+test('known tokens reported on their way to another site are flagged as leaks', async () => {
+  const { worker } = await startPageWorker();
+
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id, url: 'https://api.example.com/v1/me', value: `Bearer ${SOCKET_TOKEN}`
+  }));
+  await reportRequest(worker, {
+    kind: 'websocket-message',
+    method: 'SEND',
+    url: 'wss://rt.tracker.net/socket',
+    body: JSON.stringify({ type: 'connection_init', payload: { authorization: `Bearer ${SOCKET_TOKEN}` } })
+  });
+
+  const { tokens, leaks } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(leaks.map(leak => [leak.token, leak.toSite, leak.method, leak.toUrl]), [
+    [SOCKET_TOKEN, 'tracker.net', 'SEND', 'wss://rt.tracker.net/socket']
+  ]);
+  // The reported call never gets a status, so the captured request stays the one shown
+  assert.equal(tokens[0].lastRequest.url, 'https://api.example.com/v1/me');
+});
@@ -0,0 +1,25 @@
+/**
+ * Page utilities shared by the popup and the DevTools panel
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { maskToken, escapeHtml } from '../lib/page-utils.js';
+
+test('masked tokens keep only their first and last four characters', () => {
+  assert.equal(maskToken('abcd1234efgh5678'), 'abcd••••••••5678');
+  assert.equal(maskToken(`abcd${'x'.repeat(40)}wxyz`), `abcd${'•'.repeat(20)}wxyz`);
+  assert.equal(maskToken('short'), '••••••••••••');
+});
+
+test('markup characters are escaped for text and attribute values', () => {
+  assert.equal(
+    escapeHtml(`<img src="x" onerror='alert(1)'>&`),
+    '&lt;img src=&quot;x&quot; onerror=&#39;alert(1)&#39;&gt;&amp;'
+  );
+});
+
+test('non-string values are escaped as their string form', () => {
+  assert.equal(escapeHtml(401), '401');
+  assert.equal(escapeHtml(null), 'null');
+});
@@ -0,0 +1,116 @@
+/**
+ * Token validity probe against configured health URLs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails, updateSettings } from './helpers/chrome-mock.js';
+import { getProbeUrl } from '../lib/probe.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+
+/**
+ * Start a worker with health URLs and a captured bearer token
+ */
+async function startProbeWorker(probeUrls) {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  await updateSettings(worker, { probeUrls: probeUrls });
+
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id,
+    url: 'https://api.example.com/v1/orders',
+    header: 'Authorization',
+    value: 'Bearer probe-token'
+  }));
+
+  const { sessionKey } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  return { browser, worker, sessionKey };
+}
+
+test('absolute health URLs win over the /path fallback', () => {
+  const settings = { probeUrls: ['/health', 'https://api.example.com/api/me'] };
+
+  assert.equal(getProbeUrl('https://api.example.com', settings), 'https://api.example.com/api/me');
+  assert.equal(getProbeUrl('https://other.example.com', settings), 'https://other.example.com/health');
+  assert.equal(getProbeUrl('https://other.example.com', { probeUrls: [] }), null);
+});
+
+test('a 2xx response marks the token valid and is kept on the token', async () => {
+  const { browser, worker, sessionKey } = await startProbeWorker(['https://api.example.com/api/me']);
+  const sent = [];
+  browser.fetch = async (url, init) => {
+    sent.push({ url, init });
+    return new Response('{\n  "user": "qa@example.com"\n}', { status: 200 });
+  };
+
+  const response = await worker.sendMessage({ type: 'PROBE_TOKEN', sessionKey, token: 'probe-token' });
+
+  assert.equal(response.success, true);
+  assert.equal(response.probe.verdict, 'valid');
+  assert.equal(response.probe.status, 200);
+  assert.equal(response.probe.preview, '{ "user": "qa@example.com" }');
+  assert.equal(typeof response.probe.latency, 'number');
+  assert.deepEqual(sent.map(({ url, init }) => [url, init.headers, init.credentials]), [
+    ['https://api.example.com/api/me', { Authorization: 'Bearer probe-token' }, 'omit']
+  ]);
+
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.equal(tokens[0].probe.verdict, 'valid');
+});
+
+test('the token is tested on its own origin, not where its last request went', async () => {
+  const { browser, worker, sessionKey } = await startProbeWorker(['/api/me']);
+  const sent = [];
+  browser.fetch = async (url) => {
+    sent.push(url);
+    return new Response('', { status: 200 });
+  };
+
+  // The same token later sent to an analytics host
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id, url: 'https://collect.tracker.net/v1/event', value: 'Bearer probe-token', requestId: '2'
+  }));
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.equal(tokens[0].lastRequest.url, 'https://collect.tracker.net/v1/event');
+
+  await worker.sendMessage({ type: 'PROBE_TOKEN', sessionKey, token: 'probe-token' });
+
+  assert.deepEqual(sent, ['https://api.example.com/api/me']);
+});
+
+test('401 and 403 mark the token invalid, other statuses unknown', async () => {
+  const { browser, worker, sessionKey } = await startProbeWorker(['/api/me']);
+
+  browser.fetch = async () => new Response('expired', { status: 401 });
+  const unauthorized = await worker.sendMessage({ type: 'PROBE_TOKEN', sessionKey, token: 'probe-token' });
+  assert.equal(unauthorized.probe.verdict, 'invalid');
+  assert.equal(unauthorized.probe.url, 'https://api.example.com/api/me');
+
+  browser.fetch = async () => new Response('oops', { status: 500 });
+  const failed = await worker.sendMessage({ type: 'PROBE_TOKEN', sessionKey, token: 'probe-token' });
+  assert.equal(failed.probe.verdict, 'unknown');
+});
+
+test('network errors are reported as unknown', async () => {
+  const { worker, sessionKey } = await startProbeWorker(['/api/me']);
+
+  const response = await worker.sendMessage({ type: 'PROBE_TOKEN', sessionKey, token: 'probe-token' });
+
+  assert.equal(response.success, true);
+  assert.equal(response.probe.verdict, 'unknown');
+  assert.equal(response.probe.error, 'Failed to fetch');
+});
+
+test('a token without a health URL or session cannot be tested', async () => {
+  const { worker, sessionKey } = await startProbeWorker(['https://auth.example.com/userinfo']);
+
+  assert.deepEqual(
+    await worker.sendMessage({ type: 'PROBE_TOKEN', sessionKey, token: 'probe-token' }),
+    { success: false, error: 'No health URL configured for https://api.example.com' }
+  );
+  assert.deepEqual(
+    await worker.sendMessage({ type: 'PROBE_TOKEN', sessionKey, token: 'unknown-token' }),
+    { success: false, error: 'Token not found' }
+  );
+});
@@ -0,0 +1,152 @@
+/**
+ * Settings profiles: origin matching, manual switching and shared fields
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails } from './helpers/chrome-mock.js';
+import { DEFAULT_SETTINGS } from '../lib/constants.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+const STAGING_TAB = { id: 2, url: 'https://app.staging.example.com/', title: 'Staging' };
+
+/**
+ * Start a worker with a "Staging" profile bound to *.staging.example.com
+ * that keeps up to 9 tokens
+ */
+async function startProfileWorker(activeTabId = APP_TAB.id, changes = {}) {
+  const browser = createBrowser({ tabs: [APP_TAB, STAGING_TAB], activeTabId: activeTabId });
+  const worker = await startWorker(browser);
+
+  const { profileId } = await worker.sendMessage({ type: 'CREATE_PROFILE', name: 'Staging' });
+  const { settings } = await worker.sendMessage({ type: 'GET_SETTINGS', profileId });
+  await worker.sendMessage({
+    type: 'SAVE_SETTINGS',
+    profileId: profileId,
+    profile: { name: 'Staging', origins: ['*.staging.example.com'] },
+    settings: { ...settings, maxTokens: 9, ...changes }
+  });
+
+  return { browser, worker, profileId };
+}
+
+test('the profile matching the active tab origin applies automatically', async () => {
+  const { browser, worker, profileId } = await startProfileWorker();
+
+  const appStatus = await worker.sendMessage({ type: 'GET_PROFILES' });
+  assert.equal(appStatus.activeId, 'default');
+  assert.deepEqual(appStatus.profiles, [{ id: profileId, name: 'Staging', origins: ['*.staging.example.com'] }]);
+  assert.equal((await worker.sendMessage({ type: 'GET_SETTINGS' })).settings.maxTokens, DEFAULT_SETTINGS.maxTokens);
+
+  browser.activeTabId = STAGING_TAB.id;
+  await worker.chrome.tabs.onActivated.dispatch({ tabId: STAGING_TAB.id, windowId: 1 });
+
+  const stagingStatus = await worker.sendMessage({ type: 'GET_PROFILES' });
+  assert.equal(stagingStatus.matchedId, profileId);
+  assert.equal(stagingStatus.activeId, profileId);
+  assert.equal((await worker.sendMessage({ type: 'GET_SETTINGS' })).settings.maxTokens, 9);
+});
+
+test('picking a profile by hand keeps the captured tokens', async () => {
+  const { worker, profileId } = await startProfileWorker();
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id, url: 'https://api.example.com/', value: 'Bearer app-token'
+  }));
+
+  const response = await worker.sendMessage({ type: 'SELECT_PROFILE', profileId });
+
+  assert.equal(response.success, true);
+  assert.equal(response.selectedId, profileId);
+  assert.equal(response.activeId, profileId);
+  assert.equal((await worker.sendMessage({ type: 'GET_SETTINGS' })).settings.maxTokens, 9);
+  assert.deepEqual((await worker.sendMessage({ type: 'GET_TOKENS' })).tokens.map(item => item.token), ['app-token']);
+
+  const automatic = await worker.sendMessage({ type: 'SELECT_PROFILE', profileId: null });
+  assert.equal(automatic.activeId, 'default');
+  assert.equal((await worker.sendMessage({ type: 'SELECT_PROFILE', profileId: 'missing' })).success, false);
+});
+
+test('shared settings are saved for every profile, profile fields only for one', async () => {
+  const { worker, profileId } = await startProfileWorker();
+  const { settings } = await worker.sendMessage({ type: 'GET_SETTINGS', profileId });
+
+  await worker.sendMessage({
+    type: 'SAVE_SETTINGS',
+    profileId: profileId,
+    settings: { ...settings, maxTokens: 20, autoCleanup: false, sessionScope: 'origin', showBadge: false }
+  });
+
+  const staging = (await worker.sendMessage({ type: 'GET_SETTINGS', profileId })).settings;
+  const fallback = (await worker.sendMessage({ type: 'GET_SETTINGS', profileId: 'default' })).settings;
+  assert.deepEqual([staging.maxTokens, staging.autoCleanup], [20, false]);
+  assert.deepEqual([fallback.maxTokens, fallback.autoCleanup], [DEFAULT_SETTINGS.maxTokens, true]);
+  assert.equal(fallback.sessionScope, 'origin');
+  assert.equal(fallback.showBadge, false);
+});
+
+test('navigating a background tab follows that tab\'s profile', async () => {
+  const { worker } = await startProfileWorker(APP_TAB.id, { keepOnNavigation: true });
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id, url: 'https://api.example.com/', value: 'Bearer app-token'
+  }));
+  await worker.chrome.tabs.onActivated.dispatch({ tabId: STAGING_TAB.id, windowId: 1 });
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: STAGING_TAB.id, url: 'https://api.staging.example.com/', value: 'Bearer staging-token', requestId: '2'
+  }));
+  await worker.chrome.tabs.onActivated.dispatch({ tabId: APP_TAB.id, windowId: 1 });
+
+  // The staging tab reloads while the app tab is active
+  await worker.chrome.tabs.onUpdated.dispatch(STAGING_TAB.id, { status: 'loading' }, STAGING_TAB);
+  await worker.chrome.tabs.onUpdated.dispatch(APP_TAB.id, { status: 'loading' }, APP_TAB);
+
+  const { sessions } = await worker.sendMessage({ type: 'GET_SESSIONS' });
+  assert.deepEqual(sessions.map(session => session.tabId), [STAGING_TAB.id]);
+});
+
+test('closing the browser only cleans up the profiles with auto-cleanup on', async () => {
+  const { browser, worker } = await startProfileWorker(APP_TAB.id, { autoCleanup: false });
+  for (const [tab, token] of [[APP_TAB, 'app-token'], [STAGING_TAB, 'staging-token']]) {
+    browser.activeTabId = tab.id;
+    await worker.chrome.tabs.onActivated.dispatch({ tabId: tab.id, windowId: 1 });
+    await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+      tabId: tab.id, url: 'https://api.example.com/', value: `Bearer ${token}`, requestId: token
+    }));
+  }
+
+  browser.windows = [];
+  await worker.chrome.windows.onRemoved.dispatch(1);
+
+  const { sessions } = await worker.sendMessage({ type: 'GET_SESSIONS' });
+  assert.deepEqual(sessions.map(session => session.tabId), [STAGING_TAB.id]);
+});
+
+test('deleting the picked profile goes back to automatic matching', async () => {
+  const { worker, profileId } = await startProfileWorker(STAGING_TAB.id);
+  await worker.sendMessage({ type: 'SELECT_PROFILE', profileId });
+
+  const response = await worker.sendMessage({ type: 'DELETE_PROFILE', profileId });
+
+  assert.deepEqual(response.profiles, []);
+  assert.equal(response.selectedId, null);
+  assert.equal(response.activeId, 'default');
+  assert.equal((await worker.sendMessage({ type: 'GET_SETTINGS' })).settings.maxTokens, DEFAULT_SETTINGS.maxTokens);
+});
+
+test('profiles travel with exported settings files', async () => {
+  const { worker: source, profileId } = await startProfileWorker();
+  const { file } = await source.sendMessage({ type: 'EXPORT_SETTINGS' });
+
+  assert.equal(file.profiles.length, 1);
+  assert.deepEqual(file.settings, DEFAULT_SETTINGS);
+
+  const target = await startWorker(createBrowser({ tabs: [STAGING_TAB], activeTabId: STAGING_TAB.id }));
+  assert.deepEqual(await target.sendMessage({ type: 'IMPORT_SETTINGS', file }), { success: true });
+  assert.equal((await target.sendMessage({ type: 'GET_PROFILES' })).activeId, profileId);
+  assert.equal((await target.sendMessage({ type: 'GET_SETTINGS' })).settings.maxTokens, 9);
+
+  const invalid = await target.sendMessage({
+    type: 'IMPORT_SETTINGS',
+    file: { ...file, profiles: [{ id: 'x', name: 'X', settings: { sessionScope: 'tab' } }] }
+  });
+  assert.deepEqual(invalid.errors, ['profiles[0].settings.sessionScope: is not a known field']);
+});
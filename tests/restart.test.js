@@ -0,0 +1,172 @@
+/**
+ * Service worker restart resilience
+ *
+ * MV3 stops idle workers; these tests capture state in one worker, start
+ * a fresh one against the same browser and check nothing was lost.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails } from './helpers/chrome-mock.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+const DOCS_TAB = { id: 2, url: 'https://docs.example.com/', title: 'Docs' };
+
+/**
+ * Create a browser with two tabs, the first one active
+ */
+function createTwoTabBrowser() {
+  return createBrowser({ tabs: [APP_TAB, DOCS_TAB], activeTabId: APP_TAB.id });
+}
+
+/**
+ * Send a bearer token from a tab through the worker's header listener
+ */
+async function sendBearer(worker, tabId, token, requestId = token) {
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: tabId,
+    url: 'https://api.example.com/v1/me',
+    value: `Bearer ${token}`,
+    requestId: requestId
+  }));
+}
+
+test('GET_TOKENS returns tokens captured before a restart', async () => {
+  const browser = createTwoTabBrowser();
+  const first = await startWorker(browser);
+  await sendBearer(first, APP_TAB.id, 'token-before-restart');
+
+  const second = await startWorker(browser);
+  const response = await second.sendMessage({ type: 'GET_TOKENS' });
+
+  assert.deepEqual(response.tokens.map(item => item.token), ['token-before-restart']);
+  assert.equal(response.origin, 'https://app.example.com');
+  assert.equal(response.tokens[0].lastRequest.method, 'GET');
+});
+
+test('the active tab is known again before any tab event fires', async () => {
+  const browser = createTwoTabBrowser();
+  await startWorker(browser);
+
+  const worker = await startWorker(browser);
+  await sendBearer(worker, APP_TAB.id, 'token-after-restart');
+
+  const response = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(response.tokens.map(item => item.token), ['token-after-restart']);
+});
+
+test('the stored active tab is used when no tab is focused', async () => {
+  const browser = createTwoTabBrowser();
+  const first = await startWorker(browser);
+  await sendBearer(first, APP_TAB.id, 'token-one');
+
+  // e.g. the worker wakes up while a DevTools window has focus
+  browser.activeTabId = null;
+  const worker = await startWorker(browser);
+  await sendBearer(worker, APP_TAB.id, 'token-two');
+
+  const response = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(response.tokens.map(item => item.token), ['token-one', 'token-two']);
+});
+
+test('tokens added after a restart extend the restored session', async () => {
+  const browser = createTwoTabBrowser();
+  const first = await startWorker(browser);
+  await sendBearer(first, APP_TAB.id, 'token-one');
+
+  const second = await startWorker(browser);
+  await sendBearer(second, APP_TAB.id, 'token-one', 'repeat');
+  await sendBearer(second, APP_TAB.id, 'token-two');
+
+  const third = await startWorker(browser);
+  const response = await third.sendMessage({ type: 'GET_TOKENS' });
+
+  assert.deepEqual(response.tokens.map(item => item.token), ['token-one', 'token-two']);
+  assert.equal(response.tokens[0].lastRequest.requestId, 'repeat');
+});
+
+test('SCAN_STORAGE after a restart merges into the persisted tokens', async () => {
+  const browser = createTwoTabBrowser();
+  browser.pages.set(APP_TAB.id, { localStorage: { access_token: 'stored-access-token-value' } });
+
+  const first = await startWorker(browser);
+  await sendBearer(first, APP_TAB.id, 'header-token-value');
+
+  const worker = await startWorker(browser);
+  const response = await worker.sendMessage({ type: 'SCAN_STORAGE' });
+
+  assert.deepEqual(
+    response.tokens.map(item => [item.token, item.source]),
+    [['header-token-value', 'header'], ['stored-access-token-value', 'localStorage']]
+  );
+});
+
+test('sessions of other tabs and the history survive a restart', async () => {
+  const browser = createTwoTabBrowser();
+  const first = await startWorker(browser);
+  await first.sendMessage({
+    type: 'SAVE_SETTINGS',
+    settings: { ...(await first.sendMessage({ type: 'GET_SETTINGS' })).settings, evictionPolicy: 'rotate-per-rule' }
+  });
+
+  await sendBearer(first, APP_TAB.id, 'old-token');
+  await sendBearer(first, APP_TAB.id, 'new-token');
+  browser.activeTabId = DOCS_TAB.id;
+  await first.chrome.tabs.onActivated.dispatch({ tabId: DOCS_TAB.id });
+  await sendBearer(first, DOCS_TAB.id, 'docs-token');
+
+  const worker = await startWorker(browser);
+  const { sessions, currentKey } = await worker.sendMessage({ type: 'GET_SESSIONS' });
+  const appSession = sessions.find(session => session.tabId === APP_TAB.id);
+
+  assert.equal(currentKey, String(DOCS_TAB.id));
+  assert.deepEqual(sessions.map(session => [session.tabId, session.count]), [[1, 1], [2, 1]]);
+
+  const history = await worker.sendMessage({ type: 'GET_HISTORY', sessionKey: appSession.key });
+  assert.deepEqual(history.history.map(item => [item.token, item.replacedBy]), [['old-token', 'new-token']]);
+});
+
+test('sessions of tabs closed while the worker was stopped are dropped', async () => {
+  const browser = createTwoTabBrowser();
+  const first = await startWorker(browser);
+  await sendBearer(first, APP_TAB.id, 'app-token');
+
+  browser.tabs.delete(APP_TAB.id);
+  browser.activeTabId = DOCS_TAB.id;
+
+  const worker = await startWorker(browser);
+  const { sessions } = await worker.sendMessage({ type: 'GET_SESSIONS' });
+
+  assert.deepEqual(sessions, []);
+  assert.deepEqual(browser.storage.session.sessions, []);
+});
+
+test('CLEAR_DATA is not undone by a restart', async () => {
+  const browser = createTwoTabBrowser();
+  const first = await startWorker(browser);
+  await sendBearer(first, APP_TAB.id, 'cleared-token');
+  await first.sendMessage({ type: 'CLEAR_DATA' });
+
+  const worker = await startWorker(browser);
+  const response = await worker.sendMessage({ type: 'GET_TOKENS' });
+
+  assert.deepEqual(response.tokens, []);
+});
+
+test('an unlocked vault stays unlocked across a restart until the auto-lock alarm fires', async () => {
+  const browser = createTwoTabBrowser();
+  const first = await startWorker(browser);
+  await first.sendMessage({ type: 'VAULT_SETUP', passphrase: 'correct horse battery' });
+  await first.sendMessage({ type: 'VAULT_PIN', item: { token: 'pinned-token' }, label: 'staging' });
+
+  const second = await startWorker(browser);
+  const listed = await second.sendMessage({ type: 'VAULT_LIST' });
+  assert.equal(listed.unlocked, true);
+  assert.deepEqual(listed.entries.map(entry => entry.token), ['pinned-token']);
+  assert.ok(browser.alarms.has('vault-auto-lock'));
+
+  const third = await startWorker(browser);
+  await third.chrome.alarms.onAlarm.dispatch({ name: 'vault-auto-lock' });
+  assert.equal((await third.sendMessage({ type: 'VAULT_STATUS' })).unlocked, false);
+  assert.equal(browser.storage.session.vaultKey, undefined);
+});
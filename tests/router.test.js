@@ -0,0 +1,193 @@
+/**
+ * Message router: one test per message type the worker answers
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails, updateSettings, EXTENSION_ID } from './helpers/chrome-mock.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+const PASSPHRASE = 'correct horse battery';
+
+/**
+ * Start a worker on a single-tab browser
+ */
+async function startAppWorker() {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  return { browser, worker };
+}
+
+/**
+ * Send a bearer token from the app tab
+ */
+async function sendBearer(worker, token) {
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id,
+    url: 'https://api.example.com/v1/me',
+    value: `Bearer ${token}`,
+    requestId: token
+  }));
+}
+
+test('GET_TOKENS returns the active session with its origin', async () => {
+  const { worker } = await startAppWorker();
+  await sendBearer(worker, 'app-token');
+
+  const response = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(response.tokens.map(item => item.token), ['app-token']);
+  assert.equal(response.origin, 'https://app.example.com');
+  assert.deepEqual(response.filtered, []);
+
+  const missing = await worker.sendMessage({ type: 'GET_TOKENS', sessionKey: 'tab:99' });
+  assert.deepEqual(missing.tokens, []);
+});
+
+test('GET_HISTORY returns replaced tokens', async () => {
+  const { worker } = await startAppWorker();
+  await updateSettings(worker, { evictionPolicy: 'rotate-per-rule' });
+  await sendBearer(worker, 'old-token');
+  await sendBearer(worker, 'new-token');
+
+  const { history } = await worker.sendMessage({ type: 'GET_HISTORY' });
+  assert.deepEqual(history.map(entry => entry.token), ['old-token']);
+});
+
+test('GET_SESSIONS lists sessions and the current key', async () => {
+  const { worker } = await startAppWorker();
+  await sendBearer(worker, 'app-token');
+
+  const { sessions, currentKey } = await worker.sendMessage({ type: 'GET_SESSIONS' });
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].count, 1);
+  assert.equal(sessions[0].title, 'App');
+  assert.equal(currentKey, sessions[0].key);
+});
+
+test('SCAN_STORAGE adds storage and cookie tokens', async () => {
+  const { browser, worker } = await startAppWorker();
+  await updateSettings(worker, { maxTokens: 10 });
+  browser.pages.set(APP_TAB.id, {
+    localStorage: { access_token: 'stored-access-token-value', theme: 'dark' },
+    sessionStorage: { auth: JSON.stringify({ token: 'nested-json-token-value' }) }
+  });
+  browser.cookies.push({ name: 'session_token', value: 'cookie-session-token-value' });
+
+  const response = await worker.sendMessage({ type: 'SCAN_STORAGE' });
+  assert.deepEqual(response.tokens.map(item => [item.token, item.source]).sort(), [
+    ['cookie-session-token-value', 'cookie'],
+    ['nested-json-token-value', 'sessionStorage'],
+    ['stored-access-token-value', 'localStorage']
+  ]);
+});
+
+test('CLEAR_DATA drops every session', async () => {
+  const { worker } = await startAppWorker();
+  await sendBearer(worker, 'app-token');
+
+  assert.deepEqual(await worker.sendMessage({ type: 'CLEAR_DATA' }), { success: true });
+  assert.deepEqual((await worker.sendMessage({ type: 'GET_SESSIONS' })).sessions, []);
+});
+
+test('GET_SETTINGS and SAVE_SETTINGS round-trip and clear tokens', async () => {
+  const { browser, worker } = await startAppWorker();
+  await sendBearer(worker, 'app-token');
+  const { settings } = await worker.sendMessage({ type: 'GET_SETTINGS' });
+
+  const saved = await worker.sendMessage({
+    type: 'SAVE_SETTINGS',
+    settings: { ...settings, tokenSources: { ...settings.tokenSources, responses: false } }
+  });
+
+  assert.deepEqual(saved, { success: true });
+  assert.equal((await worker.sendMessage({ type: 'GET_SETTINGS' })).settings.tokenSources.responses, false);
+  assert.deepEqual((await worker.sendMessage({ type: 'GET_TOKENS' })).tokens, []);
+  // Page hooks are only registered while token responses are captured
+  assert.deepEqual(browser.contentScripts, []);
+});
+
+test('ISSUED_TOKENS records a grant reported by the active tab', async () => {
+  const { worker } = await startAppWorker();
+
+  await worker.sendMessage({
+    type: 'ISSUED_TOKENS',
+    url: 'https://auth.example.com/oauth/token',
+    response: { access_token: 'issued-access', refresh_token: 'issued-refresh', token_type: 'bearer', expires_in: 60 }
+  }, { tab: { id: APP_TAB.id } });
+  await worker.sendMessage({
+    type: 'ISSUED_TOKENS',
+    url: 'https://auth.example.com/oauth/token',
+    response: { access_token: 'other-tab-access' }
+  }, { tab: { id: 2 } });
+
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(tokens.map(item => [item.token, item.tokenRole]), [
+    ['issued-access', 'access'],
+    ['issued-refresh', 'refresh']
+  ]);
+  assert.equal(tokens[0].headerPrefix, 'Bearer ');
+  assert.equal(tokens[0].grantId, tokens[1].grantId);
+  assert.equal(typeof tokens[0].expiresAt, 'number');
+});
+
+test('VAULT_* messages set up, fill, lock and reset the vault', async () => {
+  const { browser, worker } = await startAppWorker();
+
+  assert.deepEqual(await worker.sendMessage({ type: 'VAULT_STATUS' }), { exists: false, unlocked: false, count: 0 });
+
+  const short = await worker.sendMessage({ type: 'VAULT_SETUP', passphrase: 'short' });
+  assert.equal(short.success, false);
+
+  const setup = await worker.sendMessage({ type: 'VAULT_SETUP', passphrase: PASSPHRASE });
+  assert.equal(setup.success, true);
+  assert.equal(setup.unlocked, true);
+  assert.ok(browser.alarms.has('vault-auto-lock'));
+
+  await worker.sendMessage({
+    type: 'VAULT_PIN',
+    item: { token: 'pinned-token', url: 'https://api.example.com/', headerName: 'Authorization', headerPrefix: 'Bearer ' },
+    label: 'staging admin'
+  });
+  const listed = await worker.sendMessage({ type: 'VAULT_LIST' });
+  assert.deepEqual(listed.entries.map(entry => [entry.label, entry.token]), [['staging admin', 'pinned-token']]);
+  assert.equal(JSON.stringify(browser.storage.local.vault).includes('pinned-token'), false);
+
+  const locked = await worker.sendMessage({ type: 'VAULT_LOCK' });
+  assert.equal(locked.unlocked, false);
+  assert.equal((await worker.sendMessage({ type: 'VAULT_LIST' })).error, 'Vault is locked');
+
+  const wrong = await worker.sendMessage({ type: 'VAULT_UNLOCK', passphrase: 'wrong passphrase' });
+  assert.equal(wrong.error, 'Wrong passphrase');
+
+  const unlocked = await worker.sendMessage({ type: 'VAULT_UNLOCK', passphrase: PASSPHRASE });
+  assert.equal(unlocked.unlocked, true);
+
+  const removed = await worker.sendMessage({ type: 'VAULT_REMOVE', id: listed.entries[0].id });
+  assert.equal(removed.count, 0);
+
+  const reset = await worker.sendMessage({ type: 'VAULT_RESET' });
+  assert.deepEqual(reset, { success: true, exists: false, unlocked: false, count: 0 });
+});
+
+test('content scripts cannot read the vault, while extension pages in a tab can', async () => {
+  const { worker } = await startAppWorker();
+  await worker.sendMessage({ type: 'VAULT_SETUP', passphrase: PASSPHRASE });
+  await worker.sendMessage({ type: 'VAULT_PIN', item: { token: 'pinned-token' }, label: 'staging' });
+
+  const fromPage = await worker.sendMessage({ type: 'VAULT_LIST' }, { tab: APP_TAB, url: APP_TAB.url });
+  assert.deepEqual(fromPage, { success: false, error: 'Not allowed from a web page' });
+
+  const settingsTab = { id: 9, url: `chrome-extension://${EXTENSION_ID}/settings.html` };
+  const fromSettings = await worker.sendMessage({ type: 'VAULT_LIST' }, { tab: settingsTab, url: settingsTab.url });
+  assert.deepEqual(fromSettings.entries.map(entry => entry.token), ['pinned-token']);
+});
+
+test('GET_ACTIVE_TAB_ID returns the monitored tab', async () => {
+  const { worker } = await startAppWorker();
+  assert.deepEqual(await worker.sendMessage({ type: 'GET_ACTIVE_TAB_ID' }), { tabId: APP_TAB.id });
+});
+
+test('unknown message types get an error', async () => {
+  const { worker } = await startAppWorker();
+  assert.deepEqual(await worker.sendMessage({ type: 'NOPE' }), { error: 'Unknown message type' });
+});
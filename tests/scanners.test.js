@@ -0,0 +1,90 @@
+/**
+ * Storage scans: nested JSON values and IndexedDB
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, updateSettings } from './helpers/chrome-mock.js';
+import { DEFAULT_SETTINGS } from '../lib/constants.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+
+/**
+ * Scan a page and list the [token, location, source] of every hit
+ */
+async function scanPage(page, tokenSources = DEFAULT_SETTINGS.tokenSources) {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  browser.pages.set(APP_TAB.id, page);
+  const worker = await startWorker(browser);
+  await updateSettings(worker, { tokenSources: { ...tokenSources, cookies: false } });
+
+  const { tokens } = await worker.sendMessage({ type: 'SCAN_STORAGE' });
+  return tokens.map(item => [item.token, item.url, item.source]);
+}
+
+test('tokens nested in JSON values are reported with their path', async () => {
+  const hits = await scanPage({
+    localStorage: {
+      '@@auth0spajs@@::client::default::openid': JSON.stringify({
+        body: { access_token: 'auth0-access-token', id_token: 'auth0-id-token-value', token_type: 'Bearer' },
+        expiresAt: 1767225600
+      }),
+      'msal.token.keys': JSON.stringify({ accessToken: ['entry-1'] }),
+      'uid-login.windows.net-accesstoken-client': JSON.stringify({ credentialType: 'AccessToken', secret: 'msal-secret-value' }),
+      theme: JSON.stringify({ mode: 'dark-high-contrast' })
+    },
+    sessionStorage: {
+      'amplify.session': JSON.stringify([{ jwtToken: 'amplify-jwt-token' }]),
+      authToken: '"quoted-token-value"'
+    }
+  });
+
+  assert.deepEqual(hits, [
+    ['auth0-access-token', 'localStorage:@@auth0spajs@@::client::default::openid→body.access_token', 'localStorage'],
+    ['auth0-id-token-value', 'localStorage:@@auth0spajs@@::client::default::openid→body.id_token', 'localStorage'],
+    ['msal-secret-value', 'localStorage:uid-login.windows.net-accesstoken-client→secret', 'localStorage'],
+    ['amplify-jwt-token', 'sessionStorage:amplify.session→[0].jwtToken', 'sessionStorage'],
+    ['quoted-token-value', 'sessionStorage:authToken', 'sessionStorage']
+  ]);
+});
+
+test('JSON strings inside JSON values are parsed too', async () => {
+  const hits = await scanPage({
+    localStorage: {
+      'okta-cache': JSON.stringify({ payload: JSON.stringify({ idToken: { value: 'x', idToken: 'okta-id-token-value' } }) })
+    }
+  });
+
+  assert.deepEqual(hits, [
+    ['okta-id-token-value', 'localStorage:okta-cache→payload.idToken.idToken', 'localStorage']
+  ]);
+});
+
+test('IndexedDB records are walked like storage values', async () => {
+  const page = {
+    indexedDB: {
+      firebaseLocalStorageDb: {
+        firebaseLocalStorage: {
+          'firebase:authUser:key:[DEFAULT]': {
+            fbase_key: 'firebase:authUser:key:[DEFAULT]',
+            value: { uid: 'u1', stsTokenManager: { accessToken: 'firebase-access-token', refreshToken: 'firebase-refresh-token' } }
+          }
+        }
+      }
+    }
+  };
+
+  assert.deepEqual(await scanPage(page), [
+    [
+      'firebase-access-token',
+      'indexedDB:firebaseLocalStorageDb/firebaseLocalStorage:firebase:authUser:key:[DEFAULT]→value.stsTokenManager.accessToken',
+      'indexedDB'
+    ],
+    [
+      'firebase-refresh-token',
+      'indexedDB:firebaseLocalStorageDb/firebaseLocalStorage:firebase:authUser:key:[DEFAULT]→value.stsTokenManager.refreshToken',
+      'indexedDB'
+    ]
+  ]);
+  assert.deepEqual(await scanPage(page, { ...DEFAULT_SETTINGS.tokenSources, indexedDB: false }), []);
+});
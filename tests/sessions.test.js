@@ -0,0 +1,125 @@
+/**
+ * Token sessions: de-duplication, the token limit and eviction policies
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails, updateSettings } from './helpers/chrome-mock.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+
+/**
+ * Start a worker on a single-tab browser with the given settings
+ */
+async function startAppWorker(changes = {}) {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  await updateSettings(worker, changes);
+  return worker;
+}
+
+/**
+ * Send a header from the app tab
+ */
+async function sendHeader(worker, value, header = 'Authorization') {
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id,
+    url: 'https://api.example.com/v1/me',
+    header: header,
+    value: value,
+    requestId: `${header}:${value}`
+  }));
+}
+
+/**
+ * Token values of the active tab's session
+ */
+async function getTokenValues(worker) {
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  return tokens.map(item => item.token);
+}
+
+test('a token sent repeatedly is stored once', async () => {
+  const worker = await startAppWorker();
+
+  await sendHeader(worker, 'Bearer same-token');
+  await sendHeader(worker, 'Bearer same-token');
+  await sendHeader(worker, 'Bearer same-token');
+
+  assert.deepEqual(await getTokenValues(worker), ['same-token']);
+});
+
+test('keep-first ignores tokens beyond the limit', async () => {
+  const worker = await startAppWorker({ maxTokens: 2, evictionPolicy: 'keep-first' });
+
+  await sendHeader(worker, 'Bearer first');
+  await sendHeader(worker, 'Bearer second');
+  await sendHeader(worker, 'Bearer third');
+
+  assert.deepEqual(await getTokenValues(worker), ['first', 'second']);
+});
+
+test('keep-latest evicts the oldest token into the history', async () => {
+  const worker = await startAppWorker({ maxTokens: 2, evictionPolicy: 'keep-latest' });
+
+  await sendHeader(worker, 'Bearer first');
+  await sendHeader(worker, 'Bearer second');
+  await sendHeader(worker, 'Bearer third');
+
+  const { history } = await worker.sendMessage({ type: 'GET_HISTORY' });
+  assert.deepEqual(await getTokenValues(worker), ['second', 'third']);
+  assert.deepEqual(history.map(entry => [entry.token, entry.replacedBy]), [['first', 'third']]);
+});
+
+test('rotate-per-rule replaces the value of the same rule only', async () => {
+  const worker = await startAppWorker({
+    maxTokens: 5,
+    evictionPolicy: 'rotate-per-rule',
+    detectionRules: [
+      { id: 'bearer', enabled: true, label: 'Bearer', header: 'Authorization', pattern: '^Bearer\\s+(.+)$', urlPattern: '' },
+      { id: 'apiKey', enabled: true, label: 'API Key', header: 'X-API-Key', pattern: '(.+)', urlPattern: '' }
+    ]
+  });
+
+  await sendHeader(worker, 'Bearer access-1');
+  await sendHeader(worker, 'key-1', 'X-API-Key');
+  await sendHeader(worker, 'Bearer access-2');
+
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(tokens.map(item => item.token), ['key-1', 'access-2']);
+  assert.equal(typeof tokens[1].rotatedAt, 'number');
+});
+
+test('a rotated-out value does not come back', async () => {
+  const worker = await startAppWorker({ evictionPolicy: 'rotate-per-rule' });
+
+  await sendHeader(worker, 'Bearer access-1');
+  await sendHeader(worker, 'Bearer access-2');
+  // A request still in flight with the old token
+  await sendHeader(worker, 'Bearer access-1');
+
+  const { history } = await worker.sendMessage({ type: 'GET_HISTORY' });
+  assert.deepEqual(await getTokenValues(worker), ['access-2']);
+  assert.equal(history.length, 1);
+});
+
+test('the latest request status is recorded on the token', async () => {
+  const worker = await startAppWorker();
+
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch({
+    ...requestDetails({ tabId: APP_TAB.id, url: 'https://api.example.com/v1/me', value: 'Bearer token', requestId: '7' }),
+    method: 'POST',
+    requestHeaders: [
+      { name: 'Authorization', value: 'Bearer token' },
+      { name: 'Accept', value: 'application/json' }
+    ]
+  });
+  await worker.chrome.webRequest.onCompleted.dispatch({ requestId: '7', statusCode: 401 });
+
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  const request = tokens[0].lastRequest;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.statusCode, 401);
+  assert.notEqual(request.headers.find(header => header.name === 'Authorization').value, 'Bearer token');
+  assert.equal(request.headers.find(header => header.name === 'Accept').value, 'application/json');
+});
@@ -0,0 +1,108 @@
+/**
+ * Settings files: export, import and schema validation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails, updateSettings } from './helpers/chrome-mock.js';
+import { SETTINGS_FILE_FORMAT } from '../lib/constants.js';
+import { parseSettingsFile, validateSettings } from '../lib/settings-file.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+
+test('exported settings import unchanged into another browser', async () => {
+  const source = await startWorker(createBrowser());
+  const saved = await updateSettings(source, {
+    detectionRules: [
+      { id: 'apiKey', enabled: true, label: 'API Key', header: 'X-API-Key', pattern: '(.+)', urlPattern: '/\\/v2\\//' }
+    ],
+    urlScope: { allow: [], deny: ['*.segment.io'], firstPartyOnly: true },
+    probeUrls: ['/api/me']
+  });
+  const { file } = await source.sendMessage({ type: 'EXPORT_SETTINGS' });
+
+  assert.equal(file.format, SETTINGS_FILE_FORMAT);
+  assert.equal(file.version, 1);
+
+  const target = await startWorker(createBrowser());
+  assert.deepEqual(await target.sendMessage({ type: 'IMPORT_SETTINGS', file }), { success: true });
+  assert.deepEqual((await target.sendMessage({ type: 'GET_SETTINGS' })).settings, saved);
+});
+
+test('importing settings clears captured tokens', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id, url: 'https://api.example.com/', value: 'Bearer app-token'
+  }));
+
+  await worker.sendMessage({
+    type: 'IMPORT_SETTINGS',
+    file: { format: SETTINGS_FILE_FORMAT, version: 1, settings: { maxTokens: 3 } }
+  });
+
+  assert.deepEqual((await worker.sendMessage({ type: 'GET_TOKENS' })).tokens, []);
+  assert.equal((await worker.sendMessage({ type: 'GET_SETTINGS' })).settings.maxTokens, 3);
+});
+
+test('an invalid file is rejected with every problem and changes nothing', async () => {
+  const worker = await startWorker(createBrowser());
+  const before = (await worker.sendMessage({ type: 'GET_SETTINGS' })).settings;
+
+  const response = await worker.sendMessage({
+    type: 'IMPORT_SETTINGS',
+    file: {
+      format: SETTINGS_FILE_FORMAT,
+      version: 1,
+      settings: {
+        detectionRules: [
+          { id: 'a', enabled: true, header: 'Bad Header', pattern: '(' },
+          { id: 'a', header: 'X-Token', pattern: 'no-group' }
+        ],
+        maxTokens: 500,
+        evictionPolicy: 'keep-all',
+        tokenSources: { headers: 'yes' },
+        probeUrls: ['ftp://example.com/'],
+        theme: 'dark'
+      }
+    }
+  });
+
+  assert.equal(response.success, false);
+  assert.deepEqual(response.errors, [
+    'settings.detectionRules[0].header: "Bad Header" is not a valid header name',
+    'settings.detectionRules[0].pattern: "(" is not a valid regex (Invalid regular expression: /(/: Unterminated group)',
+    'settings.detectionRules[1].pattern: "no-group" needs a capture group around the token',
+    'settings.maxTokens: must be between 1 and 50',
+    'settings.evictionPolicy: must be one of keep-first, keep-latest, rotate-per-rule',
+    'settings.tokenSources.headers: expected a boolean, got string',
+    'settings.probeUrls[0]: "ftp://example.com/" must be an http(s) URL or a /path',
+    'settings.theme: is not a known field'
+  ]);
+  assert.deepEqual((await worker.sendMessage({ type: 'GET_SETTINGS' })).settings, before);
+});
+
+test('files of another kind or a newer version are refused', () => {
+  assert.deepEqual(parseSettingsFile([]).errors, [`Not a settings file (expected "format": "${SETTINGS_FILE_FORMAT}")`]);
+  assert.deepEqual(parseSettingsFile({ format: 'postman' }).errors, [`Not a settings file (expected "format": "${SETTINGS_FILE_FORMAT}")`]);
+  assert.deepEqual(
+    parseSettingsFile({ format: SETTINGS_FILE_FORMAT, version: 2, settings: {} }).errors,
+    ['Unsupported settings file version 2 (this extension reads version 1)']
+  );
+  assert.deepEqual(
+    parseSettingsFile({ format: SETTINGS_FILE_FORMAT, version: 1, settings: null }).errors,
+    ['settings: expected an object, got null']
+  );
+});
+
+test('legacy settings in a file are upgraded before validation', () => {
+  const { settings, errors } = parseSettingsFile({
+    format: SETTINGS_FILE_FORMAT,
+    version: 1,
+    settings: { tokenType: 'custom', customHeaderName: 'X-Token', tokenSource: 'headers' }
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(settings.detectionRules[0].header, 'X-Token');
+  assert.deepEqual(validateSettings({ detectionRules: [{ id: 'x' }] }), ['settings.detectionRules[0].header: is required']);
+});
@@ -0,0 +1,84 @@
+/**
+ * Settings: round-trips, defaults and migration of legacy shapes
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, updateSettings } from './helpers/chrome-mock.js';
+import { DEFAULT_PROFILE_ID, DEFAULT_SETTINGS, MAX_TOKENS_LIMIT, RULE_PRESETS } from '../lib/constants.js';
+import { migrateSettings } from '../lib/settings.js';
+
+test('a fresh install gets the default settings', async () => {
+  const worker = await startWorker(createBrowser());
+  const { settings, rulePresets, defaultProfileId } = await worker.sendMessage({ type: 'GET_SETTINGS' });
+
+  assert.deepEqual(settings, DEFAULT_SETTINGS);
+  assert.deepEqual(rulePresets, RULE_PRESETS);
+  // The settings page takes the default profile's ID from the worker
+  assert.equal(defaultProfileId, DEFAULT_PROFILE_ID);
+});
+
+test('saved settings come back unchanged, also after a restart', async () => {
+  const browser = createBrowser();
+  const worker = await startWorker(browser);
+  const saved = await updateSettings(worker, {
+    maxTokens: 12,
+    evictionPolicy: 'keep-latest',
+    sessionScope: 'origin',
+    tokenSources: { ...DEFAULT_SETTINGS.tokenSources, cookies: false },
+    urlScope: { allow: [], deny: ['*.segment.io'], firstPartyOnly: true }
+  });
+
+  const restarted = await startWorker(browser);
+  const { settings } = await restarted.sendMessage({ type: 'GET_SETTINGS' });
+  assert.deepEqual(settings, saved);
+});
+
+test('maxTokens is clamped to the supported range', async () => {
+  const worker = await startWorker(createBrowser());
+
+  await updateSettings(worker, { maxTokens: 500 });
+  const response = await worker.sendMessage({ type: 'GET_SETTINGS' });
+  assert.equal(response.settings.maxTokens, MAX_TOKENS_LIMIT);
+  // The settings page takes its slider range from the worker
+  assert.equal(response.maxTokensLimit, MAX_TOKENS_LIMIT);
+
+  await updateSettings(worker, { maxTokens: -3 });
+  assert.equal((await worker.sendMessage({ type: 'GET_SETTINGS' })).settings.maxTokens, 1);
+});
+
+test('fields added in later versions get their defaults', async () => {
+  const browser = createBrowser();
+  browser.storage.local.settings = {
+    detectionRules: DEFAULT_SETTINGS.detectionRules,
+    tokenSources: { headers: true, localStorage: false, sessionStorage: false, cookies: false },
+    urlScope: { deny: ['example.org'] }
+  };
+
+  const worker = await startWorker(browser);
+  const { settings } = await worker.sendMessage({ type: 'GET_SETTINGS' });
+
+  assert.equal(settings.tokenSources.responses, true);
+  assert.deepEqual(settings.urlScope, { allow: [], deny: ['example.org'], firstPartyOnly: false });
+  assert.equal(settings.vaultAutoLockMinutes, DEFAULT_SETTINGS.vaultAutoLockMinutes);
+});
+
+test('a legacy custom header type becomes a detection rule', () => {
+  const settings = migrateSettings({ tokenType: 'custom', customHeaderName: 'X-Token', tokenSource: 'headers' });
+
+  assert.deepEqual(settings.detectionRules, [{
+    id: 'custom', enabled: true, label: 'X-Token', header: 'X-Token', pattern: '(.+)', urlPattern: ''
+  }]);
+  assert.deepEqual(settings.tokenSources, {
+    headers: true, localStorage: false, sessionStorage: false, cookies: false
+  });
+  assert.equal('tokenType' in settings, false);
+});
+
+test('a legacy session type becomes the session presets', () => {
+  const settings = migrateSettings({ tokenType: 'session', tokenSource: 'storage' });
+
+  assert.deepEqual(settings.detectionRules.map(rule => rule.id), ['sessionToken', 'sessionTokenPlain', 'sessionId']);
+  assert.equal(settings.tokenSources.localStorage, true);
+  assert.equal(settings.tokenSources.headers, false);
+});
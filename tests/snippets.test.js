@@ -0,0 +1,120 @@
+/**
+ * Request snippets: the header a token is sent back in and the copy-as formats
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRequestHeader, getEnvVarName, SNIPPET_FORMATS } from '../lib/snippets.js';
+
+const ORIGIN = 'https://app.example.com';
+
+/**
+ * Build a snippet of the given format
+ */
+function snippet(format, item) {
+  return SNIPPET_FORMATS[format].build(item, ORIGIN);
+}
+
+test('tokens go back into the header and scheme they were captured under', () => {
+  assert.deepEqual(
+    getRequestHeader('abc123', { source: 'header', headerName: 'Authorization', headerPrefix: 'Token ' }),
+    { name: 'Authorization', value: 'Token abc123' }
+  );
+  assert.deepEqual(
+    getRequestHeader('abc123', { source: 'header', headerName: 'X-API-Key' }),
+    { name: 'X-API-Key', value: 'abc123' }
+  );
+});
+
+test('cookie tokens go into a Cookie header and storage tokens default to Bearer', () => {
+  assert.deepEqual(
+    getRequestHeader('abc123', { source: 'cookie', url: 'cookie:session_id' }),
+    { name: 'Cookie', value: 'session_id=abc123' }
+  );
+  assert.deepEqual(
+    getRequestHeader('abc123', { source: 'localStorage', url: 'localStorage:auth' }),
+    { name: 'Authorization', value: 'Bearer abc123' }
+  );
+});
+
+test('query and body tokens are not sent in a header', () => {
+  assert.equal(getRequestHeader('abc123', { source: 'query', paramName: 'api_key' }), null);
+  assert.equal(getRequestHeader('abc123', { source: 'body', paramName: 'token' }), null);
+});
+
+test('snippets target the URL the token was first seen at', () => {
+  const item = {
+    token: 'abc123',
+    source: 'header',
+    headerName: 'Authorization',
+    headerPrefix: 'Bearer ',
+    url: 'https://api.example.com/v1/orders',
+    lastRequest: { url: 'https://api.example.com/v1/orders', method: 'delete' }
+  };
+
+  assert.equal(
+    snippet('curl', item),
+    "curl -X DELETE 'https://api.example.com/v1/orders' \\\n  -H 'Authorization: Bearer abc123'"
+  );
+  assert.equal(
+    snippet('httpie', item),
+    "http DELETE 'https://api.example.com/v1/orders' 'Authorization:Bearer abc123'"
+  );
+
+  // A later request may have carried the token to another site
+  const leaked = { ...item, lastRequest: { url: 'https://collect.tracker.net/v1/events', method: 'POST' } };
+  assert.equal(snippet('curl', leaked), "curl 'https://api.example.com/v1/orders' \\\n  -H 'Authorization: Bearer abc123'");
+});
+
+test('quotes in tokens are escaped for POSIX shells and PowerShell', () => {
+  const item = { token: "it's", source: 'header', headerName: 'X-API-Key', url: 'https://api.example.com/' };
+
+  assert.equal(snippet('curl', item), "curl 'https://api.example.com/' \\\n  -H 'X-API-Key: it'\\''s'");
+  assert.equal(
+    snippet('powershell', item),
+    "Invoke-RestMethod -Method GET -Uri 'https://api.example.com/' -Headers @{ 'X-API-Key' = 'it''s' }"
+  );
+  assert.equal(snippet('env', { ...item, ruleLabel: 'X-API-Key' }), "export X_API_KEY='it'\\''s'");
+});
+
+test('query tokens replace the masked value of their parameter', () => {
+  const item = {
+    token: 'abc123',
+    source: 'query',
+    paramName: 'api_key',
+    url: 'https://api.example.com/v1/search?q=x&api_key=abc1%E2%80%A2%E2%80%A2'
+  };
+
+  assert.equal(snippet('curl', item), "curl 'https://api.example.com/v1/search?q=x&api_key=abc123'");
+});
+
+test('other masked credentials are left out of the snippet URL', () => {
+  const item = {
+    token: 'abc123',
+    source: 'header',
+    headerName: 'Authorization',
+    headerPrefix: 'Bearer ',
+    url: 'https://api.example.com/v1/search?q=x&access_token=abcd%E2%80%A2%E2%80%A2%E2%80%A2%E2%80%A2wxyz'
+  };
+
+  assert.equal(snippet('curl', item), "curl 'https://api.example.com/v1/search?q=x' \\\n  -H 'Authorization: Bearer abc123'");
+});
+
+test('body tokens are posted as JSON and storage tokens target the page origin', () => {
+  const options = { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"token":"abc123"}' };
+  assert.equal(
+    snippet('fetch', { token: 'abc123', source: 'body', paramName: 'token', url: 'https://api.example.com/login' }),
+    `const response = await fetch("https://api.example.com/login", ${JSON.stringify(options, null, 2)});`
+  );
+
+  assert.equal(
+    snippet('curl', { token: 'abc123', source: 'localStorage', url: 'localStorage:auth' }),
+    `curl '${ORIGIN}/' \\\n  -H 'Authorization: Bearer abc123'`
+  );
+});
+
+test('environment variable names come from the rule or header name', () => {
+  assert.equal(getEnvVarName({ ruleLabel: 'GitHub PAT' }), 'GITHUB_PAT_TOKEN');
+  assert.equal(getEnvVarName({ headerName: 'x-api-key' }), 'X_API_KEY');
+  assert.equal(getEnvVarName({ ruleLabel: '***' }), 'API_TOKEN');
+});
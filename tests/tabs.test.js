@@ -0,0 +1,140 @@
+/**
+ * Tab lifecycle: switching, navigating and closing tabs and windows
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails, updateSettings } from './helpers/chrome-mock.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+const DOCS_TAB = { id: 2, url: 'https://docs.example.com/', title: 'Docs' };
+
+/**
+ * Start a worker on a two-tab browser, the first tab active
+ */
+async function startTwoTabWorker(changes = {}) {
+  const browser = createBrowser({ tabs: [APP_TAB, DOCS_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  await updateSettings(worker, changes);
+  return { browser, worker };
+}
+
+/**
+ * Send a bearer token from a tab
+ */
+async function sendBearer(worker, tabId, token) {
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: tabId,
+    url: 'https://api.example.com/v1/me',
+    value: `Bearer ${token}`,
+    requestId: token
+  }));
+}
+
+/**
+ * Make a tab the active one
+ */
+async function activateTab(browser, worker, tabId) {
+  browser.activeTabId = tabId;
+  await worker.chrome.tabs.onActivated.dispatch({ tabId: tabId, windowId: 1 });
+}
+
+/**
+ * Fire the onUpdated event of a page load
+ */
+async function navigateTab(browser, worker, tabId, url) {
+  const tab = { ...browser.tabs.get(tabId), url: url };
+  browser.tabs.set(tabId, tab);
+  await worker.chrome.tabs.onUpdated.dispatch(tabId, { status: 'loading', url: url }, tab);
+}
+
+test('switching tabs keeps sessions and follows the active tab', async () => {
+  const { browser, worker } = await startTwoTabWorker();
+  await sendBearer(worker, APP_TAB.id, 'app-token');
+
+  await activateTab(browser, worker, DOCS_TAB.id);
+  await sendBearer(worker, APP_TAB.id, 'background-tab-token');
+  await sendBearer(worker, DOCS_TAB.id, 'docs-token');
+
+  const docs = await worker.sendMessage({ type: 'GET_TOKENS' });
+  const { sessions, currentKey } = await worker.sendMessage({ type: 'GET_SESSIONS' });
+  const app = await worker.sendMessage({
+    type: 'GET_TOKENS',
+    sessionKey: sessions.find(session => session.tabId === APP_TAB.id).key
+  });
+
+  assert.deepEqual(docs.tokens.map(item => item.token), ['docs-token']);
+  assert.deepEqual(app.tokens.map(item => item.token), ['app-token']);
+  assert.equal(currentKey, docs.sessionKey);
+});
+
+test('navigating clears the tab session', async () => {
+  const { browser, worker } = await startTwoTabWorker();
+  await sendBearer(worker, APP_TAB.id, 'app-token');
+
+  await navigateTab(browser, worker, APP_TAB.id, 'https://app.example.com/settings');
+
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(tokens, []);
+});
+
+test('keepOnNavigation keeps the tab session and relabels it', async () => {
+  const { browser, worker } = await startTwoTabWorker({ keepOnNavigation: true });
+  await sendBearer(worker, APP_TAB.id, 'app-token');
+
+  await navigateTab(browser, worker, APP_TAB.id, 'https://admin.example.com/');
+
+  const { tokens, origin } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(tokens.map(item => item.token), ['app-token']);
+  assert.equal(origin, 'https://admin.example.com');
+});
+
+test('origin-scoped sessions survive navigating to another origin', async () => {
+  const { browser, worker } = await startTwoTabWorker({ sessionScope: 'origin' });
+  await sendBearer(worker, APP_TAB.id, 'app-token');
+
+  await navigateTab(browser, worker, APP_TAB.id, 'https://admin.example.com/');
+  await sendBearer(worker, APP_TAB.id, 'admin-token');
+
+  const { sessions } = await worker.sendMessage({ type: 'GET_SESSIONS' });
+  assert.deepEqual(
+    sessions.map(session => [session.origin, session.count]),
+    [['https://app.example.com', 1], ['https://admin.example.com', 1]]
+  );
+});
+
+test('closing a tab drops its sessions', async () => {
+  const { browser, worker } = await startTwoTabWorker();
+  await sendBearer(worker, APP_TAB.id, 'app-token');
+  await activateTab(browser, worker, DOCS_TAB.id);
+  await sendBearer(worker, DOCS_TAB.id, 'docs-token');
+
+  browser.tabs.delete(APP_TAB.id);
+  await worker.chrome.tabs.onRemoved.dispatch(APP_TAB.id, { windowId: 1, isWindowClosing: false });
+
+  const { sessions } = await worker.sendMessage({ type: 'GET_SESSIONS' });
+  assert.deepEqual(sessions.map(session => session.tabId), [DOCS_TAB.id]);
+});
+
+test('closing the last window clears everything when autoCleanup is on', async () => {
+  const { browser, worker } = await startTwoTabWorker();
+  await sendBearer(worker, APP_TAB.id, 'app-token');
+
+  browser.windows = [];
+  await worker.chrome.windows.onRemoved.dispatch(1);
+
+  const { sessions } = await worker.sendMessage({ type: 'GET_SESSIONS' });
+  assert.deepEqual(sessions, []);
+  assert.deepEqual(browser.storage.session, {});
+});
+
+test('closing the last window keeps tokens when autoCleanup is off', async () => {
+  const { browser, worker } = await startTwoTabWorker({ autoCleanup: false });
+  await sendBearer(worker, APP_TAB.id, 'app-token');
+
+  browser.windows = [];
+  await worker.chrome.windows.onRemoved.dispatch(1);
+
+  const { tokens } = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(tokens.map(item => item.token), ['app-token']);
+});
@@ -0,0 +1,59 @@
+/**
+ * Token timeline events sent with the popup updates for the DevTools panel
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails, updateSettings } from './helpers/chrome-mock.js';
+import { DEFAULT_SETTINGS } from '../lib/constants.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.com/dashboard', title: 'App' };
+
+/**
+ * List the timeline events sent so far
+ */
+function getEvents(browser) {
+  return browser.sentMessages
+    .filter(message => message.type === 'TOKENS_UPDATED')
+    .flatMap(message => message.events);
+}
+
+test('captures and request outcomes are streamed with rule, method, status and fingerprint', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch({
+    ...requestDetails({ tabId: APP_TAB.id, url: 'https://api.example.com/v1/me', value: 'Bearer timeline-token', requestId: '7' }),
+    method: 'POST'
+  });
+  await worker.chrome.webRequest.onCompleted.dispatch({ requestId: '7', statusCode: 401 });
+
+  const events = getEvents(browser);
+  assert.deepEqual(events.map(event => [event.type, event.source, event.method, event.url, event.statusCode]), [
+    ['captured', 'header', 'POST', 'https://api.example.com/v1/me', null],
+    ['request', 'header', 'POST', 'https://api.example.com/v1/me', 401]
+  ]);
+  assert.equal(events[0].tabId, APP_TAB.id);
+  assert.equal(events[0].ruleLabel, events[1].ruleLabel);
+  assert.ok(events[0].ruleLabel);
+  assert.equal(events[0].token, 'timeline-token');
+  assert.equal(events[0].preview, 'time…oken');
+  assert.match(events[0].fingerprint, /^[0-9a-f]+$/);
+  assert.equal(events[1].fingerprint, events[0].fingerprint);
+});
+
+test('filtered tokens are streamed by fingerprint only, with the filter reason', async () => {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  await updateSettings(worker, { urlScope: { ...DEFAULT_SETTINGS.urlScope, deny: ['*.segment.io'] } });
+
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id, url: 'https://api.segment.io/v1/track', value: 'Bearer analytics-token'
+  }));
+
+  const [event] = getEvents(browser).filter(item => item.type === 'filtered');
+  assert.equal(event.token, null);
+  assert.equal(event.detail, 'deny');
+  assert.equal(event.url, 'https://api.segment.io/v1/track');
+  assert.match(event.fingerprint, /^[0-9a-f]+$/);
+});
@@ -0,0 +1,76 @@
+/**
+ * Token export: JSON, .env, Postman and Insomnia files, with and without masking
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPORT_FORMATS, getExportVariables } from '../lib/token-export.js';
+
+const ORIGIN = 'https://app.example.com';
+
+const TOKENS = [
+  {
+    token: 'eyJhbGciOiJIUzI1NiJ9.payload.signature',
+    source: 'header',
+    headerName: 'Authorization',
+    headerPrefix: 'Bearer ',
+    ruleLabel: 'Bearer',
+    url: 'https://api.example.com/v1/me',
+    timestamp: Date.UTC(2026, 0, 1)
+  },
+  {
+    token: 'sk_live_0123456789abcdef',
+    source: 'query',
+    paramName: 'api_key',
+    ruleLabel: 'Bearer',
+    url: 'https://api.example.com/v1/search',
+    timestamp: Date.UTC(2026, 0, 1)
+  }
+];
+
+/**
+ * Build an export file of the given format
+ */
+function exportAs(format, mask) {
+  return EXPORT_FORMATS[format].build(getExportVariables(TOKENS, mask), { origin: ORIGIN, mask: mask });
+}
+
+test('repeated variable names are numbered', () => {
+  assert.deepEqual(getExportVariables(TOKENS, false).map(({ name }) => name), ['BEARER_TOKEN', 'BEARER_TOKEN_2']);
+});
+
+test('the JSON export keeps capture details and masks values, headers included', () => {
+  const raw = JSON.parse(exportAs('json', false));
+  assert.equal(raw.origin, ORIGIN);
+  assert.equal(raw.masked, false);
+  assert.deepEqual(raw.tokens[0].header, { name: 'Authorization', value: `Bearer ${TOKENS[0].token}` });
+  assert.equal(raw.tokens[1].header, null);
+  assert.equal(raw.tokens[1].paramName, 'api_key');
+
+  const masked = exportAs('json', true);
+  assert.ok(!masked.includes(TOKENS[0].token) && !masked.includes(TOKENS[1].token));
+  const { tokens } = JSON.parse(masked);
+  assert.equal(tokens[0].token, 'eyJh••••••••••••••••••••ture');
+  assert.deepEqual(tokens[0].header, { name: 'Authorization', value: `Bearer ${tokens[0].token}` });
+});
+
+test('.env values are quoted when dotenv would cut them', () => {
+  const env = exportAs('env', true).split('\n');
+  assert.match(env[0], /^# Tokens · app\.example\.com, exported /);
+  assert.equal(env[1], 'BEARER_TOKEN="eyJh••••••••••••••••••••ture"');
+  assert.equal(exportAs('env', false).split('\n')[2], 'BEARER_TOKEN_2=sk_live_0123456789abcdef');
+});
+
+test('Postman and Insomnia environments hold the variables by name', () => {
+  const postman = JSON.parse(exportAs('postman', false));
+  assert.equal(postman.name, 'Tokens · app.example.com');
+  assert.deepEqual(postman.values.map(({ key, value }) => [key, value]), [
+    ['BEARER_TOKEN', TOKENS[0].token],
+    ['BEARER_TOKEN_2', TOKENS[1].token]
+  ]);
+
+  const [workspace, environment] = JSON.parse(exportAs('insomnia', true)).resources;
+  assert.equal(environment.parentId, workspace._id);
+  assert.deepEqual(Object.keys(environment.data), ['BEARER_TOKEN', 'BEARER_TOKEN_2']);
+  assert.ok(!JSON.stringify(environment.data).includes(TOKENS[1].token));
+});
@@ -0,0 +1,100 @@
+/**
+ * URL scope: allow/deny lists and first-party-only filtering
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, startWorker, requestDetails } from './helpers/chrome-mock.js';
+
+const APP_TAB = { id: 1, url: 'https://app.example.co.uk/dashboard', title: 'App' };
+
+/**
+ * Start a worker whose settings use the given URL scope
+ */
+async function startScopedWorker(urlScope) {
+  const browser = createBrowser({ tabs: [APP_TAB], activeTabId: APP_TAB.id });
+  const worker = await startWorker(browser);
+  const { settings } = await worker.sendMessage({ type: 'GET_SETTINGS' });
+
+  await worker.sendMessage({
+    type: 'SAVE_SETTINGS',
+    settings: { ...settings, maxTokens: 10, urlScope: { allow: [], deny: [], firstPartyOnly: false, ...urlScope } }
+  });
+
+  return { browser, worker };
+}
+
+/**
+ * Send a bearer token to a URL from the app tab
+ */
+async function sendBearer(worker, url, token) {
+  await worker.chrome.webRequest.onBeforeSendHeaders.dispatch(requestDetails({
+    tabId: APP_TAB.id,
+    url: url,
+    value: `Bearer ${token}`,
+    requestId: token
+  }));
+}
+
+test('deny list patterns match hosts, host + path and full URLs', async () => {
+  const { worker } = await startScopedWorker({
+    deny: ['*.segment.io', 'api.example.co.uk/telemetry/*', '/^https:\\/\\/cdn\\./']
+  });
+
+  await sendBearer(worker, 'https://api.segment.io/v1/t', 'analytics-token');
+  await sendBearer(worker, 'https://api.example.co.uk/telemetry/ping', 'telemetry-token');
+  await sendBearer(worker, 'https://cdn.example.co.uk/app.js', 'cdn-token');
+  await sendBearer(worker, 'https://api.example.co.uk/v1/me', 'api-token');
+
+  const response = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(response.tokens.map(item => item.token), ['api-token']);
+  assert.deepEqual(response.filtered.map(entry => [entry.host, entry.reason, entry.count]), [
+    ['api.segment.io', 'deny', 1],
+    ['api.example.co.uk', 'deny', 1],
+    ['cdn.example.co.uk', 'deny', 1]
+  ]);
+});
+
+test('a non-empty allow list keeps only matching URLs', async () => {
+  const { worker } = await startScopedWorker({ allow: ['api.example.co.uk'] });
+
+  await sendBearer(worker, 'https://api.example.co.uk/v1/me', 'api-token');
+  await sendBearer(worker, 'https://auth.example.co.uk/userinfo', 'auth-token');
+
+  const response = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(response.tokens.map(item => item.token), ['api-token']);
+  assert.deepEqual(response.filtered, [{ host: 'auth.example.co.uk', reason: 'allow', count: 1 }]);
+});
+
+test('first-party-only compares registrable domains', async () => {
+  const { worker } = await startScopedWorker({ firstPartyOnly: true });
+
+  await sendBearer(worker, 'https://api.example.co.uk/v1/me', 'first-party-token');
+  await sendBearer(worker, 'https://other.co.uk/v1/me', 'third-party-token');
+
+  const response = await worker.sendMessage({ type: 'GET_TOKENS' });
+  assert.deepEqual(response.tokens.map(item => item.token), ['first-party-token']);
+  assert.deepEqual(response.filtered, [{ host: 'other.co.uk', reason: 'third-party', count: 1 }]);
+});
+
+test('a filtered token is counted once however often it is sent', async () => {
+  const { worker } = await startScopedWorker({ deny: ['*.segment.io'] });
+
+  await sendBearer(worker, 'https://api.segment.io/v1/t', 'analytics-token');
+  await sendBearer(worker, 'https://api.segment.io/v1/t', 'analytics-token');
+
+  const { sessions } = await worker.sendMessage({ type: 'GET_SESSIONS' });
+  assert.equal(sessions[0].filteredCount, 1);
+});
+
+test('storage and cookie scans are scoped by the page URL', async () => {
+  const { browser, worker } = await startScopedWorker({ deny: ['app.example.co.uk'] });
+  browser.pages.set(APP_TAB.id, { localStorage: { access_token: 'stored-access-token-value' } });
+  browser.cookies.push({ name: 'session_token', value: 'cookie-session-token-value' });
+
+  const response = await worker.sendMessage({ type: 'SCAN_STORAGE' });
+  const { sessions } = await worker.sendMessage({ type: 'GET_SESSIONS' });
+
+  assert.deepEqual(response.tokens, []);
+  assert.equal(sessions[0].filteredCount, 2);
+});